@@ -0,0 +1,27 @@
+-- Claim verification flow for found items
+-- Lifecycle: requested -> verifying -> approved -> picked_up / denied
+
+-- Private item contents (asked as an ownership question, hidden from listings)
+ALTER TABLE items
+ADD COLUMN IF NOT EXISTS contents TEXT AFTER unique_marks;
+
+CREATE TABLE IF NOT EXISTS claims (
+  claim_id INT AUTO_INCREMENT PRIMARY KEY,
+  found_item_id INT NOT NULL,
+  claimant_id INT NOT NULL,
+  status ENUM('requested', 'verifying', 'approved', 'denied', 'picked_up') DEFAULT 'requested',
+  answers JSON,
+  admin_id INT NULL,
+  admin_notes TEXT,
+  answered_at TIMESTAMP NULL,
+  decided_at TIMESTAMP NULL,
+  picked_up_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (found_item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+  FOREIGN KEY (claimant_id) REFERENCES users(user_id) ON DELETE CASCADE,
+  FOREIGN KEY (admin_id) REFERENCES users(user_id) ON DELETE SET NULL,
+  INDEX idx_claims_status (status),
+  INDEX idx_claims_item (found_item_id),
+  INDEX idx_claims_claimant (claimant_id)
+);
@@ -0,0 +1,8 @@
+-- FULLTEXT index used to rank /api/items/search results by relevance
+
+-- material is part of the index (see add_material_to_items.sql)
+ALTER TABLE items
+ADD COLUMN IF NOT EXISTS material VARCHAR(100) AFTER size;
+
+ALTER TABLE items
+ADD FULLTEXT INDEX ft_items_search (item_type, description, brand, location_found, material, unique_marks);
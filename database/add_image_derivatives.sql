@@ -0,0 +1,7 @@
+-- Derivatives of item photos made on upload (services/imagePreprocessor.js)
+-- image_path is the upright original without metadata, image_ai_path the
+-- downsized copy sent to the AI providers, thumbnail_path the listing thumbnail
+
+ALTER TABLE items
+ADD COLUMN IF NOT EXISTS image_ai_path VARCHAR(255) AFTER image_path,
+ADD COLUMN IF NOT EXISTS thumbnail_path VARCHAR(255) AFTER image_ai_path;
@@ -0,0 +1,7 @@
+-- Perceptual hashes of item photos (64-bit, stored as 16 hex characters)
+-- Re-uploads and slight crops of the same photo stay within a few bits, so
+-- near-duplicates are matched even when the AI providers are unavailable
+
+ALTER TABLE items
+ADD COLUMN IF NOT EXISTS image_phash CHAR(16) AFTER image_path,
+ADD COLUMN IF NOT EXISTS image_dhash CHAR(16) AFTER image_phash;
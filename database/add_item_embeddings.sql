@@ -0,0 +1,13 @@
+-- Visual embeddings per item (CLIP vectors from the Python service's /embed)
+-- Vectors are little-endian float32 BLOBs compared with cosine similarity;
+-- only vectors of the same model are ever compared
+
+CREATE TABLE IF NOT EXISTS item_embeddings (
+  item_id INT PRIMARY KEY,
+  model VARCHAR(255) NOT NULL,
+  dimensions SMALLINT UNSIGNED NOT NULL,
+  vector BLOB NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+  INDEX idx_item_embeddings_model (model)
+);
@@ -0,0 +1,15 @@
+-- Store AI-extracted image features per item
+-- Features are written once at report time and re-extracted only when the
+-- AI provider or model changes
+
+CREATE TABLE IF NOT EXISTS item_features (
+  item_id INT PRIMARY KEY,
+  labels JSON,
+  colors JSON,
+  objects JSON,
+  source VARCHAR(50),
+  model VARCHAR(255),
+  extracted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+  INDEX idx_item_features_source (source)
+);
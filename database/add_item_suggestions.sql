@@ -0,0 +1,10 @@
+-- Structured AI output per item (previously appended to items.description as "AI detected: ...")
+-- Suggestions are shown to the reporter for confirmation and kept for reference
+
+ALTER TABLE item_features
+ADD COLUMN IF NOT EXISTS ai_description TEXT AFTER objects,
+ADD COLUMN IF NOT EXISTS suggested_item_type VARCHAR(100) AFTER ai_description,
+ADD COLUMN IF NOT EXISTS suggested_category VARCHAR(50) AFTER suggested_item_type,
+ADD COLUMN IF NOT EXISTS suggested_subcategory VARCHAR(50) AFTER suggested_category,
+ADD COLUMN IF NOT EXISTS suggested_material VARCHAR(100) AFTER suggested_subcategory,
+ADD COLUMN IF NOT EXISTS suggested_brand VARCHAR(100) AFTER suggested_material;
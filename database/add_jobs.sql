@@ -0,0 +1,24 @@
+-- Durable background jobs (matching and AI analysis after a report or search)
+-- Lifecycle: pending -> running -> completed, or back to pending with a later
+-- run_at after a failure, and dead once max_attempts is used up
+
+CREATE TABLE IF NOT EXISTS jobs (
+  job_id INT AUTO_INCREMENT PRIMARY KEY,
+  type VARCHAR(50) NOT NULL,
+  payload JSON NOT NULL,
+  idempotency_key VARCHAR(191) NULL,
+  status ENUM('pending', 'running', 'completed', 'dead') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 5,
+  run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_by VARCHAR(100) NULL,
+  locked_at TIMESTAMP NULL,
+  last_error TEXT,
+  result JSON,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP NULL,
+  UNIQUE KEY uq_jobs_idempotency_key (idempotency_key),
+  INDEX idx_jobs_status_run_at (status, run_at),
+  INDEX idx_jobs_type (type)
+);
@@ -0,0 +1,5 @@
+-- Indexes for paginated, filtered and sorted item listings
+
+CREATE INDEX IF NOT EXISTS idx_items_date_found ON items(date_found);
+CREATE INDEX IF NOT EXISTS idx_items_status_date_reported ON items(status, date_reported);
+CREATE INDEX IF NOT EXISTS idx_items_location_found ON items(location_found);
@@ -0,0 +1,5 @@
+-- Store why a match was suggested (per-signal breakdown and readable summary)
+-- so match reasoning can be audited later
+
+ALTER TABLE matches
+ADD COLUMN IF NOT EXISTS explanation JSON AFTER match_score;
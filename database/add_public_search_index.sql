@@ -0,0 +1,6 @@
+-- FULLTEXT index over the public item columns, used to rank /api/items/search
+-- for everyone except admins (ft_items_search also covers brand and
+-- unique_marks, which only the reporter and admins may search by)
+
+ALTER TABLE items
+ADD FULLTEXT INDEX ft_items_public (item_type, description, location_found, material);
@@ -0,0 +1,11 @@
+-- Versioned category taxonomy edited through the admin API
+-- The latest row is the active taxonomy; utils/taxonomy.json is used when the table is empty
+
+CREATE TABLE IF NOT EXISTS taxonomy_versions (
+  version_id INT AUTO_INCREMENT PRIMARY KEY,
+  taxonomy JSON NOT NULL,
+  notes VARCHAR(255),
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
@@ -25,12 +25,21 @@ CREATE TABLE IF NOT EXISTS items (
   subcategory VARCHAR(50),
   color VARCHAR(100),
   size VARCHAR(50),
+  material VARCHAR(100),
+  mark VARCHAR(255),
+  subject VARCHAR(100),
+  grade VARCHAR(50),
   brand VARCHAR(100),
   location_found VARCHAR(255),
   date_found DATE,
   unique_marks TEXT,
+  contents TEXT,
   pattern VARCHAR(100),
   image_path VARCHAR(255),
+  image_ai_path VARCHAR(255),
+  thumbnail_path VARCHAR(255),
+  image_phash CHAR(16),
+  image_dhash CHAR(16),
   status ENUM('lost', 'found', 'claimed') DEFAULT 'lost',
   date_reported TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   description TEXT,
@@ -41,7 +50,9 @@ CREATE TABLE IF NOT EXISTS items (
   INDEX idx_item_type (item_type),
   INDEX idx_color (color),
   INDEX idx_category (category),
-  INDEX idx_subcategory (subcategory)
+  INDEX idx_subcategory (subcategory),
+  FULLTEXT INDEX ft_items_search (item_type, description, brand, location_found, material, unique_marks),
+  FULLTEXT INDEX ft_items_public (item_type, description, location_found, material)
 );
 
 -- Matches table
@@ -50,6 +61,7 @@ CREATE TABLE IF NOT EXISTS matches (
   lost_item_id INT NOT NULL,
   found_item_id INT NOT NULL,
   match_score FLOAT,
+  explanation JSON,
   status ENUM('pending', 'confirmed', 'rejected') DEFAULT 'pending',
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -74,9 +86,99 @@ CREATE TABLE IF NOT EXISTS notifications (
   INDEX idx_is_read (is_read)
 );
 
+-- Item features table (AI-extracted image features, stored once per item)
+CREATE TABLE IF NOT EXISTS item_features (
+  item_id INT PRIMARY KEY,
+  labels JSON,
+  colors JSON,
+  objects JSON,
+  ai_description TEXT,
+  suggested_item_type VARCHAR(100),
+  suggested_category VARCHAR(50),
+  suggested_subcategory VARCHAR(50),
+  suggested_material VARCHAR(100),
+  suggested_brand VARCHAR(100),
+  source VARCHAR(50),
+  model VARCHAR(255),
+  extracted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+  INDEX idx_item_features_source (source)
+);
+
+-- Item embeddings table (visual similarity vectors)
+CREATE TABLE IF NOT EXISTS item_embeddings (
+  item_id INT PRIMARY KEY,
+  model VARCHAR(255) NOT NULL,
+  dimensions SMALLINT UNSIGNED NOT NULL,
+  vector BLOB NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+  INDEX idx_item_embeddings_model (model)
+);
+
+-- Claims table (ownership verification for found items)
+CREATE TABLE IF NOT EXISTS claims (
+  claim_id INT AUTO_INCREMENT PRIMARY KEY,
+  found_item_id INT NOT NULL,
+  claimant_id INT NOT NULL,
+  status ENUM('requested', 'verifying', 'approved', 'denied', 'picked_up') DEFAULT 'requested',
+  answers JSON,
+  admin_id INT NULL,
+  admin_notes TEXT,
+  answered_at TIMESTAMP NULL,
+  decided_at TIMESTAMP NULL,
+  picked_up_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (found_item_id) REFERENCES items(item_id) ON DELETE CASCADE,
+  FOREIGN KEY (claimant_id) REFERENCES users(user_id) ON DELETE CASCADE,
+  FOREIGN KEY (admin_id) REFERENCES users(user_id) ON DELETE SET NULL,
+  INDEX idx_claims_status (status),
+  INDEX idx_claims_item (found_item_id),
+  INDEX idx_claims_claimant (claimant_id)
+);
+
+-- Category taxonomy versions (latest row is active, utils/taxonomy.json when empty)
+CREATE TABLE IF NOT EXISTS taxonomy_versions (
+  version_id INT AUTO_INCREMENT PRIMARY KEY,
+  taxonomy JSON NOT NULL,
+  notes VARCHAR(255),
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Background jobs (matching and AI analysis, retried with backoff)
+CREATE TABLE IF NOT EXISTS jobs (
+  job_id INT AUTO_INCREMENT PRIMARY KEY,
+  type VARCHAR(50) NOT NULL,
+  payload JSON NOT NULL,
+  idempotency_key VARCHAR(191) NULL,
+  status ENUM('pending', 'running', 'completed', 'dead') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 5,
+  run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_by VARCHAR(100) NULL,
+  locked_at TIMESTAMP NULL,
+  last_error TEXT,
+  result JSON,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP NULL,
+  UNIQUE KEY uq_jobs_idempotency_key (idempotency_key),
+  INDEX idx_jobs_status_run_at (status, run_at),
+  INDEX idx_jobs_type (type)
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_items_user_id ON items(user_id);
 CREATE INDEX IF NOT EXISTS idx_items_date_reported ON items(date_reported);
+CREATE INDEX IF NOT EXISTS idx_items_date_found ON items(date_found);
+CREATE INDEX IF NOT EXISTS idx_items_status_date_reported ON items(status, date_reported);
+CREATE INDEX IF NOT EXISTS idx_items_location_found ON items(location_found);
+CREATE INDEX IF NOT EXISTS idx_items_mark ON items(mark);
+CREATE INDEX IF NOT EXISTS idx_items_subject ON items(subject);
+CREATE INDEX IF NOT EXISTS idx_items_grade ON items(grade);
 CREATE INDEX IF NOT EXISTS idx_matches_lost_item ON matches(lost_item_id);
 CREATE INDEX IF NOT EXISTS idx_matches_found_item ON matches(found_item_id);
 
@@ -11,7 +11,7 @@ import sys
 
 # Try to import transformers - handle import errors gracefully
 try:
-    from transformers import pipeline
+    from transformers import pipeline, CLIPModel, CLIPProcessor
 except ImportError as e:
     print(f"❌ Error importing transformers: {e}")
     print("   Please install: pip install transformers")
@@ -36,6 +36,11 @@ CORS(app)  # Enable CORS for Node.js backend
 # Global classifier - loaded once at startup
 classifier = None
 
+# Global embedding model (CLIP) - optional, /classify works without it
+embed_model = None
+embed_processor = None
+embed_model_name = None
+
 def load_model(model_name="google/vit-base-patch16-224"):
     """Load the image classification model"""
     global classifier
@@ -55,12 +60,56 @@ def load_model(model_name="google/vit-base-patch16-224"):
         print(f"❌ Error loading model: {e}")
         return False
 
+def load_embedding_model(model_name="openai/clip-vit-base-patch32"):
+    """Load the CLIP model used for image embeddings"""
+    global embed_model, embed_processor, embed_model_name
+    try:
+        print(f"🤖 Loading embedding model: {model_name}...")
+        print("   (This may take a few minutes on first run - downloading ~600MB)")
+
+        embed_processor = CLIPProcessor.from_pretrained(model_name)
+        embed_model = CLIPModel.from_pretrained(model_name)
+        embed_model.eval()
+        embed_model_name = model_name
+
+        print(f"✅ Embedding model '{model_name}' loaded successfully!")
+        return True
+    except Exception as e:
+        print(f"❌ Error loading embedding model: {e}")
+        print("   /embed will be unavailable, /classify still works")
+        return False
+
+def compute_embedding(image):
+    """L2-normalized CLIP image embedding, as a list of floats"""
+    inputs = embed_processor(images=image, return_tensors="pt")
+    with torch.no_grad():
+        features = embed_model.get_image_features(**inputs)
+    features = features / features.norm(dim=-1, keepdim=True)
+    return features[0].tolist()
+
+def embedding_response(image):
+    """Embed an image and format the JSON response"""
+    if image.mode != 'RGB':
+        image = image.convert('RGB')
+
+    print("🧬 Computing image embedding...")
+    embedding = compute_embedding(image)
+    print(f"✅ Embedding complete: {len(embedding)} dimensions")
+
+    return jsonify({
+        'embedding': embedding,
+        'dimensions': len(embedding),
+        'model': embed_model_name,
+        'source': 'local_transformers'
+    })
+
 @app.route('/health', methods=['GET'])
 def health():
     """Health check endpoint"""
     return jsonify({
         'status': 'ok',
-        'model_loaded': classifier is not None
+        'model_loaded': classifier is not None,
+        'embedding_model_loaded': embed_model is not None
     })
 
 @app.route('/classify', methods=['POST'])
@@ -178,6 +227,46 @@ def classify_image_url():
             'labels': []
         }), 500
 
+@app.route('/embed', methods=['POST'])
+def embed_image():
+    """Compute a visual embedding of an uploaded image"""
+    try:
+        if embed_model is None:
+            return jsonify({'error': 'Embedding model not loaded'}), 503
+
+        if 'image' not in request.files:
+            return jsonify({'error': 'No image file provided'}), 400
+
+        image = Image.open(io.BytesIO(request.files['image'].read()))
+        return embedding_response(image)
+
+    except Exception as e:
+        print(f"❌ Embedding error: {e}")
+        return jsonify({'error': str(e)}), 500
+
+@app.route('/embed_url', methods=['POST'])
+def embed_image_url():
+    """Compute a visual embedding of an image from URL"""
+    try:
+        if embed_model is None:
+            return jsonify({'error': 'Embedding model not loaded'}), 503
+
+        data = request.get_json()
+        if not data or 'url' not in data:
+            return jsonify({'error': 'No image URL provided'}), 400
+
+        import requests
+
+        response = requests.get(data['url'], timeout=10)
+        response.raise_for_status()
+
+        image = Image.open(io.BytesIO(response.content))
+        return embedding_response(image)
+
+    except Exception as e:
+        print(f"❌ Embedding error: {e}")
+        return jsonify({'error': str(e)}), 500
+
 if __name__ == '__main__':
     # Get model name from environment or use default
     model_name = os.getenv('HF_MODEL', 'google/vit-base-patch16-224')
@@ -186,6 +275,11 @@ if __name__ == '__main__':
     if not load_model(model_name):
         print("❌ Failed to load model. Exiting...")
         sys.exit(1)
+
+    # The embedding model is optional: set EMBED_MODEL=none to skip it
+    embedding_model_name = os.getenv('EMBED_MODEL', 'openai/clip-vit-base-patch32')
+    if embedding_model_name.lower() != 'none':
+        load_embedding_model(embedding_model_name)
     
     # Get port from environment or use default
     port = int(os.getenv('PYTHON_SERVICE_PORT', 5000))
@@ -193,7 +287,8 @@ if __name__ == '__main__':
     print(f"\n🚀 Python Image Classification Service starting...")
     print(f"   Model: {model_name}")
     print(f"   Port: {port}")
-    print(f"   Endpoint: http://localhost:{port}/classify\n")
+    print(f"   Endpoint: http://localhost:{port}/classify")
+    print(f"   Embeddings: {embed_model_name or 'disabled'} (http://localhost:{port}/embed)\n")
     
     app.run(host='0.0.0.0', port=port, debug=False)
 
@@ -1,5 +1,14 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const claimService = require('../services/claimService');
+const taxonomyService = require('../services/taxonomyService');
+const vectorIndex = require('../services/vectorIndex');
+const aiProviderRegistry = require('../services/aiProviderRegistry');
+const embeddingStore = require('../services/embeddingStore');
+const jobRunner = require('../services/jobRunner');
+const categoryMapper = require('../utils/categoryMapper');
+const { parsePagination, buildItemFilters, orderAndLimitSql, paginationMeta } = require('../utils/listQuery');
+const { withTransaction } = require('../utils/transaction');
 
 // Middleware to verify JWT and admin role
 const verifyAdminToken = async (req, res, next, pool) => {
@@ -72,8 +81,16 @@ module.exports = (pool) => {
     verifyAdminToken(req, res, next, pool);
   }, async (req, res) => {
     try {
+      const pagination = parsePagination(req.query, { maxLimit: 200 });
+      const { conditions, params } = buildItemFilters(req.query, 'i');
+      const whereSql = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
       const connection = await pool.getConnection();
 
+      const [[{ total }]] = await connection.execute(
+        `SELECT COUNT(*) AS total FROM items i${whereSql}`,
+        params
+      );
       const [rows] = await connection.execute(
         `SELECT 
           i.item_id, i.user_id, i.item_type, i.category, i.subcategory,
@@ -83,8 +100,8 @@ module.exports = (pool) => {
           u.name AS student_name, u.email AS student_email, u.phone AS student_phone,
           u.class AS student_class, u.school AS student_school, u.grade AS student_grade
         FROM items i
-        LEFT JOIN users u ON u.user_id = i.user_id
-        ORDER BY i.date_reported DESC`
+        LEFT JOIN users u ON u.user_id = i.user_id${whereSql}${orderAndLimitSql(pagination, 'i')}`,
+        params
       );
 
       connection.release();
@@ -123,7 +140,7 @@ module.exports = (pool) => {
         };
       });
 
-      res.json({ items });
+      res.json({ items, pagination: paginationMeta(pagination, total) });
     } catch (error) {
       console.error(error);
       res.status(500).json({ error: 'Failed to fetch items' });
@@ -164,6 +181,7 @@ module.exports = (pool) => {
         'UPDATE items SET status = ? WHERE item_id = ?',
         [status, itemId]
       );
+      vectorIndex.setStatus(itemId, status);
 
       connection.release();
 
@@ -253,6 +271,7 @@ module.exports = (pool) => {
       const connection = await pool.getConnection();
 
       await connection.execute('DELETE FROM items WHERE item_id = ?', [itemId]);
+      vectorIndex.remove(itemId);
 
       connection.release();
 
@@ -263,6 +282,369 @@ module.exports = (pool) => {
     }
   });
 
+  // List claims with the claimant's answers next to the item's private details
+  router.get('/claims', async (req, res, next) => {
+    verifyAdminToken(req, res, next, pool);
+  }, async (req, res) => {
+    try {
+      const { status } = req.query;
+      const connection = await pool.getConnection();
+
+      let query = `
+        SELECT c.*,
+          i.item_type, i.color, i.size, i.brand, i.mark, i.unique_marks, i.contents,
+          i.location_found, i.image_path, i.status AS item_status, i.user_id AS finder_id,
+          u.name AS claimant_name, u.email AS claimant_email, u.phone AS claimant_phone
+        FROM claims c
+        INNER JOIN items i ON c.found_item_id = i.item_id
+        LEFT JOIN users u ON u.user_id = c.claimant_id
+      `;
+      const params = [];
+
+      if (status) {
+        query += ' WHERE c.status = ?';
+        params.push(status);
+      }
+
+      query += ' ORDER BY c.created_at DESC';
+
+      const [rows] = await connection.execute(query, params);
+
+      connection.release();
+
+      const claims = rows.map((row) => {
+        const answers = claimService.parseAnswers(row.answers);
+        return {
+          claim_id: row.claim_id,
+          status: row.status,
+          created_at: row.created_at,
+          answered_at: row.answered_at,
+          decided_at: row.decided_at,
+          picked_up_at: row.picked_up_at,
+          admin_notes: row.admin_notes,
+          claimant: {
+            user_id: row.claimant_id,
+            name: row.claimant_name,
+            email: row.claimant_email,
+            phone: row.claimant_phone,
+          },
+          item: {
+            item_id: row.found_item_id,
+            item_type: row.item_type,
+            color: row.color,
+            size: row.size,
+            location_found: row.location_found,
+            image_path: row.image_path,
+            status: row.item_status,
+            finder_id: row.finder_id,
+          },
+          verification: claimService.getQuestions(row).map(({ field, question }) => ({
+            field,
+            question,
+            expected: row[field],
+            answer: answers[field] || null,
+          })),
+          answer_scores: claimService.scoreAnswers(row, answers),
+        };
+      });
+
+      res.json({ claims });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Failed to fetch claims' });
+    }
+  });
+
+  // Move a claim through its lifecycle and notify the people involved.
+  // The claim and its item are locked, so two claims on one item are never
+  // both approved; approving one denies the item's other open claims.
+  const decideClaim = (targetStatus) => async (req, res) => {
+    try {
+      const { claimId } = req.params;
+      const { notes } = req.body || {};
+
+      const connection = await pool.getConnection();
+
+      let outcome;
+      try {
+        outcome = await withTransaction(connection, async () => {
+          const [claims] = await connection.execute(
+            `SELECT c.*, i.item_type, i.user_id AS finder_id, i.status AS item_status
+             FROM claims c
+             INNER JOIN items i ON c.found_item_id = i.item_id
+             WHERE c.claim_id = ?
+             FOR UPDATE`,
+            [claimId]
+          );
+
+          if (claims.length === 0) {
+            return { status: 404, error: 'Claim not found' };
+          }
+
+          const claim = claims[0];
+          if (!claimService.canTransition(claim.status, targetStatus)) {
+            return { status: 409, error: `Cannot move claim from ${claim.status} to ${targetStatus}` };
+          }
+          if (targetStatus === 'approved' && claim.item_status !== 'found') {
+            return { status: 409, error: `The item is ${claim.item_status}, not available to claim` };
+          }
+
+          await claimService.updateStatus(connection, claim.claim_id, targetStatus, {
+            adminId: req.userId,
+            notes: notes || null,
+          });
+
+          const notify = async (userId, message) => {
+            await connection.execute(
+              `INSERT INTO notifications (user_id, item_id, message, is_read, notification_type, created_by_admin)
+               VALUES (?, ?, ?, FALSE, 'claim_update', 1)`,
+              [userId, claim.found_item_id, message]
+            );
+          };
+
+          let itemStatus = null;
+          if (targetStatus === 'approved') {
+            await connection.execute(
+              `UPDATE items SET status = 'claimed' WHERE item_id = ?`,
+              [claim.found_item_id]
+            );
+            itemStatus = 'claimed';
+            await notify(claim.claimant_id, `Your claim for the ${claim.item_type} was approved. Please visit the office to pick it up.`);
+
+            const competing = await claimService.denyOpenClaims(connection, claim.found_item_id, {
+              exceptClaimId: claim.claim_id,
+              adminId: req.userId,
+              reason: 'Another claim for this item was approved',
+            });
+            for (const other of competing) {
+              await notify(other.claimant_id, `Your claim for the ${claim.item_type} was denied: the item was returned to another claimant.`);
+            }
+          } else if (targetStatus === 'denied') {
+            // A denied claim frees the item again if it had been approved
+            if (claim.status === 'approved') {
+              await connection.execute(
+                `UPDATE items SET status = 'found' WHERE item_id = ?`,
+                [claim.found_item_id]
+              );
+              itemStatus = 'found';
+            }
+            await notify(claim.claimant_id, `Your claim for the ${claim.item_type} was denied.${notes ? ` Reason: ${notes}` : ''}`);
+          } else if (targetStatus === 'picked_up') {
+            await notify(claim.finder_id, `The ${claim.item_type} you found was picked up by its owner. Thank you!`);
+          }
+
+          return { claim, itemStatus };
+        });
+      } finally {
+        connection.release();
+      }
+
+      if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+      if (outcome.itemStatus) {
+        vectorIndex.setStatus(outcome.claim.found_item_id, outcome.itemStatus);
+      }
+
+      const { claim } = outcome;
+      res.json({ message: `Claim ${targetStatus.replace('_', ' ')}`, claim_id: claim.claim_id, status: targetStatus });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Failed to update claim' });
+    }
+  };
+
+  // Approve a claim (verifying → approved)
+  router.put('/claims/:claimId/approve', async (req, res, next) => {
+    verifyAdminToken(req, res, next, pool);
+  }, decideClaim('approved'));
+
+  // Deny a claim
+  router.put('/claims/:claimId/deny', async (req, res, next) => {
+    verifyAdminToken(req, res, next, pool);
+  }, decideClaim('denied'));
+
+  // Mark an approved claim as picked up
+  router.put('/claims/:claimId/picked-up', async (req, res, next) => {
+    verifyAdminToken(req, res, next, pool);
+  }, decideClaim('picked_up'));
+
+  // Active category taxonomy
+  router.get('/taxonomy', async (req, res, next) => {
+    verifyAdminToken(req, res, next, pool);
+  }, async (req, res) => {
+    res.json(taxonomyService.getActive());
+  });
+
+  // Publish a new taxonomy version (body: { taxonomy, notes })
+  router.put('/taxonomy', async (req, res, next) => {
+    verifyAdminToken(req, res, next, pool);
+  }, async (req, res) => {
+    try {
+      const { taxonomy, notes } = req.body || {};
+      if (!taxonomy) {
+        return res.status(400).json({ error: 'taxonomy is required' });
+      }
+
+      const errors = categoryMapper.validateTaxonomy(taxonomy);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid taxonomy', details: errors });
+      }
+
+      const connection = await pool.getConnection();
+      const version = await taxonomyService.publish(connection, taxonomy, {
+        adminId: req.userId,
+        notes: notes || null,
+      });
+      connection.release();
+
+      res.json({ message: 'Taxonomy updated', version });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Failed to update taxonomy' });
+    }
+  });
+
+  // Taxonomy version history
+  router.get('/taxonomy/versions', async (req, res, next) => {
+    verifyAdminToken(req, res, next, pool);
+  }, async (req, res) => {
+    try {
+      const connection = await pool.getConnection();
+      const versions = await taxonomyService.listVersions(connection);
+      connection.release();
+
+      res.json({ versions });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Failed to fetch taxonomy versions' });
+    }
+  });
+
+  // Restore an older taxonomy (stored again as the newest version)
+  router.post('/taxonomy/versions/:versionId/restore', async (req, res, next) => {
+    verifyAdminToken(req, res, next, pool);
+  }, async (req, res) => {
+    try {
+      const connection = await pool.getConnection();
+
+      const stored = await taxonomyService.getVersion(connection, req.params.versionId);
+      if (!stored) {
+        connection.release();
+        return res.status(404).json({ error: 'Taxonomy version not found' });
+      }
+
+      const version = await taxonomyService.publish(connection, stored.taxonomy, {
+        adminId: req.userId,
+        notes: `Restored from version ${stored.version_id}`,
+      });
+      connection.release();
+
+      res.json({ message: 'Taxonomy restored', version });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Failed to restore taxonomy' });
+    }
+  });
+
+  // AI providers: chain order, settings and circuit breaker state (plus the embedding service's)
+  router.get('/ai-providers', async (req, res, next) => {
+    verifyAdminToken(req, res, next, pool);
+  }, async (req, res) => {
+    res.json({
+      ...aiProviderRegistry.getHealth(),
+      embedding: { circuit: embeddingStore.breaker.getStats(), queue: embeddingStore.queue.getStats() },
+    });
+  });
+
+  // Close a provider's circuit (e.g. after fixing its credentials)
+  router.post('/ai-providers/:name/reset', async (req, res, next) => {
+    verifyAdminToken(req, res, next, pool);
+  }, async (req, res) => {
+    if (!aiProviderRegistry.resetCircuit(req.params.name)) {
+      return res.status(404).json({ error: 'Unknown AI provider' });
+    }
+    res.json({ message: 'Circuit reset', ...aiProviderRegistry.getHealth() });
+  });
+
+  // Background jobs, newest first (query: status, type, page, limit)
+  router.get('/jobs', async (req, res, next) => {
+    verifyAdminToken(req, res, next, pool);
+  }, async (req, res) => {
+    try {
+      const pagination = parsePagination(req.query, { defaultSort: 'created_at' });
+      const connection = await pool.getConnection();
+
+      const { jobs, total } = await jobRunner.list(connection, {
+        status: req.query.status,
+        type: req.query.type,
+        limit: pagination.limit,
+        offset: pagination.offset,
+      });
+      const counts = await jobRunner.counts(connection);
+      connection.release();
+
+      res.json({
+        jobs,
+        counts,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total,
+          total_pages: Math.ceil(total / pagination.limit),
+        },
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Failed to fetch jobs' });
+    }
+  });
+
+  // One job with its payload, result and last error
+  router.get('/jobs/:jobId', async (req, res, next) => {
+    verifyAdminToken(req, res, next, pool);
+  }, async (req, res) => {
+    try {
+      const connection = await pool.getConnection();
+      const job = await jobRunner.get(connection, req.params.jobId);
+      connection.release();
+
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      res.json({ job });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Failed to fetch job' });
+    }
+  });
+
+  // Run a failed (dead, or waiting for a retry) job again with fresh attempts
+  router.post('/jobs/:jobId/retry', async (req, res, next) => {
+    verifyAdminToken(req, res, next, pool);
+  }, async (req, res) => {
+    try {
+      const connection = await pool.getConnection();
+
+      const job = await jobRunner.get(connection, req.params.jobId);
+      if (!job) {
+        connection.release();
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      const retried = await jobRunner.retry(connection, job.job_id);
+      connection.release();
+
+      if (!retried) {
+        return res.status(409).json({ error: `Only failed jobs can be retried (job is ${job.status})` });
+      }
+      res.json({ message: 'Job queued again', jobId: job.job_id });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Failed to retry job' });
+    }
+  });
+
   // Ban user
   router.put('/users/:id/ban', async (req, res, next) => {
     verifyAdminToken(req, res, next, pool);
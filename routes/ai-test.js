@@ -1,5 +1,9 @@
 const express = require('express');
 const aiMatchingService = require('../services/aiMatchingService');
+const aiProviderRegistry = require('../services/aiProviderRegistry');
+const imagePreprocessor = require('../services/imagePreprocessor');
+const { abortOnDisconnect } = require('../utils/clientDisconnect');
+const { UPLOAD_LIMITS, validateImageUpload } = require('../utils/uploadValidation');
 
 module.exports = (upload) => {
   const router = express.Router();
@@ -18,6 +22,7 @@ module.exports = (upload) => {
         message: hasApiKey 
           ? 'Google Vision API key is set. AI should work when images are uploaded.'
           : 'Please set GOOGLE_VISION_API_KEY in .env file',
+        providers: aiProviderRegistry.getProviders(),
       });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -25,17 +30,18 @@ module.exports = (upload) => {
   });
 
   // Test image analysis (requires image file)
-  router.post('/analyze', upload.single('image'), async (req, res) => {
-    try {
-      if (!req.file) {
-        return res.status(400).json({ error: 'No image file provided' });
-      }
+  router.post('/analyze', upload.single('image'), validateImageUpload(UPLOAD_LIMITS.analyze), async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image file provided' });
+    }
 
-      const features = await aiMatchingService.extractImageFeatures(req.file.path);
-      
-      // Clean up
-      const fs = require('fs');
-      fs.unlink(req.file.path, () => {});
+    let images = null;
+    try {
+      images = await imagePreprocessor.process(req.file.path);
+      const features = await aiMatchingService.extractImageFeatures(images.ai, {
+        priority: 'interactive',
+        signal: abortOnDisconnect(res),
+      });
 
       res.json({
         success: true,
@@ -45,10 +51,18 @@ module.exports = (upload) => {
           : 'AI analysis successful',
       });
     } catch (error) {
+      if (error.code === 'CANCELLED') {
+        return;
+      }
+      if (error.code === 'UNPROCESSABLE_IMAGE') {
+        return res.status(422).json({ error: error.message });
+      }
       res.status(500).json({ 
         error: error.message,
         details: error.response?.data || 'Unknown error',
       });
+    } finally {
+      if (images) imagePreprocessor.remove(images);
     }
   });
 
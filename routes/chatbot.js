@@ -1,5 +1,7 @@
 const express = require('express');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { toPublicItem } = require('../utils/itemVisibility');
+const { tokenize, expandTerms } = require('../utils/textNormalizer');
 
 module.exports = (pool) => {
   const router = express.Router();
@@ -11,9 +13,7 @@ module.exports = (pool) => {
 
   // Helper function to extract search terms from message
   function extractSearchTerms(message) {
-    const lowerMessage = message.toLowerCase();
-    const words = lowerMessage.split(/[\s,]+/).filter(w => w.length > 1);
-    return words;
+    return expandTerms(tokenize(message));
   }
 
   // Chatbot endpoint - uses Gemini AI to answer questions about items in database
@@ -58,7 +58,7 @@ module.exports = (pool) => {
       );
       
       // Search in items
-      const [items] = await connection.execute(
+      const [rows] = await connection.execute(
         `SELECT item_id, item_type, category, subcategory, color, size, location_found, status, description, date_reported, image_path
          FROM items 
          ${whereClause}
@@ -69,6 +69,9 @@ module.exports = (pool) => {
 
       connection.release();
 
+      // The chatbot is public - never put private item details in its context
+      const items = rows.map(toPublicItem);
+
       // Prepare context for Gemini
       const statsData = stats[0];
       const itemsContext = items.map(item => ({
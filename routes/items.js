@@ -1,11 +1,23 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const fs = require('fs');
-const path = require('path');
 const imageStorage = require('../services/imageStorage');
+const imagePreprocessor = require('../services/imagePreprocessor');
 const aiMatchingService = require('../services/aiMatchingService');
-const matchingService = require('../services/matchingService');
-const { mapLabelToCategory } = require('../utils/categoryMapper');
+const featureStore = require('../services/featureStore');
+const embeddingStore = require('../services/embeddingStore');
+const vectorIndex = require('../services/vectorIndex');
+const matchScorer = require('../services/matchScorer');
+const imageHash = require('../services/imageHash');
+const claimService = require('../services/claimService');
+const itemSuggestionService = require('../services/itemSuggestionService');
+const jobRunner = require('../services/jobRunner');
+const { withoutPrivateFields, toPublicItem, toPublicExplanation, canViewPrivateDetails, projectItem, loadViewer } = require('../utils/itemVisibility');
+const { parsePagination, buildItemFilters, orderAndLimitSql, paginationMeta } = require('../utils/listQuery');
+const { tokenize, expandTerms } = require('../utils/textNormalizer');
+const { abortOnDisconnect } = require('../utils/clientDisconnect');
+const { UPLOAD_LIMITS, validateImageUpload } = require('../utils/uploadValidation');
+const { withTransaction } = require('../utils/transaction');
 
 // Middleware to verify JWT
 const verifyToken = (req, res, next) => {
@@ -23,404 +35,232 @@ const verifyToken = (req, res, next) => {
   }
 };
 
-// Smart metadata-based matching when AI is unavailable
-function calculateMetadataMatchScore(item, searchImageFeatures, searchTerms) {
-  let score = 0;
-  const itemType = (item.item_type || '').toLowerCase().trim();
-  const itemColor = (item.color || '').toLowerCase().trim();
-  const itemDescription = (item.description || '').toLowerCase().trim();
-  const itemSize = (item.size || '').toLowerCase().trim();
-  
-  // Extract search terms from text and AI labels
-  let allSearchTerms = (searchTerms || '').toLowerCase().trim();
-  if (searchImageFeatures?.labels?.length > 0) {
-    const aiLabels = searchImageFeatures.labels
-      .map(l => l.description.toLowerCase().trim())
-      .filter(l => l.length > 0)
-      .join(' ');
-    allSearchTerms = `${allSearchTerms} ${aiLabels}`.trim();
-  }
-  
-  if (!allSearchTerms || allSearchTerms.length === 0) {
-    // No search terms - return base score
-    return {
-      ...item,
-      match_score: 0,
-    };
-  }
-  
-  // Split search terms into words (including multi-word terms)
-  const searchWords = allSearchTerms
-    .split(/\s+/)
-    .filter(w => w.length > 1)
-    .map(w => w.trim());
-  
-  // Also check for exact phrase match
-  const exactPhrase = allSearchTerms.trim();
-  
-  // Item type matching (highest weight - 60 points)
-  if (itemType && itemType.length > 0) {
-    // Exact match (highest score)
-    if (itemType === exactPhrase || searchWords.includes(itemType)) {
-      score += 60;
-    } else {
-      // Partial match with similarity
-      let bestMatch = 0;
-      for (const word of searchWords) {
-        if (itemType.includes(word) || word.includes(itemType)) {
-          bestMatch = Math.max(bestMatch, 40);
-        }
-        const similarity = aiMatchingService.stringSimilarity(itemType, word);
-        if (similarity > 0.7) {
-          bestMatch = Math.max(bestMatch, 50);
-        } else if (similarity > 0.5) {
-          bestMatch = Math.max(bestMatch, 30);
-        }
-      }
-      score += bestMatch;
-    }
-  }
-  
-  // Color matching (25 points)
-  if (itemColor && itemColor.length > 0) {
-    // Common color variations
-    const colorMap = {
-      'red': ['red', 'rouge', 'أحمر'],
-      'blue': ['blue', 'bleu', 'أزرق'],
-      'green': ['green', 'vert', 'أخضر'],
-      'yellow': ['yellow', 'jaune', 'أصفر'],
-      'black': ['black', 'noir', 'أسود'],
-      'white': ['white', 'blanc', 'أبيض'],
-      'gray': ['gray', 'grey', 'gris', 'رمادي'],
-      'orange': ['orange', 'برتقالي'],
-      'purple': ['purple', 'violet', 'بنفسجي'],
-    };
-    
-    let colorMatch = false;
-    const normalizedColor = itemColor.toLowerCase();
-    
-    // Direct match
-    if (searchWords.some(word => normalizedColor.includes(word) || word.includes(normalizedColor))) {
-      colorMatch = true;
-      score += 25;
-    } else {
-      // Check color variations
-      for (const [key, variations] of Object.entries(colorMap)) {
-        if (normalizedColor === key || variations.includes(normalizedColor)) {
-          if (searchWords.some(word => variations.includes(word) || word === key)) {
-            colorMatch = true;
-            score += 20;
-            break;
-          }
-        }
-      }
-    }
-  }
-  
-  // Description matching (20 points for exact, 15 for partial, 10 for word match)
-  if (itemDescription && itemDescription.length > 0) {
-    // Exact phrase match
-    if (itemDescription.includes(exactPhrase)) {
-      score += 20;
-    } else {
-      // Count matching words
-      let matchingWords = 0;
-      for (const word of searchWords) {
-        if (itemDescription.includes(word)) {
-          matchingWords++;
-        }
-      }
-      
-      if (matchingWords > 0) {
-        const matchRatio = matchingWords / searchWords.length;
-        if (matchRatio >= 0.7) {
-          score += 15; // Most words match
-        } else if (matchRatio >= 0.4) {
-          score += 10; // Some words match
-        } else {
-          score += 5; // Few words match
-        }
-      }
-    }
+// JSON columns come back parsed from MySQL and as strings from MariaDB
+const parseJsonColumn = (value) => {
+  if (value == null || typeof value !== 'string') return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
   }
-  
-  // Size matching (10 points)
-  if (itemSize && itemSize.length > 0) {
-    const sizeMatch = searchWords.some(word => {
-      const normalizedSize = itemSize.toLowerCase();
-      return normalizedSize.includes(word) || word.includes(normalizedSize) ||
-             (word === 'small' && normalizedSize === 'small') ||
-             (word === 'medium' && normalizedSize === 'medium') ||
-             (word === 'large' && normalizedSize === 'large');
-    });
-    if (sizeMatch) {
-      score += 10;
-    }
+};
+
+// Columns covered by the ft_items_search FULLTEXT index
+const FULLTEXT_COLUMNS = 'item_type, description, brand, location_found, material, unique_marks';
+
+// Columns covered by the ft_items_public FULLTEXT index: no private details,
+// so a search for someone else's hidden marks or brand ranks nothing higher
+const PUBLIC_FULLTEXT_COLUMNS = 'item_type, description, location_found, material';
+
+// Relevance-ranked search over found items using a FULLTEXT index.
+// When nothing matches directly, all found items are ranked with query expansion.
+async function fullTextSearch(connection, searchWords, columns = PUBLIC_FULLTEXT_COLUMNS) {
+  const searchText = searchWords.join(' ');
+  const colorPlaceholders = searchWords.map(() => '?').join(', ');
+
+  const [rows] = await connection.execute(
+    `SELECT *, MATCH(${columns}) AGAINST (? IN NATURAL LANGUAGE MODE) AS relevance
+     FROM items
+     WHERE status = 'found'
+       AND (MATCH(${columns}) AGAINST (? IN NATURAL LANGUAGE MODE)
+            OR LOWER(color) IN (${colorPlaceholders}))
+     ORDER BY relevance DESC, date_reported DESC
+     LIMIT 50`,
+    [searchText, searchText, ...searchWords]
+  );
+
+  if (rows.length > 0) {
+    return rows;
   }
-  
-  // Bonus: Multiple criteria match (10 points)
-  let criteriaMatched = 0;
-  if (itemType && searchWords.some(w => itemType.includes(w) || w.includes(itemType))) criteriaMatched++;
-  if (itemColor && searchWords.some(w => itemColor.includes(w) || w.includes(itemColor))) criteriaMatched++;
-  if (itemDescription && searchWords.some(w => itemDescription.includes(w))) criteriaMatched++;
-  if (itemSize && searchWords.some(w => itemSize.includes(w))) criteriaMatched++;
-  
-  if (criteriaMatched >= 3) {
-    score += 15; // Bonus for matching multiple criteria
-  } else if (criteriaMatched >= 2) {
-    score += 8;
+
+  console.log('ℹ️ No items matched the search directly, ranking found items with query expansion');
+  const [expandedRows] = await connection.execute(
+    `SELECT *, MATCH(${columns}) AGAINST (? WITH QUERY EXPANSION) AS relevance
+     FROM items
+     WHERE status = 'found'
+     ORDER BY relevance DESC, date_reported DESC
+     LIMIT 50`,
+    [searchText]
+  );
+  return expandedRows;
+}
+
+// LIKE search for databases without the FULLTEXT index
+async function keywordSearch(connection, searchWords) {
+  const whereClauses = [];
+  const params = [];
+
+  for (const word of searchWords) {
+    const like = `%${word}%`;
+    whereClauses.push('(item_type LIKE ? OR color LIKE ? OR description LIKE ?)');
+    params.push(like, like, like);
   }
-  
-  // Ensure minimum score for any match
-  if (score > 0 && score < 10) {
-    score = 10; // Minimum visible score
+
+  const [rows] = await connection.execute(
+    `SELECT * FROM items WHERE status = 'found' AND (${whereClauses.join(' OR ')}) LIMIT 50`,
+    params
+  );
+  if (rows.length > 0) {
+    return rows;
   }
-  
-  return {
-    ...item,
-    match_score: Math.min(Math.round(score), 100),
-  };
+
+  const [recentRows] = await connection.execute(
+    `SELECT * FROM items WHERE status = 'found' ORDER BY date_reported DESC LIMIT 50`
+  );
+  return recentRows;
 }
 
 module.exports = (pool, upload) => {
   const router = express.Router();
 
+  // Suggest report fields from an image before the user submits the form.
+  // Nothing is stored: the client prefills the form and the user confirms it.
+  // Same upload limits as /report, since the photo is the one later reported.
+  router.post('/suggest', verifyToken, upload.single('image'), validateImageUpload(UPLOAD_LIMITS.report), async (req, res) => {
+    if (!req.file || !req.file.path) {
+      return res.status(400).json({ error: 'Image is required' });
+    }
+
+    let images = null;
+    try {
+      images = await imagePreprocessor.process(req.file.path);
+      const { itemType } = req.body || {};
+      const features = await aiMatchingService.extractImageFeatures(images.ai, {
+        priority: 'interactive',
+        signal: abortOnDisconnect(res),
+      });
+      const suggestions = itemSuggestionService.buildSuggestions(features, { itemType });
+
+      res.json({
+        suggestions,
+        labels: (features?.labels || []).slice(0, 10),
+        aiAvailable: !!features && !features.note,
+        source: features?.source || null,
+      });
+    } catch (error) {
+      if (error.code === 'CANCELLED') {
+        return;
+      }
+      if (error.code === 'UNPROCESSABLE_IMAGE') {
+        return res.status(422).json({ error: error.message });
+      }
+      console.error('Suggestion error:', error);
+      res.status(500).json({ error: 'Failed to analyze image' });
+    } finally {
+      if (images) imagePreprocessor.remove(images);
+    }
+  });
+
   // Report item (lost or found)
-  router.post('/report', verifyToken, upload.single('image'), async (req, res) => {
+  router.post('/report', verifyToken, upload.single('image'), validateImageUpload(UPLOAD_LIMITS.report), async (req, res) => {
     try {
-      const { itemType, color, size, location, status, category, subcategory, material, mark, subject, grade } = req.body;
-      let { description } = req.body || '';
+      const { itemType, color, size, location, status, category, subcategory, material, mark, subject, grade, brand, uniqueMarks, contents } = req.body;
+      const { description } = req.body || '';
       const userId = req.userId;
 
-      let finalCategory = category;
-      let finalSubcategory = subcategory;
-      let aiFeatures = null;
       let imagePath = null;
+      let aiImagePath = null;
+      let thumbnailPath = null;
+      let hashes = null;
 
-      // Analyze image with Amazon Rekognition if available (BEFORE uploadImage which may delete the file)
-      if (req.file && req.file.path) {
-        // Check if file exists
-        if (!fs.existsSync(req.file.path)) {
-          console.warn('⚠️ Uploaded file does not exist:', req.file.path);
-        } else {
-          try {
-            console.log('📸 Analyzing uploaded image with Amazon Rekognition...');
-            aiFeatures = await aiMatchingService.extractImageFeatures(req.file.path);
-          
-          if (aiFeatures && aiFeatures.labels && aiFeatures.labels.length > 0) {
-            // Extract top relevant labels
-            const topLabels = aiFeatures.labels
-              .slice(0, 5)
-              .map(label => label.description)
-              .join(', ');
-            
-            // Build AI description
-            let aiDescription = `\n\nAI detected: ${topLabels}`;
-            
-            // Add colors if detected
-            if (aiFeatures.colors && aiFeatures.colors.length > 0) {
-              aiDescription += ` (colors: ${aiFeatures.colors.join(', ')})`;
-            }
-            
-            // Append AI description to user description
-            description = (description || '').trim();
-            if (description) {
-              description += aiDescription;
-            } else {
-              description = aiDescription.trim();
-            }
-            
-            console.log('✅ AI analysis added to description');
-            console.log('   Labels:', topLabels);
-            if (aiFeatures.colors && aiFeatures.colors.length > 0) {
-              console.log('   Colors:', aiFeatures.colors.join(', '));
-            }
+      if (req.file && req.file.path && fs.existsSync(req.file.path)) {
+        // Upright, metadata-free original plus the AI copy and the thumbnail
+        const images = await imagePreprocessor.process(req.file.path);
 
-            // Auto-detect category from AI labels if not provided
-            if (!finalCategory && aiFeatures.labels.length > 0) {
-              const topLabel = aiFeatures.labels[0].description;
-              const categoryMap = mapLabelToCategory(topLabel);
-              finalCategory = categoryMap.category;
-              finalSubcategory = categoryMap.subcategory;
-              console.log('   Auto-detected category:', finalCategory, '/', finalSubcategory);
-            }
-          }
-          } catch (aiError) {
-            console.warn('⚠️ AI analysis failed, saving without AI description:', aiError.message);
-            // Continue without AI description if analysis fails
-          }
+        // Perceptual hashes are computed locally, so near-duplicate photos match without any AI provider
+        try {
+          hashes = await imageHash.computeHashes(images.ai);
+        } catch (hashError) {
+          console.warn('⚠️ Could not hash uploaded image:', hashError.message);
         }
-      }
 
-      // Upload image AFTER analysis (so the file is still available for AI processing)
-      if (req.file && req.file.path && fs.existsSync(req.file.path)) {
-        imagePath = await imageStorage.uploadImage(req.file.path);
+        imagePath = await imageStorage.uploadImage(images.original);
+        aiImagePath = await imageStorage.uploadImage(images.ai);
+        thumbnailPath = await imageStorage.uploadImage(images.thumbnail);
       }
 
-      const connection = await pool.getConnection();
+      // Categories suggested from the item type alone; the match_item job
+      // fills in a missing category once the photo is analyzed, and its
+      // photo-based suggestions are read from GET /:itemId/analysis
+      const { categorySuggestions } = itemSuggestionService.buildSuggestions(null, { itemType });
 
-      // Build description with mark, subject, grade if provided
-      let finalDescription = description;
-      if (mark && mark.trim()) {
-        finalDescription = (finalDescription ? finalDescription + '\n' : '') + `Mark: ${mark}`;
-      }
-      if (subject && subject.trim()) {
-        finalDescription = (finalDescription ? finalDescription + '\n' : '') + `Subject: ${subject}`;
-        if (grade && grade.trim()) {
-          finalDescription += `, Grade: ${grade}`;
-        }
-      }
-
-      // Insert the item
-      const [result] = await connection.execute(
-        `INSERT INTO items (user_id, item_type, category, subcategory, color, size, material, mark, subject, grade, location_found, description, image_path, status, date_reported)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
-        [userId, itemType, finalCategory || null, finalSubcategory || null, color, size, material || null, mark || null, subject || null, grade || null, location, finalDescription || null, imagePath, status]
-      );
+      // mark, subject and grade have their own columns; the description stays as the user wrote it
+      const finalDescription = description;
 
-      const newItemId = result.insertId;
+      const connection = await pool.getConnection();
+      let newItemId;
+      let jobId;
+      try {
+        // AI analysis, matching and notifications run in the job worker, so
+        // the reporter does not wait for them; the item and its job are
+        // stored together, so an item is never left without matching
+        ({ newItemId, jobId } = await withTransaction(connection, async () => {
+          const [result] = await connection.execute(
+            `INSERT INTO items (user_id, item_type, category, subcategory, color, size, material, brand, mark, subject, grade, unique_marks, contents, location_found, description, image_path, image_ai_path, thumbnail_path, image_phash, image_dhash, status, date_reported)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [userId, itemType, category || null, subcategory || null, color, size, material || null, brand || null, mark || null, subject || null, grade || null, uniqueMarks || null, contents || null, location, finalDescription || null, imagePath, aiImagePath, thumbnailPath, hashes ? hashes.phash : null, hashes ? hashes.dhash : null, status]
+          );
 
-      // If this is a lost item, try to match it with found items
-      if (status === 'lost' && newItemId) {
-        try {
-          console.log('🔍 Searching for matches for lost item...');
-          
-          // Search for found items with similar characteristics
-          let searchQuery = `SELECT * FROM items WHERE status = 'found'`;
-          const searchParams = [];
-          
-          if (finalCategory) {
-            searchQuery += ` AND (category = ? OR category IS NULL)`;
-            searchParams.push(finalCategory);
-          }
-          
-          if (finalSubcategory) {
-            searchQuery += ` AND (subcategory = ? OR subcategory IS NULL)`;
-            searchParams.push(finalSubcategory);
-          }
-          
-          if (color) {
-            searchQuery += ` AND (color LIKE ? OR color IS NULL)`;
-            searchParams.push(`%${color}%`);
-          }
-          
-          searchQuery += ` LIMIT 20`;
-          
-          const [foundItems] = await connection.execute(searchQuery, searchParams);
-          
-          if (foundItems.length > 0 && aiFeatures && aiFeatures.labels?.length > 0) {
-            // Use AI matching if available
-            const matches = await Promise.all(
-              foundItems.map(async (foundItem) => {
-                try {
-                  let foundFeatures = null;
-                  if (foundItem.image_path && foundItem.image_path.startsWith('http')) {
-                    foundFeatures = await aiMatchingService.extractImageFeaturesFromUrl(foundItem.image_path);
-                  } else if (foundItem.image_path) {
-                    const fullPath = path.join(__dirname, '..', foundItem.image_path);
-                    if (fs.existsSync(fullPath)) {
-                      foundFeatures = await aiMatchingService.extractImageFeatures(fullPath);
-                    }
-                  }
-                  
-                  if (foundFeatures && foundFeatures.labels?.length > 0) {
-                    const score = aiMatchingService.calculateSimilarityScore(aiFeatures, foundFeatures);
-                    return { item: foundItem, score: Math.round(score) };
-                  }
-                } catch (e) {
-                  // Ignore errors for individual items
-                }
-                return null;
-              })
-            );
-            
-            // Filter and sort matches by score
-            const validMatches = matches
-              .filter(m => m && m.score >= 50) // Only matches with 50%+ similarity
-              .sort((a, b) => b.score - a.score)
-              .slice(0, 5); // Top 5 matches
-            
-            // Create match records
-            for (const match of validMatches) {
-              await connection.execute(
-                `INSERT INTO matches (lost_item_id, found_item_id, match_score, status)
-                 VALUES (?, ?, ?, 'pending')
-                 ON DUPLICATE KEY UPDATE match_score = ?`,
-                [newItemId, match.item.item_id, match.score, match.score]
-              );
-              
-              // Create notification for the user who found the item
-              await connection.execute(
-                `INSERT INTO notifications (user_id, item_id, message, is_read)
-                 VALUES (?, ?, ?, FALSE)`,
-                [
-                  match.item.user_id,
-                  match.item.item_id,
-                  `Potential match found (${match.score}% similarity) for a lost item that matches the item you reported.`
-                ]
-              );
-            }
-            
-            if (validMatches.length > 0) {
-              console.log(`✅ Found ${validMatches.length} potential matches`);
-            }
-          } else if (foundItems.length > 0) {
-            // Use metadata matching if AI is not available
-            const matches = foundItems
-              .map(item => calculateMetadataMatchScore(item, aiFeatures, `${itemType} ${color} ${description}`))
-              .filter(item => item.match_score >= 40)
-              .sort((a, b) => b.match_score - a.match_score)
-              .slice(0, 5);
-            
-            for (const match of matches) {
-              await connection.execute(
-                `INSERT INTO matches (lost_item_id, found_item_id, match_score, status)
-                 VALUES (?, ?, ?, 'pending')
-                 ON DUPLICATE KEY UPDATE match_score = ?`,
-                [newItemId, match.item_id, match.match_score, match.match_score]
-              );
-              
-              await connection.execute(
-                `INSERT INTO notifications (user_id, item_id, message, is_read)
-                 VALUES (?, ?, ?, FALSE)`,
-                [
-                  match.user_id,
-                  match.item_id,
-                  `Potential match found (${match.match_score}% similarity) for a lost item.`
-                ]
-              );
-            }
-          }
-        } catch (matchingError) {
-          console.error('⚠️ Error in automatic matching:', matchingError);
-          // Continue even if matching fails
-        }
+          const job = await jobRunner.enqueue(connection, 'match_item', { itemId: result.insertId }, {
+            idempotencyKey: `match_item:${result.insertId}`,
+          });
+          return { newItemId: result.insertId, jobId: job.jobId };
+        }));
+      } finally {
+        connection.release();
       }
 
-      connection.release();
-
-      res.status(201).json({ message: 'Item reported successfully', itemId: newItemId });
+      res.status(201).json({
+        message: 'Item reported successfully',
+        itemId: newItemId,
+        category: category || null,
+        subcategory: subcategory || null,
+        categorySuggestions,
+        jobId,
+      });
     } catch (error) {
+      if (error.code === 'UNPROCESSABLE_IMAGE') {
+        return res.status(422).json({ error: error.message });
+      }
       console.error(error);
       res.status(500).json({ error: 'Failed to report item' });
     }
   });
 
   // Search items
-  router.post('/search', verifyToken, upload.single('image'), async (req, res) => {
+  router.post('/search', verifyToken, upload.single('image'), validateImageUpload(UPLOAD_LIMITS.search), async (req, res) => {
+    // A user waits on this: jump the AI queues, and give up if they leave
+    const aiOptions = { priority: 'interactive', signal: abortOnDisconnect(res) };
+    let connection;
+
     try {
       const { query = '', description = '' } = req.body;
-      const connection = await pool.getConnection();
+      connection = await pool.getConnection();
+
+      // Private details only for the reporter and admins, in the ranking as in the results
+      const viewer = await loadViewer(connection, req.userId);
+      const searchPrivateFields = !!viewer?.isAdmin;
 
       let results = [];
       let aiInsights = null;
       let searchTerms = `${query} ${description}`.trim();
       let searchImageFeatures = null;
+      let searchHashes = null;
+      let searchEmbedding = null;
 
       if (req.file) {
         console.log('📸 Image uploaded for search, starting AI analysis...');
+        const images = await imagePreprocessor.process(req.file.path);
+        try {
+          searchHashes = await imageHash.computeHashes(images.ai);
+        } catch (hashError) {
+          console.warn('⚠️ Could not hash search image:', hashError.message);
+        }
+
         try {
-          const features = await aiMatchingService.extractImageFeatures(req.file.path);
+          searchEmbedding = await embeddingStore.embedImage(images.ai, aiOptions);
+
+          const features = await aiMatchingService.extractImageFeatures(images.ai, aiOptions);
           aiInsights = features;
           searchImageFeatures = features;
           
@@ -439,143 +279,126 @@ module.exports = (pool, upload) => {
             }
           }
         } catch (visionError) {
+          if (visionError.code === 'CANCELLED') {
+            throw visionError;
+          }
           console.error('❌ AI extraction error:', visionError.message);
           // Continue with keyword search even if AI fails
         } finally {
-          fs.unlink(req.file.path, () => {});
+          imagePreprocessor.remove(images);
         }
       }
 
       if (searchTerms) {
-        // 🔎 Smarter SQL search:
-        // بدلاً من البحث عن السلسلة كاملة "%word1 word2 word3%",
-        // نقسم الكلمات ونبحث بـ OR على كل كلمة لوحدها
-        const searchWords = searchTerms
-          .toLowerCase()
-          .split(/[^a-z0-9]+/i)
-          .map(w => w.trim())
-          .filter(w => w.length >= 2); // تجاهل الكلمات القصيرة جدًا
+        // نقسم الكلمات (عربي وإنجليزي) ونضيف المرادفات في اللغتين
+        const searchWords = expandTerms(tokenize(searchTerms));
 
         if (searchWords.length > 0) {
-          let whereClauses = [];
-          let params = [];
-
-          for (const word of searchWords) {
-            const like = `%${word}%`;
-            whereClauses.push('(item_type LIKE ? OR color LIKE ? OR description LIKE ?)');
-            params.push(like, like, like);
-          }
-
-          const whereSql = whereClauses.join(' OR ');
-          const sql = `SELECT * FROM items WHERE status = 'found' AND (${whereSql}) LIMIT 50`;
-          const [rows] = await connection.execute(sql, params);
-          results = rows;
-
-          // إذا مفيش أي عناصر رجعت، نجرب نجيب كل العناصر found كـ fallback
-          if (!results || results.length === 0) {
-            console.log('ℹ️ No items matched SQL keywords directly, falling back to all found items for smart scoring');
-            const [fallbackRows] = await connection.execute(
-              `SELECT * FROM items WHERE status = 'found' LIMIT 50`
-            );
-            results = fallbackRows;
+          try {
+            results = await fullTextSearch(connection, searchWords, searchPrivateFields ? FULLTEXT_COLUMNS : PUBLIC_FULLTEXT_COLUMNS);
+          } catch (searchError) {
+            if (searchError.code !== 'ER_FT_MATCHING_KEY_NOT_FOUND') {
+              throw searchError;
+            }
+            console.warn('⚠️ FULLTEXT index missing (run database/add_fulltext_search.sql and add_public_search_index.sql), using LIKE search');
+            results = await keywordSearch(connection, searchWords);
           }
         } else {
           const [rows] = await connection.execute(
-            `SELECT * FROM items WHERE status = 'found' LIMIT 20`
+            `SELECT * FROM items WHERE status = 'found' ORDER BY date_reported DESC LIMIT 20`
           );
           results = rows;
         }
       } else {
         const [rows] = await connection.execute(
-          `SELECT * FROM items WHERE status = 'found' LIMIT 20`
+          `SELECT * FROM items WHERE status = 'found' ORDER BY date_reported DESC LIMIT 20`
         );
         results = rows;
       }
 
-      // Calculate match scores - use AI if available, otherwise use smart metadata matching
+      // Near-duplicate photos are results even when no search word matches them
+      if (searchHashes) {
+        const seen = new Set(results.map(item => item.item_id));
+        const duplicates = await imageHash.findNearDuplicates(connection, searchHashes, { status: 'found' });
+        results = [...results, ...duplicates.filter(item => !seen.has(item.item_id))];
+      }
+
+      // The found items whose photos look most like the search photo, from the vector index
+      if (searchEmbedding) {
+        const neighbours = vectorIndex.search(searchEmbedding, { status: 'found' }) || [];
+        const seen = new Set(results.map(item => item.item_id));
+        const missingIds = neighbours.map(neighbour => neighbour.itemId).filter(id => !seen.has(id));
+        if (missingIds.length > 0) {
+          const [rows] = await connection.execute(
+            `SELECT * FROM items WHERE status = 'found' AND item_id IN (${missingIds.map(() => '?').join(', ')})`,
+            missingIds
+          );
+          results = [...results, ...rows];
+        }
+      }
+
+      // Calculate match scores with the shared scorer (AI signals count when available)
       const hasValidAIFeatures = searchImageFeatures && 
         searchImageFeatures.labels?.length > 0 && 
         !searchImageFeatures.note; // No fallback note means AI worked
       
-      if (hasValidAIFeatures && results.length > 0) {
-        // AI is working - use full AI matching
-        try {
-          console.log('🤖 Starting AI-powered matching for', results.length, 'items');
-          
-          // Extract features from all found item images using AI
-          const foundItemsFeatures = await Promise.all(
-            results.map(async (item, index) => {
-              if (item.image_path && item.image_path.startsWith('http')) {
-                try {
-                  const features = await aiMatchingService.extractImageFeaturesFromUrl(item.image_path);
-                  return features;
-                } catch (err) {
-                  return null;
-                }
-              } else if (item.image_path) {
-                try {
-                  const fullPath = path.join(__dirname, '..', item.image_path);
-                  if (fs.existsSync(fullPath)) {
-                    const features = await aiMatchingService.extractImageFeatures(fullPath);
-                    return features;
-                  }
-                } catch (err) {
-                  // Ignore
-                }
-              }
-              return null;
-            })
-          );
+      if ((searchTerms || req.file) && results.length > 0) {
+        console.log(`📊 Scoring ${results.length} items (${hasValidAIFeatures ? 'AI + metadata' : 'metadata only'})`);
+        console.log('   Search terms:', searchTerms || 'none');
 
-          // Calculate similarity scores using AI matching
-          results = await Promise.all(
-            results.map(async (item, index) => {
-              const foundFeatures = foundItemsFeatures[index];
-              
-              if (foundFeatures && foundFeatures.labels?.length > 0) {
-                // Use AI similarity calculation
-                const aiScore = aiMatchingService.calculateSimilarityScore(
-                  searchImageFeatures,
-                  foundFeatures
-                );
-                
-                const finalScore = Math.min(aiScore, 100);
-                console.log(`   Item ${index + 1} (${item.item_type}): AI Score=${finalScore.toFixed(1)}%`);
-                
-                return {
-                  ...item,
-                  match_score: Math.round(finalScore),
-                };
-              } else {
-                // Fallback to metadata matching for this item
-                return calculateMetadataMatchScore(item, searchImageFeatures, searchTerms);
-              }
-            })
-          );
+        // Read stored features and embeddings; items without them are
+        // analyzed by background jobs instead of holding up the search
+        let foundItemsFeatures = [];
+        if (hasValidAIFeatures) {
+          try {
+            foundItemsFeatures = await featureStore.getFeaturesForItems(connection, results, { defer: true });
+          } catch (featureError) {
+            console.error('❌ Error loading item features:', featureError);
+          }
+        }
 
-          // Sort by match score descending
-          results.sort((a, b) => (b.match_score || 0) - (a.match_score || 0));
-          console.log('✅ AI matching complete. Top match:', results[0]?.match_score || 0, '%');
-        } catch (matchingError) {
-          console.error('❌ Error in AI matching:', matchingError);
-          // Fallback to metadata matching
-          results = results.map((item) => calculateMetadataMatchScore(item, searchImageFeatures, searchTerms));
+        let foundItemsEmbeddings = [];
+        if (searchEmbedding) {
+          try {
+            foundItemsEmbeddings = await embeddingStore.getEmbeddingsForItems(connection, results, { defer: true });
+          } catch (embeddingError) {
+            console.error('❌ Error loading item embeddings:', embeddingError);
+          }
         }
-      } else if (searchTerms || req.file) {
-        // No AI or AI failed - use enhanced smart metadata matching
-        console.log('📊 Using enhanced smart metadata matching (AI unavailable)');
-        console.log('   Search terms:', searchTerms || 'none');
-        console.log('   Analyzing', results.length, 'items...');
-        
-        results = results.map((item) => calculateMetadataMatchScore(item, searchImageFeatures, searchTerms));
-        
+
+        const query = {
+          text: searchTerms,
+          features: hasValidAIFeatures ? searchImageFeatures : null,
+          hashes: searchHashes,
+          embedding: searchEmbedding,
+        };
+
+        // FULLTEXT relevance, normalized to the best hit, feeds the text_relevance signal
+        const maxRelevance = Math.max(0, ...results.map(item => Number(item.relevance) || 0));
+
+        results = results.map((item, index) => {
+          // Scored on the columns the FULLTEXT query searched, full descriptions
+          // included (they are shortened for display only)
+          const { score, explanation } = matchScorer.score(query, {
+            item: searchPrivateFields ? item : withoutPrivateFields(item),
+            features: foundItemsFeatures[index] || null,
+            relevance: maxRelevance > 0 ? (Number(item.relevance) || 0) / maxRelevance : null,
+            embedding: foundItemsEmbeddings[index] || null,
+          });
+          return {
+            ...item,
+            match_score: score,
+            explanation,
+          };
+        });
+
         // Sort by match score descending
         results.sort((a, b) => (b.match_score || 0) - (a.match_score || 0));
         
         // Log top matches
         const topMatches = results.filter(r => r.match_score > 0).slice(0, 5);
         if (topMatches.length > 0) {
-          console.log('✅ Enhanced matching complete. Top matches:');
+          console.log('✅ Matching complete. Top matches:');
           topMatches.forEach((item, idx) => {
             console.log(`   ${idx + 1}. ${item.item_type} (${item.color}) - ${item.match_score}%`);
           });
@@ -590,12 +413,21 @@ module.exports = (pool, upload) => {
         }));
       }
 
-      connection.release();
+      results = results.map((item) => projectItem(item, viewer));
 
       res.json({ results, aiInsights });
     } catch (error) {
+      if (error.code === 'CANCELLED') {
+        console.log('🛑 Search cancelled: client disconnected');
+        return;
+      }
+      if (error.code === 'UNPROCESSABLE_IMAGE') {
+        return res.status(422).json({ error: error.message });
+      }
       console.error(error);
       res.status(500).json({ error: 'Search failed' });
+    } finally {
+      if (connection) connection.release();
     }
   });
 
@@ -603,16 +435,25 @@ module.exports = (pool, upload) => {
   router.get('/my-items', verifyToken, async (req, res) => {
     try {
       const userId = req.userId;
+      const pagination = parsePagination(req.query);
+      const { conditions, params } = buildItemFilters(req.query);
+      const whereSql = ['user_id = ?', ...conditions].join(' AND ');
+      const whereParams = [userId, ...params];
+
       const connection = await pool.getConnection();
 
+      const [[{ total }]] = await connection.execute(
+        `SELECT COUNT(*) AS total FROM items WHERE ${whereSql}`,
+        whereParams
+      );
       const [rows] = await connection.execute(
-        'SELECT * FROM items WHERE user_id = ? ORDER BY date_reported DESC',
-        [userId]
+        `SELECT * FROM items WHERE ${whereSql}${orderAndLimitSql(pagination)}`,
+        whereParams
       );
 
       connection.release();
 
-      res.json({ items: rows });
+      res.json({ items: rows, pagination: paginationMeta(pagination, total) });
     } catch (error) {
       console.error(error);
       res.status(500).json({ error: 'Failed to fetch items' });
@@ -622,21 +463,72 @@ module.exports = (pool, upload) => {
   // Get found items
   router.get('/found', verifyToken, async (req, res) => {
     try {
+      const pagination = parsePagination(req.query);
+      // This listing is always found items, whatever status is asked for
+      const { conditions, params } = buildItemFilters({ ...req.query, status: undefined });
+      const whereSql = [`status = 'found'`, ...conditions].join(' AND ');
+
       const connection = await pool.getConnection();
 
+      const [[{ total }]] = await connection.execute(
+        `SELECT COUNT(*) AS total FROM items WHERE ${whereSql}`,
+        params
+      );
       const [rows] = await connection.execute(
-        'SELECT * FROM items WHERE status = "found" ORDER BY date_found DESC LIMIT 50'
+        `SELECT * FROM items WHERE ${whereSql}${orderAndLimitSql(pagination)}`,
+        params
       );
+      const viewer = await loadViewer(connection, req.userId);
 
       connection.release();
 
-      res.json({ items: rows });
+      res.json({
+        items: rows.map((item) => projectItem(item, viewer)),
+        pagination: paginationMeta(pagination, total),
+      });
     } catch (error) {
       console.error(error);
       res.status(500).json({ error: 'Failed to fetch found items' });
     }
   });
 
+  // Progress of the background analysis of the reporter's own item, with the
+  // category suggestions voted from its photo once the job has run
+  router.get('/:itemId/analysis', verifyToken, async (req, res) => {
+    try {
+      const { itemId } = req.params;
+      const connection = await pool.getConnection();
+
+      let items;
+      let job;
+      try {
+        [items] = await connection.execute(
+          'SELECT item_id, category, subcategory FROM items WHERE item_id = ? AND user_id = ?',
+          [itemId, req.userId]
+        );
+        job = items.length > 0 ? await jobRunner.getByKey(connection, `match_item:${items[0].item_id}`) : null;
+      } finally {
+        connection.release();
+      }
+
+      if (items.length === 0) {
+        return res.status(403).json({ error: 'Unauthorized' });
+      }
+
+      res.json({
+        itemId: items[0].item_id,
+        jobId: job ? job.job_id : null,
+        status: job ? job.status : null,
+        category: items[0].category,
+        subcategory: items[0].subcategory,
+        categorySuggestions: job?.status === 'completed' ? job.result?.categorySuggestions || [] : null,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Failed to fetch item analysis' });
+    }
+  });
+
   // Update item status
   router.put('/:itemId/status', verifyToken, async (req, res) => {
     try {
@@ -661,6 +553,7 @@ module.exports = (pool, upload) => {
         'UPDATE items SET status = ? WHERE item_id = ?',
         [status, itemId]
       );
+      vectorIndex.setStatus(itemId, status);
 
       connection.release();
 
@@ -691,6 +584,7 @@ module.exports = (pool, upload) => {
       }
 
       await connection.execute('DELETE FROM items WHERE item_id = ?', [itemId]);
+      vectorIndex.remove(itemId);
 
       connection.release();
 
@@ -714,9 +608,11 @@ module.exports = (pool, upload) => {
           m.lost_item_id,
           m.found_item_id,
           m.match_score,
+          m.explanation,
           m.status,
           m.created_at,
           i.item_id as found_item_id,
+          i.user_id as finder_id,
           i.item_type,
           i.category,
           i.subcategory,
@@ -743,16 +639,11 @@ module.exports = (pool, upload) => {
       query += ' ORDER BY m.match_score DESC, m.created_at DESC';
 
       const [matches] = await connection.execute(query, params);
+      const viewer = await loadViewer(connection, userId);
 
       // Format matches
-      const formattedMatches = matches.map(match => ({
-        match_id: match.match_id,
-        lost_item_id: match.lost_item_id,
-        found_item_id: match.found_item_id,
-        match_score: match.match_score,
-        status: match.status,
-        created_at: match.created_at,
-        found_item: {
+      const formattedMatches = matches.map(match => {
+        const foundItem = {
           item_id: match.found_item_id,
           item_type: match.item_type,
           category: match.category,
@@ -764,8 +655,23 @@ module.exports = (pool, upload) => {
           image_path: match.image_path,
           status: match.item_status,
           date_reported: match.date_reported,
-        },
-      }));
+        };
+
+        // The explanation compares the found item's private fields too
+        const canViewFoundItem = canViewPrivateDetails({ user_id: match.finder_id }, viewer);
+        const explanation = parseJsonColumn(match.explanation);
+
+        return {
+          match_id: match.match_id,
+          lost_item_id: match.lost_item_id,
+          found_item_id: match.found_item_id,
+          match_score: match.match_score,
+          explanation: canViewFoundItem ? explanation : toPublicExplanation(explanation),
+          status: match.status,
+          created_at: match.created_at,
+          found_item: canViewFoundItem ? foundItem : toPublicItem(foundItem),
+        };
+      });
 
       connection.release();
 
@@ -776,6 +682,160 @@ module.exports = (pool, upload) => {
     }
   });
 
+  // Load a match together with both items, for the owner of the lost item
+  // lock: also lock the match and both items until the transaction ends
+  const getOwnedMatch = async (connection, matchId, userId, { lock = false } = {}) => {
+    const [rows] = await connection.execute(
+      `SELECT m.match_id, m.lost_item_id, m.found_item_id, m.match_score, m.status,
+              lost.user_id AS owner_id, lost.item_type AS lost_item_type, lost.status AS lost_status,
+              found.user_id AS finder_id, found.item_type AS found_item_type, found.status AS found_status
+       FROM matches m
+       INNER JOIN items lost ON m.lost_item_id = lost.item_id
+       INNER JOIN items found ON m.found_item_id = found.item_id
+       WHERE m.match_id = ? AND lost.user_id = ?${lock ? ' FOR UPDATE' : ''}`,
+      [matchId, userId]
+    );
+    return rows[0] || null;
+  };
+
+  // Confirm a suggested match (lost-item owner only)
+  // Both items, the other suggestions for either of them and the open claims
+  // on the found item are settled in one transaction
+  router.put('/matches/:matchId/confirm', verifyToken, async (req, res) => {
+    try {
+      const { matchId } = req.params;
+      const userId = req.userId;
+
+      const connection = await pool.getConnection();
+
+      let outcome;
+      try {
+        outcome = await withTransaction(connection, async () => {
+          const match = await getOwnedMatch(connection, matchId, userId, { lock: true });
+          if (!match) {
+            return { status: 404, error: 'Match not found' };
+          }
+          if (match.status !== 'pending') {
+            return { status: 409, error: `Match is already ${match.status}` };
+          }
+          if (match.found_status === 'claimed') {
+            return { status: 409, error: 'Found item has already been claimed' };
+          }
+          if (match.lost_status === 'claimed') {
+            return { status: 409, error: 'Lost item has already been recovered' };
+          }
+
+          await connection.execute(
+            `UPDATE matches SET status = 'confirmed' WHERE match_id = ?`,
+            [matchId]
+          );
+
+          // Both items move to claimed - the owner recognised their item
+          await connection.execute(
+            `UPDATE items SET status = 'claimed' WHERE item_id IN (?, ?)`,
+            [match.lost_item_id, match.found_item_id]
+          );
+
+          // Other suggestions for either item are settled; owners of other
+          // lost items matched to this found item are told it is gone
+          const [siblings] = await connection.execute(
+            `SELECT m.match_id, m.found_item_id, lost.user_id AS owner_id
+             FROM matches m
+             INNER JOIN items lost ON m.lost_item_id = lost.item_id
+             WHERE m.status = 'pending' AND m.match_id != ? AND (m.lost_item_id = ? OR m.found_item_id = ?)
+             FOR UPDATE`,
+            [match.match_id, match.lost_item_id, match.found_item_id]
+          );
+          if (siblings.length > 0) {
+            await connection.execute(
+              `UPDATE matches SET status = 'rejected' WHERE match_id IN (${siblings.map(() => '?').join(', ')})`,
+              siblings.map(sibling => sibling.match_id)
+            );
+          }
+
+          const notify = async (recipientId, message) => {
+            await connection.execute(
+              `INSERT INTO notifications (user_id, item_id, message, is_read)
+               VALUES (?, ?, ?, FALSE)`,
+              [recipientId, match.found_item_id, message]
+            );
+          };
+
+          for (const sibling of siblings) {
+            if (sibling.found_item_id === match.found_item_id && sibling.owner_id !== userId) {
+              await notify(sibling.owner_id, `A ${match.found_item_type} suggested as a match for your lost item was returned to its owner.`);
+            }
+          }
+
+          const deniedClaims = await claimService.denyOpenClaims(connection, match.found_item_id, {
+            reason: 'The owner confirmed a match for this item',
+          });
+          for (const claim of deniedClaims) {
+            if (claim.claimant_id !== userId) {
+              await notify(claim.claimant_id, `Your claim for the ${match.found_item_type} was closed: the item was returned to its owner.`);
+            }
+          }
+
+          // Notify the finder
+          await notify(
+            match.finder_id,
+            `The owner confirmed that the ${match.found_item_type} you found is theirs. Thank you! Please hand it over to the office.`
+          );
+
+          return { match };
+        });
+      } finally {
+        connection.release();
+      }
+
+      if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+      const { match } = outcome;
+      vectorIndex.setStatus(match.lost_item_id, 'claimed');
+      vectorIndex.setStatus(match.found_item_id, 'claimed');
+
+      res.json({ message: 'Match confirmed', match_id: match.match_id, status: 'confirmed' });
+    } catch (error) {
+      console.error('Error confirming match:', error);
+      res.status(500).json({ error: 'Failed to confirm match' });
+    }
+  });
+
+  // Reject a suggested match (lost-item owner only)
+  // Rejected pairs are skipped by future automatic matching runs
+  router.put('/matches/:matchId/reject', verifyToken, async (req, res) => {
+    try {
+      const { matchId } = req.params;
+      const userId = req.userId;
+
+      const connection = await pool.getConnection();
+
+      const match = await getOwnedMatch(connection, matchId, userId);
+      if (!match) {
+        connection.release();
+        return res.status(404).json({ error: 'Match not found' });
+      }
+
+      if (match.status !== 'pending') {
+        connection.release();
+        return res.status(409).json({ error: `Match is already ${match.status}` });
+      }
+
+      await connection.execute(
+        `UPDATE matches SET status = 'rejected' WHERE match_id = ?`,
+        [matchId]
+      );
+
+      connection.release();
+
+      res.json({ message: 'Match rejected', match_id: match.match_id, status: 'rejected' });
+    } catch (error) {
+      console.error('Error rejecting match:', error);
+      res.status(500).json({ error: 'Failed to reject match' });
+    }
+  });
+
   // Get notifications
   router.get('/notifications', verifyToken, async (req, res) => {
     try {
@@ -876,8 +936,43 @@ module.exports = (pool, upload) => {
     }
   });
 
-  // Request pickup endpoint
-  router.post('/request-pickup', verifyToken, async (req, res) => {
+  // Notify admins that a claim is ready for verification (with claimant details)
+  const notifyAdminsOfClaim = async (connection, claimId, foundItem, claimantId) => {
+    const [requester] = await connection.execute(
+      `SELECT name, email, phone, \`class\`, school, grade FROM users WHERE user_id = ?`,
+      [claimantId]
+    );
+    if (requester.length === 0) return;
+
+    const student = requester[0];
+    const [admins] = await connection.execute(
+      `SELECT user_id FROM users WHERE role = 'admin'`
+    );
+
+    const adminMessage = `Claim #${claimId}: Student ${student.name} (${student.email}) claims the item: ${foundItem.item_type} - ${foundItem.color} - ${foundItem.size} from ${foundItem.location_found || 'unknown location'}. Please verify their answers.`;
+
+    for (const admin of admins) {
+      await connection.execute(
+        `INSERT INTO notifications (user_id, item_id, message, is_read, student_id, student_name, student_email, student_phone, student_class, student_school, student_grade, notification_type, created_by_admin)
+         VALUES (?, ?, ?, FALSE, ?, ?, ?, ?, ?, ?, ?, 'claim_request', 0)`,
+        [
+          admin.user_id,
+          foundItem.item_id,
+          adminMessage,
+          claimantId,
+          student.name,
+          student.email,
+          student.phone || null,
+          student.class || null,
+          student.school || null,
+          student.grade || null,
+        ]
+      );
+    }
+  };
+
+  // Open (or reuse) a claim on a found item and return the ownership questions
+  const openClaim = async (req, res) => {
     try {
       const { found_item_id } = req.body;
       const userId = req.userId;
@@ -888,11 +983,8 @@ module.exports = (pool, upload) => {
 
       const connection = await pool.getConnection();
 
-      // Get the found item details
       const [items] = await connection.execute(
-        `SELECT item_id, user_id, item_type, color, size, location_found, status 
-         FROM items 
-         WHERE item_id = ? AND status = 'found'`,
+        `SELECT * FROM items WHERE item_id = ? AND status = 'found'`,
         [found_item_id]
       );
 
@@ -902,73 +994,170 @@ module.exports = (pool, upload) => {
       }
 
       const foundItem = items[0];
-      const finderUserId = foundItem.user_id;
+      if (foundItem.user_id === userId) {
+        connection.release();
+        return res.status(400).json({ error: 'You cannot claim an item you reported' });
+      }
 
-      // Get requester info (student who requested pickup)
-      const [requester] = await connection.execute(
-        `SELECT name, email, phone, \`class\`, school, grade FROM users WHERE user_id = ?`,
-        [userId]
+      const questions = claimService.getQuestions(foundItem);
+      const existing = await claimService.findOpenClaim(connection, found_item_id, userId);
+      if (existing) {
+        connection.release();
+        return res.json({
+          claim_id: existing.claim_id,
+          status: existing.status,
+          questions: existing.status === 'requested' ? questions : [],
+          message: 'You already have an open claim for this item.',
+        });
+      }
+
+      const claimId = await claimService.createClaim(connection, found_item_id, userId);
+      let status = 'requested';
+
+      // Nothing private to verify - go straight to admin review
+      if (questions.length === 0) {
+        await claimService.submitAnswers(connection, claimId, {});
+        await notifyAdminsOfClaim(connection, claimId, foundItem, userId);
+        status = 'verifying';
+      }
+
+      connection.release();
+
+      console.log(`✅ Claim ${claimId} created by user ${userId} for item ${found_item_id}`);
+      res.status(201).json({
+        success: true,
+        claim_id: claimId,
+        status,
+        questions,
+        message: questions.length > 0
+          ? 'Claim created. Answer the ownership questions to continue.'
+          : 'Claim sent for verification. An admin will review it.',
+      });
+    } catch (error) {
+      console.error('Error creating claim:', error);
+      res.status(500).json({ error: 'Failed to create claim' });
+    }
+  };
+
+  // Ownership questions for a found item (answers are never returned)
+  router.get('/:itemId/claim-questions', verifyToken, async (req, res) => {
+    try {
+      const { itemId } = req.params;
+      const connection = await pool.getConnection();
+
+      const [items] = await connection.execute(
+        `SELECT * FROM items WHERE item_id = ? AND status = 'found'`,
+        [itemId]
       );
 
-      if (requester.length === 0) {
-        connection.release();
-        return res.status(404).json({ error: 'User not found' });
+      connection.release();
+
+      if (items.length === 0) {
+        return res.status(404).json({ error: 'Found item not found' });
       }
 
-      const requesterName = requester[0].name;
-      const requesterEmail = requester[0].email;
-      const requesterPhone = requester[0].phone;
-      const requesterClass = requester[0].class;
-      const requesterSchool = requester[0].school;
-      const requesterGrade = requester[0].grade;
+      res.json({ item_id: items[0].item_id, questions: claimService.getQuestions(items[0]) });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Failed to fetch claim questions' });
+    }
+  });
 
-      // Create notification for the finder
-      await connection.execute(
-        `INSERT INTO notifications (user_id, item_id, message, is_read)
-         VALUES (?, ?, ?, FALSE)`,
-        [
-          finderUserId,
-          found_item_id,
-          `${requesterName} requested to pick up the item: ${foundItem.item_type} (${foundItem.color}, ${foundItem.size}) from ${foundItem.location_found || 'unknown location'}. Please contact them.`
-        ]
+  // Claim a found item
+  router.post('/claims', verifyToken, openClaim);
+
+  // Request pickup endpoint (kept for older clients - opens a claim)
+  router.post('/request-pickup', verifyToken, openClaim);
+
+  // Answer the ownership questions of a claim
+  router.post('/claims/:claimId/answers', verifyToken, async (req, res) => {
+    try {
+      const { claimId } = req.params;
+      const { answers } = req.body;
+      const userId = req.userId;
+
+      if (!answers || typeof answers !== 'object') {
+        return res.status(400).json({ error: 'answers object is required' });
+      }
+
+      const connection = await pool.getConnection();
+
+      const [claims] = await connection.execute(
+        'SELECT * FROM claims WHERE claim_id = ? AND claimant_id = ?',
+        [claimId, userId]
       );
 
-      // Also create notification for admin with student details
-      const [admins] = await connection.execute(
-        `SELECT user_id FROM users WHERE role = 'admin'`
+      if (claims.length === 0) {
+        connection.release();
+        return res.status(404).json({ error: 'Claim not found' });
+      }
+
+      const claim = claims[0];
+      if (!claimService.canTransition(claim.status, 'verifying')) {
+        connection.release();
+        return res.status(409).json({ error: `Claim is already ${claim.status}` });
+      }
+
+      const [items] = await connection.execute(
+        'SELECT * FROM items WHERE item_id = ?',
+        [claim.found_item_id]
       );
 
-      const adminMessage = `Pickup Request: Student ${requesterName} (${requesterEmail}) wants the item: ${foundItem.item_type} - ${foundItem.color} - ${foundItem.size} from ${foundItem.location_found || 'unknown location'}`;
-
-      for (const admin of admins) {
-        await connection.execute(
-          `INSERT INTO notifications (user_id, item_id, message, is_read, student_id, student_name, student_email, student_phone, student_class, student_school, student_grade, notification_type, created_by_admin)
-           VALUES (?, ?, ?, FALSE, ?, ?, ?, ?, ?, ?, ?, 'pickup_request', 0)`,
-          [
-            admin.user_id,
-            found_item_id,
-            adminMessage,
-            userId,
-            requesterName,
-            requesterEmail,
-            requesterPhone || null,
-            requesterClass || null,
-            requesterSchool || null,
-            requesterGrade || null,
-          ]
-        );
+      if (items.length === 0) {
+        connection.release();
+        return res.status(404).json({ error: 'Found item not found' });
       }
 
+      const foundItem = items[0];
+      const questions = claimService.getQuestions(foundItem);
+      const sanitized = claimService.sanitizeAnswers(foundItem, answers);
+      const missing = questions.filter(({ field }) => !sanitized[field]).map(({ field }) => field);
+
+      if (missing.length > 0) {
+        connection.release();
+        return res.status(400).json({ error: 'All ownership questions must be answered', missing });
+      }
+
+      await claimService.submitAnswers(connection, claim.claim_id, sanitized);
+      await notifyAdminsOfClaim(connection, claim.claim_id, foundItem, userId);
+
       connection.release();
 
-      console.log(`✅ Pickup request created by user ${userId} for item ${found_item_id}`);
-      res.json({ 
-        success: true, 
-        message: 'Pickup request sent successfully. The finder and admin will be notified.' 
+      res.json({
+        success: true,
+        claim_id: claim.claim_id,
+        status: 'verifying',
+        message: 'Answers submitted. An admin will verify your claim.',
       });
     } catch (error) {
-      console.error('Error creating pickup request:', error);
-      res.status(500).json({ error: 'Failed to create pickup request' });
+      console.error('Error submitting claim answers:', error);
+      res.status(500).json({ error: 'Failed to submit answers' });
+    }
+  });
+
+  // Get my claims
+  router.get('/claims', verifyToken, async (req, res) => {
+    try {
+      const userId = req.userId;
+      const connection = await pool.getConnection();
+
+      const [rows] = await connection.execute(
+        `SELECT c.claim_id, c.found_item_id, c.status, c.admin_notes, c.created_at,
+                c.answered_at, c.decided_at, c.picked_up_at,
+                i.item_type, i.color, i.location_found, i.image_path
+         FROM claims c
+         INNER JOIN items i ON c.found_item_id = i.item_id
+         WHERE c.claimant_id = ?
+         ORDER BY c.created_at DESC`,
+        [userId]
+      );
+
+      connection.release();
+
+      res.json({ claims: rows });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: 'Failed to fetch claims' });
     }
   });
 
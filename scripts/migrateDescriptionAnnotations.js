@@ -0,0 +1,144 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+/**
+ * One-off migration: older reports had AI output and form fields appended to
+ * the user's description, e.g.
+ *
+ *   Lost near the library
+ *
+ *   AI detected: backpack, bag, luggage (colors: black, blue)
+ *   Mark: A.M.
+ *   Subject: Math, Grade: 5
+ *
+ * This moves the "AI detected" labels/colors into item_features and the
+ * Mark/Subject/Grade values into their columns, then strips the blocks from
+ * the description. Run with --dry-run to only print what would change.
+ */
+
+const AI_LINE = /^AI detected: (.*?)(?: \(colors: (.*)\))?$/;
+const MARK_LINE = /^Mark: (.+)$/;
+const SUBJECT_LINE = /^Subject: (.+?)(?:, Grade: (.+))?$/;
+
+const splitList = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(entry => entry && entry !== '[object Object]');
+
+/**
+ * Remove the appended blocks from the end of a description
+ * @returns {{description: string, labels: string[], colors: string[], mark: string|null, subject: string|null, grade: string|null, changed: boolean}}
+ */
+function parseAnnotations(description) {
+  const lines = description.split('\n');
+  const result = { labels: [], colors: [], mark: null, subject: null, grade: null, changed: false };
+  const seen = new Set();
+
+  // Blocks were appended in the order AI → Mark → Subject, so read from the end
+  while (lines.length > 0) {
+    const line = lines[lines.length - 1].trim();
+    let match;
+
+    if (line === '') {
+      lines.pop();
+    } else if (!seen.has('subject') && (match = line.match(SUBJECT_LINE))) {
+      seen.add('subject');
+      result.subject = match[1].trim();
+      result.grade = match[2] ? match[2].trim() : null;
+      lines.pop();
+    } else if (!seen.has('mark') && (match = line.match(MARK_LINE))) {
+      seen.add('mark');
+      result.mark = match[1].trim();
+      lines.pop();
+    } else if (!seen.has('ai') && (match = line.match(AI_LINE))) {
+      seen.add('ai');
+      result.labels = splitList(match[1]);
+      result.colors = splitList(match[2]);
+      lines.pop();
+    } else {
+      break;
+    }
+  }
+
+  result.changed = seen.size > 0;
+  result.description = lines.join('\n').trim();
+  return result;
+}
+
+async function migrateDescriptionAnnotations() {
+  const dryRun = process.argv.includes('--dry-run');
+  const pool = mysql.createPool({
+    host: process.env.DB_HOST || 'localhost',
+    port: Number(process.env.DB_PORT || 3306),
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'ai_lost_and_found',
+  });
+
+  try {
+    const connection = await pool.getConnection();
+    const [items] = await connection.execute(
+      `SELECT item_id, description FROM items
+       WHERE description LIKE '%AI detected:%'
+          OR description LIKE '%Mark:%'
+          OR description LIKE '%Subject:%'`
+    );
+    console.log(`Found ${items.length} item(s) with possible appended annotations${dryRun ? ' (dry run)' : ''}`);
+
+    let migrated = 0;
+    for (const item of items) {
+      const parsed = parseAnnotations(item.description);
+      if (!parsed.changed) continue;
+
+      migrated++;
+      console.log(`  #${item.item_id}: labels=[${parsed.labels.join(', ')}] colors=[${parsed.colors.join(', ')}]` +
+        ` mark=${parsed.mark || '-'} subject=${parsed.subject || '-'} grade=${parsed.grade || '-'}`);
+      if (dryRun) continue;
+
+      await connection.beginTransaction();
+      try {
+        await connection.execute(
+          `UPDATE items
+           SET description = ?,
+               mark = COALESCE(mark, ?),
+               subject = COALESCE(subject, ?),
+               grade = COALESCE(grade, ?)
+           WHERE item_id = ?`,
+          [parsed.description || null, parsed.mark, parsed.subject, parsed.grade, item.item_id]
+        );
+
+        // Features extracted later by a real provider are kept as they are
+        if (parsed.labels.length > 0) {
+          await connection.execute(
+            `INSERT IGNORE INTO item_features (item_id, labels, colors, objects, source, model)
+             VALUES (?, ?, ?, '[]', 'legacy-description', NULL)`,
+            [
+              item.item_id,
+              JSON.stringify(parsed.labels.map(description => ({ description }))),
+              JSON.stringify(parsed.colors),
+            ]
+          );
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    }
+
+    connection.release();
+    console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} item(s)`);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  migrateDescriptionAnnotations();
+}
+
+module.exports = { parseAnnotations };
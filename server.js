@@ -6,6 +6,11 @@ const dotenv = require('dotenv');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const taxonomyService = require('./services/taxonomyService');
+const vectorIndex = require('./services/vectorIndex');
+const jobRunner = require('./services/jobRunner');
+const { MAX_UPLOAD_BYTES, imageFileFilter } = require('./utils/uploadValidation');
 
 // Load environment variables
 dotenv.config();
@@ -18,16 +23,22 @@ app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // File upload configuration
+// Random, non-guessable names; the routes' validateImageUpload checks the
+// content and adds the extension of the real image type
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, 'uploads/');
   },
   filename: (req, file, cb) => {
-    cb(null, Date.now() + path.extname(file.originalname));
+    cb(null, crypto.randomBytes(16).toString('hex'));
   },
 });
 
-const upload = multer({ storage });
+const upload = multer({
+  storage,
+  fileFilter: imageFileFilter,
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
 
 const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) {
@@ -76,6 +87,15 @@ pool.on("error", (err) => {
   } catch (e) {
     console.error("❌ MySQL connection failed:", e?.code || e);
   }
+
+  // Admin-edited category taxonomy (falls back to utils/taxonomy.json)
+  await taxonomyService.load(pool);
+
+  // Nearest-neighbour index over item embeddings (saved to disk, rebuilt from MySQL when stale)
+  await vectorIndex.load(pool);
+
+  // Background jobs (matching and AI analysis queued by report and search)
+  jobRunner.start(pool, require('./services/jobs'));
 })();
 
 
@@ -88,6 +108,16 @@ app.use('/api/chatbot', require('./routes/chatbot')(pool));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    const message = err.code === 'LIMIT_FILE_SIZE'
+      ? `Image is too large (max ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))} MB)`
+      : `Invalid upload: ${err.message}`;
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: message });
+  }
+  if (err.code === 'UNSUPPORTED_MEDIA_TYPE') {
+    return res.status(415).json({ error: err.message });
+  }
+
   console.error(err.stack);
   res.status(500).json({ error: 'Internal server error' });
 });
@@ -0,0 +1,398 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const rekognition = require('./aiProviders/rekognition');
+const llava = require('./aiProviders/llava');
+const python = require('./aiProviders/python');
+const huggingface = require('./aiProviders/huggingface');
+const googleVision = require('./aiProviders/googleVision');
+const featureEnsemble = require('./featureEnsemble');
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+const { WorkQueue } = require('../utils/workQueue');
+
+// Order used when AI_PROVIDER_ORDER is not set
+const DEFAULT_ORDER = ['rekognition', 'llava', 'python', 'huggingface', 'google-vision'];
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Calls in flight per provider when its config sets no concurrency
+const DEFAULT_CONCURRENCY = 2;
+
+// Time ensemble mode waits for the providers it runs in parallel
+const DEFAULT_ENSEMBLE_BUDGET_MS = 20000;
+
+/**
+ * AI Provider Registry
+ * The ordered chain of image feature providers. Each provider is an adapter
+ * in services/aiProviders/ with:
+ *
+ *   name            - config key, e.g. 'llava'
+ *   source          - `source` written on its features (and in item_features)
+ *   defaults        - { timeoutMs, minConfidence }
+ *   isConfigured()  - whether its credentials/flags are set
+ *   model()         - model name, for feature staleness checks
+ *   models()        - optional: every model its features may name (fallback
+ *                     models included); defaults to [model()]
+ *   extract(path, { signal }), extractFromUrl(url, { signal }) - features or
+ *                     null; the request is aborted when signal fires
+ *
+ * In cascade mode (default) providers are tried in order and the first one
+ * returning labels wins. In ensemble mode every enabled provider runs in
+ * parallel, whatever answers within the time budget is merged by
+ * featureEnsemble, and each label records which providers reported it.
+ *
+ * Config:
+ *   AI_PROVIDER_ORDER  - comma-separated names; providers left out are not used
+ *   AI_PROVIDER_CONFIG - JSON per provider, e.g.
+ *     {"llava":{"timeoutMs":120000,"minConfidence":0.3},"google-vision":{"enabled":false}}
+ *     enabled defaults to isConfigured(); labels and objects below
+ *     minConfidence are dropped, and a provider left with no labels is skipped.
+ *     weight (0 to 1, default 1) scales the provider's confidences in ensemble
+ *     mode; other values are ignored with a warning.
+ *     failureThreshold (default 3) and cooldownMs (default 60000) tune its
+ *     circuit breaker; concurrency (default 2) caps its calls in flight.
+ *   AI_PROVIDER_MODE   - 'cascade' or 'ensemble'
+ *   AI_ENSEMBLE_BUDGET_MS - how long ensemble mode waits for providers
+ *
+ * Every provider has a circuit breaker (utils/circuitBreaker.js): after
+ * repeated failures or timeouts it is skipped for a cool-down, then one probe
+ * request decides whether it is back. Providers report most errors as null or
+ * fallback features (with a `note`), so those count as failures too.
+ *
+ * Calls also go through a work queue per provider (utils/workQueue.js):
+ * beyond its concurrency they wait, interactive requests (a user's search)
+ * ahead of background ones (re-matching), the same image (by content hash
+ * for files, by URL otherwise) is analyzed once for everyone asking, and
+ * callers pass an AbortSignal to give up when their client disconnects.
+ * Timeouts count from when a call starts; a call that times out, or that
+ * every caller gave up on, has its HTTP request aborted.
+ */
+class AIProviderRegistry {
+  constructor() {
+    this.adapters = new Map();
+    this.breakers = new Map();
+    this.queues = new Map();
+    this.config = this._parseConfig(process.env.AI_PROVIDER_CONFIG);
+    this.mode = process.env.AI_PROVIDER_MODE === 'ensemble' ? 'ensemble' : 'cascade';
+    this.ensembleBudgetMs = Number(process.env.AI_ENSEMBLE_BUDGET_MS || DEFAULT_ENSEMBLE_BUDGET_MS);
+    this.order = process.env.AI_PROVIDER_ORDER
+      ? process.env.AI_PROVIDER_ORDER.split(',').map(name => name.trim()).filter(Boolean)
+      : DEFAULT_ORDER;
+
+    [rekognition, llava, python, huggingface, googleVision].forEach(adapter => this.register(adapter));
+
+    const unknown = this.order.filter(name => !this.adapters.has(name));
+    if (unknown.length > 0) {
+      console.warn(`⚠️ AI_PROVIDER_ORDER lists unknown providers: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Add (or replace) a provider adapter
+   */
+  register(adapter) {
+    if (!adapter || !adapter.name || typeof adapter.extract !== 'function' || typeof adapter.extractFromUrl !== 'function') {
+      throw new Error('AI provider adapters need a name, extract() and extractFromUrl()');
+    }
+    this.adapters.set(adapter.name, adapter);
+
+    const settings = this.config[adapter.name] || {};
+    this.breakers.set(adapter.name, new CircuitBreaker(`AI provider ${adapter.name}`, {
+      failureThreshold: Number(settings.failureThreshold) || undefined,
+      cooldownMs: Number(settings.cooldownMs) || undefined,
+    }));
+    this.queues.set(adapter.name, new WorkQueue(adapter.name, {
+      concurrency: Number(settings.concurrency) || adapter.defaults?.concurrency || DEFAULT_CONCURRENCY,
+    }));
+  }
+
+  /**
+   * Providers in chain order with their effective settings
+   * @returns {Array<{name: string, source: string, model: string, models: string[],
+   *   enabled: boolean, timeoutMs: number, minConfidence: number, weight: number}>}
+   */
+  getProviders() {
+    return this.order
+      .filter(name => this.adapters.has(name))
+      .map((name) => {
+        const adapter = this.adapters.get(name);
+        const settings = { ...adapter.defaults, ...this.config[name] };
+        return {
+          name,
+          source: adapter.source,
+          model: adapter.model(),
+          models: adapter.models ? adapter.models() : [adapter.model()],
+          enabled: settings.enabled !== undefined ? settings.enabled === true : adapter.isConfigured(),
+          timeoutMs: Number(settings.timeoutMs) || DEFAULT_TIMEOUT_MS,
+          minConfidence: Number(settings.minConfidence) || 0,
+          weight: settings.weight !== undefined ? Number(settings.weight) : 1,
+        };
+      });
+  }
+
+  /**
+   * Providers with their circuit breaker and queue state, for the admin endpoint
+   */
+  getHealth() {
+    return {
+      mode: this.mode,
+      providers: this.getProviders().map(provider => ({
+        ...provider,
+        circuit: this.breakers.get(provider.name).getStats(),
+        queue: this.queues.get(provider.name).getStats(),
+      })),
+    };
+  }
+
+  /**
+   * Close a provider's circuit and clear its counters
+   * @returns {boolean} false for an unknown provider
+   */
+  resetCircuit(name) {
+    const breaker = this.breakers.get(name);
+    if (!breaker) return false;
+    breaker.reset();
+    return true;
+  }
+
+  /**
+   * The provider the chain would use first (in ensemble mode, the ensemble
+   * of all enabled providers)
+   * @returns {{source: string, model: string}|null} null when no provider is enabled
+   */
+  getActiveProvider() {
+    const enabled = this.getProviders().filter(provider => provider.enabled);
+    if (enabled.length === 0) return null;
+
+    if (this.mode === 'ensemble') {
+      return { source: 'ensemble', model: this._ensembleModel(enabled) };
+    }
+    return { source: enabled[0].source, model: enabled[0].model };
+  }
+
+  /**
+   * Source and model of every result the chain can produce now: each model of
+   * each enabled provider in cascade mode (features from a fallback provider
+   * or model are as current as the first one's), the ensemble in ensemble mode
+   * @returns {Array<{source: string, model: string}>}
+   */
+  getCurrentModels() {
+    const enabled = this.getProviders().filter(provider => provider.enabled);
+    if (this.mode === 'ensemble') {
+      return enabled.length > 0 ? [this.getActiveProvider()] : [];
+    }
+    return enabled.flatMap(provider => provider.models.map(model => ({ source: provider.source, model })));
+  }
+
+  /**
+   * Run the chain on a local image
+   * @param {string} imagePath - Image file
+   * @param {Object} [options] - { priority: 'interactive'|'background', signal: AbortSignal }
+   * @returns {Promise<Object|null>} Features of the first provider with labels, or the merged ensemble
+   * @throws {Error} Code CANCELLED when the signal aborts first
+   */
+  async extract(imagePath, options = {}) {
+    return this._run('extract', imagePath, options);
+  }
+
+  /**
+   * Run the chain on an image URL
+   */
+  async extractFromUrl(imageUrl, options = {}) {
+    return this._run('extractFromUrl', imageUrl, options);
+  }
+
+  async _run(method, input, options) {
+    const runOptions = { ...options, key: await this._inputKey(method, input) };
+    return this.mode === 'ensemble'
+      ? this._runEnsemble(method, input, runOptions)
+      : this._runCascade(method, input, runOptions);
+  }
+
+  /**
+   * Queue deduplication key of an image: uploads get random file names, so
+   * files are keyed by their content
+   */
+  async _inputKey(method, input) {
+    if (method !== 'extract') {
+      return `${method}:${input}`;
+    }
+    try {
+      const content = await fs.promises.readFile(input);
+      return `${method}:sha1:${crypto.createHash('sha1').update(content).digest('hex')}`;
+    } catch (error) {
+      // The adapter reports the unreadable file
+      return `${method}:${input}`;
+    }
+  }
+
+  async _runCascade(method, input, options) {
+    for (const provider of this.getProviders().filter(p => p.enabled)) {
+      try {
+        const features = await this._call(provider, method, input, provider.timeoutMs, options);
+        if (features.labels?.length > 0) {
+          return features;
+        }
+        console.warn(`⚠️ ${provider.name} returned no labels above its minimum confidence, trying next provider...`);
+      } catch (error) {
+        if (error.code === 'CANCELLED') {
+          throw error;
+        }
+        if (error.code !== 'CIRCUIT_OPEN') {
+          console.warn(`⚠️ ${provider.name} failed (${error.message}), trying next provider...`);
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * All enabled providers in parallel, each cut off at its own timeout or the
+   * ensemble budget, whichever comes first
+   */
+  async _runEnsemble(method, input, options) {
+    const providers = this.getProviders().filter(p => p.enabled);
+    if (providers.length === 0) return null;
+
+    const settled = await Promise.allSettled(
+      providers.map(provider => this._call(
+        provider, method, input, Math.min(provider.timeoutMs, this.ensembleBudgetMs), options
+      ))
+    );
+
+    const cancelled = settled.find(outcome => outcome.reason?.code === 'CANCELLED');
+    if (cancelled) {
+      throw cancelled.reason;
+    }
+
+    const results = [];
+    settled.forEach((outcome, index) => {
+      const provider = providers[index];
+      if (outcome.status === 'rejected') {
+        if (outcome.reason?.code !== 'CIRCUIT_OPEN') {
+          console.warn(`⚠️ ${provider.name} left out of the ensemble (${outcome.reason?.message})`);
+        }
+        return;
+      }
+      if (outcome.value.labels?.length > 0) {
+        results.push({ provider: provider.name, weight: provider.weight, features: outcome.value });
+      }
+    });
+
+    const merged = featureEnsemble.merge(results);
+    if (merged) {
+      merged.model = this._ensembleModel(providers);
+      console.log(`✅ Ensemble of ${merged.providers.join(', ')}:`,
+        merged.labels.slice(0, 5).map(l => `${l.description} (${(l.confidence * 100).toFixed(0)}%)`).join(', '));
+    }
+    return merged;
+  }
+
+  /**
+   * Model name of an ensemble: the enabled providers, so stored features are
+   * re-extracted when the ensemble changes, not when one provider times out
+   */
+  _ensembleModel(providers) {
+    return providers.map(provider => provider.name).join('+');
+  }
+
+  /**
+   * Call one provider through its queue and circuit breaker
+   * @returns {Promise<Object>} Features, filtered by the provider's minimum confidence
+   * @throws {Error} On failure or timeout; code CIRCUIT_OPEN when the provider is skipped,
+   *   CANCELLED when the caller's signal aborts
+   */
+  async _call(provider, method, input, timeoutMs, { priority, signal, key } = {}) {
+    return this.queues.get(provider.name).run(
+      key || `${method}:${input}`,
+      queueSignal => this._callNow(provider, method, input, timeoutMs, queueSignal),
+      { priority, signal }
+    );
+  }
+
+  /**
+   * @param {AbortSignal} [cancelSignal] - Fires when every caller gave up on the call
+   */
+  async _callNow(provider, method, input, timeoutMs, cancelSignal) {
+    const breaker = this.breakers.get(provider.name);
+    if (!breaker.allowRequest()) {
+      const error = new Error(`${provider.name} circuit is open`);
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    cancelSignal?.addEventListener('abort', cancel, { once: true });
+
+    const startedAt = Date.now();
+    try {
+      const features = await this._withTimeout(
+        this.adapters.get(provider.name)[method](input, { signal: controller.signal }),
+        timeoutMs,
+        controller
+      );
+      if (!features || features.note) {
+        throw new Error(features?.note || 'no features returned');
+      }
+      breaker.recordSuccess(Date.now() - startedAt);
+      return this._applyMinConfidence(features, provider.minConfidence);
+    } catch (error) {
+      // A call nobody waits for any more says nothing about the provider
+      if (cancelSignal?.aborted) {
+        breaker.release();
+      } else {
+        breaker.recordFailure(error);
+      }
+      throw error;
+    } finally {
+      cancelSignal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Reject after timeoutMs and abort the provider's request
+   */
+  _withTimeout(promise, timeoutMs, controller) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        // Rejected first, so the abort error the work throws does not win the race
+        reject(new Error(`timed out after ${timeoutMs}ms`));
+        controller.abort();
+      }, timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  _applyMinConfidence(features, minConfidence) {
+    if (!features || minConfidence <= 0) return features;
+
+    const confident = entry => typeof entry?.confidence !== 'number' || entry.confidence >= minConfidence;
+    return {
+      ...features,
+      labels: (features.labels || []).filter(confident),
+      objects: (features.objects || []).filter(confident),
+    };
+  }
+
+  _parseConfig(value) {
+    if (!value) return {};
+    try {
+      const parsed = JSON.parse(value);
+      if (!parsed || typeof parsed !== 'object') return {};
+      for (const [name, settings] of Object.entries(parsed)) {
+        const weight = settings?.weight;
+        if (weight !== undefined && !(typeof weight === 'number' && weight >= 0 && weight <= 1)) {
+          console.warn(`⚠️ AI_PROVIDER_CONFIG weight of ${name} must be a number from 0 to 1, using 1`);
+          delete settings.weight;
+        }
+      }
+      return parsed;
+    } catch (error) {
+      console.warn('⚠️ Invalid AI_PROVIDER_CONFIG, using defaults:', error.message);
+      return {};
+    }
+  }
+}
+
+module.exports = new AIProviderRegistry();
@@ -0,0 +1,17 @@
+const huggingFaceService = require('../huggingFaceService');
+
+/**
+ * HuggingFace Inference API image classification (free tier)
+ * Available when USE_HUGGINGFACE=true, or when Google Vision is not configured.
+ */
+module.exports = {
+  name: 'huggingface',
+  source: 'huggingface',
+  defaults: { timeoutMs: 30000 },
+  isConfigured: () => process.env.USE_HUGGINGFACE === 'true' || !process.env.GOOGLE_VISION_API_KEY,
+  model: () => huggingFaceService.primaryModel,
+  // Features name the model that answered, a fallback when the primary fails
+  models: () => huggingFaceService.models,
+  extract: (imagePath, options) => huggingFaceService.extractImageFeatures(imagePath, options),
+  extractFromUrl: (imageUrl, options) => huggingFaceService.extractImageFeaturesFromUrl(imageUrl, options),
+};
@@ -0,0 +1,15 @@
+const llavaService = require('../llavaService');
+
+/**
+ * LLaVA vision-language model on the HuggingFace API (detailed descriptions)
+ * Available when USE_LLAVA=true.
+ */
+module.exports = {
+  name: 'llava',
+  source: 'llava',
+  defaults: { timeoutMs: 60000 },
+  isConfigured: () => process.env.USE_LLAVA === 'true',
+  model: () => llavaService.primaryModel,
+  extract: (imagePath, options) => llavaService.extractImageFeatures(imagePath, options),
+  extractFromUrl: (imageUrl, options) => llavaService.extractImageFeaturesFromUrl(imageUrl, options),
+};
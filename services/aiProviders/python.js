@@ -0,0 +1,17 @@
+const pythonAIService = require('../pythonAIService');
+
+/**
+ * Local Python service (python_service/, Transformers image classification)
+ * Available when USE_PYTHON_AI=true.
+ */
+module.exports = {
+  name: 'python',
+  source: 'local_transformers',
+  defaults: { timeoutMs: 30000 },
+  isConfigured: () => pythonAIService.enabled,
+  model: () => process.env.HF_MODEL || 'google/vit-base-patch16-224',
+  // The service names the model it loaded, which its own HF_MODEL decides
+  models: () => [...new Set([module.exports.model(), pythonAIService.reportedModel].filter(Boolean))],
+  extract: (imagePath, options) => pythonAIService.extractImageFeatures(imagePath, options),
+  extractFromUrl: (imageUrl, options) => pythonAIService.extractImageFeaturesFromUrl(imageUrl, options),
+};
@@ -0,0 +1,15 @@
+const rekognitionService = require('../rekognitionService');
+
+/**
+ * Amazon Rekognition (paid, most accurate labels and objects)
+ * Available when AWS credentials are configured.
+ */
+module.exports = {
+  name: 'rekognition',
+  source: 'aws-rekognition',
+  defaults: { timeoutMs: 15000 },
+  isConfigured: () => rekognitionService.enabled,
+  model: () => 'Amazon Rekognition',
+  extract: (imagePath, options) => rekognitionService.extractImageFeatures(imagePath, options),
+  extractFromUrl: (imageUrl, options) => rekognitionService.extractImageFeaturesFromUrl(imageUrl, options),
+};
@@ -0,0 +1,187 @@
+const { stringSimilarity } = require('../utils/stringSimilarity');
+
+// Private item fields a claimant must describe, with the question shown to them
+const OWNERSHIP_QUESTIONS = [
+  { field: 'unique_marks', question: 'Describe any unique marks, stickers, scratches or damage on the item.' },
+  { field: 'mark', question: 'What name, initials or label is written on the item?' },
+  { field: 'contents', question: 'What was inside or attached to the item?' },
+  { field: 'brand', question: 'What brand or model is the item?' },
+];
+
+// Allowed claim status changes: requested → verifying → approved → picked_up / denied
+const CLAIM_TRANSITIONS = {
+  requested: ['verifying', 'denied'],
+  verifying: ['approved', 'denied'],
+  approved: ['picked_up', 'denied'],
+  denied: [],
+  picked_up: [],
+};
+
+/**
+ * Claim Service
+ * Ownership verification for found items. A claimant answers questions about
+ * private details of the item (hidden from public listings), then an admin
+ * compares the answers with the item and approves or denies the claim.
+ */
+class ClaimService {
+  /**
+   * Questions for the private fields this item actually has (answers are never included)
+   * @param {Object} item - Found item row
+   * @returns {Array<{field: string, question: string}>}
+   */
+  getQuestions(item) {
+    return OWNERSHIP_QUESTIONS
+      .filter(({ field }) => item[field] && String(item[field]).trim())
+      .map(({ field, question }) => ({ field, question }));
+  }
+
+  /**
+   * Whether a claim may move from one status to another
+   */
+  canTransition(from, to) {
+    return (CLAIM_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Get a claimant's open claim for an item, if any
+   */
+  async findOpenClaim(connection, foundItemId, claimantId) {
+    const [rows] = await connection.execute(
+      `SELECT * FROM claims
+       WHERE found_item_id = ? AND claimant_id = ? AND status IN ('requested', 'verifying', 'approved')
+       LIMIT 1`,
+      [foundItemId, claimantId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Create a claim in the 'requested' state
+   * @returns {Promise<number>} The new claim ID
+   */
+  async createClaim(connection, foundItemId, claimantId) {
+    const [result] = await connection.execute(
+      `INSERT INTO claims (found_item_id, claimant_id, status)
+       VALUES (?, ?, 'requested')`,
+      [foundItemId, claimantId]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Store the claimant's answers and move the claim to 'verifying'
+   * @param {Object} answers - { field: answer } for the item's questions
+   */
+  async submitAnswers(connection, claimId, answers) {
+    await connection.execute(
+      `UPDATE claims SET answers = ?, status = 'verifying', answered_at = NOW() WHERE claim_id = ?`,
+      [JSON.stringify(answers || {}), claimId]
+    );
+  }
+
+  /**
+   * Stored answers as an object (JSON columns come back as strings from
+   * MariaDB); a malformed value counts as no answers
+   */
+  parseAnswers(value) {
+    if (typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        return {};
+      }
+    }
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  }
+
+  /**
+   * Keep only answers to questions the item actually asks, as trimmed strings
+   */
+  sanitizeAnswers(item, answers) {
+    const sanitized = {};
+    for (const { field } of this.getQuestions(item)) {
+      const answer = answers && answers[field];
+      if (typeof answer === 'string' && answer.trim()) {
+        sanitized[field] = answer.trim().slice(0, 1000);
+      }
+    }
+    return sanitized;
+  }
+
+  /**
+   * Rough similarity (0-1) between each answer and the item's private value,
+   * shown to admins as a hint next to the real values
+   */
+  scoreAnswers(item, answers) {
+    const scores = {};
+    for (const { field } of this.getQuestions(item)) {
+      const expected = String(item[field]).toLowerCase().trim();
+      const given = String((answers && answers[field]) || '').toLowerCase().trim();
+      if (!given) {
+        scores[field] = 0;
+        continue;
+      }
+
+      const expectedWords = expected.split(/[^\p{L}\p{N}]+/u).filter(w => w.length > 1);
+      const givenWords = new Set(given.split(/[^\p{L}\p{N}]+/u).filter(w => w.length > 1));
+      const overlap = expectedWords.length > 0
+        ? expectedWords.filter(w => givenWords.has(w)).length / expectedWords.length
+        : 0;
+
+      scores[field] = Math.round(Math.max(overlap, stringSimilarity(expected, given)) * 100) / 100;
+    }
+    return scores;
+  }
+
+  /**
+   * Deny the open claims on an item once it goes to someone else (another
+   * claim approved, or its owner confirmed a match)
+   * @param {Object} options - { exceptClaimId, adminId, reason } (reason is kept as the admin note)
+   * @returns {Promise<Array<{claim_id: number, claimant_id: number}>>} The denied claims
+   */
+  async denyOpenClaims(connection, foundItemId, { exceptClaimId = null, adminId = null, reason }) {
+    const params = [foundItemId];
+    let exceptSql = '';
+    if (exceptClaimId) {
+      exceptSql = ' AND claim_id != ?';
+      params.push(exceptClaimId);
+    }
+
+    const [rows] = await connection.execute(
+      `SELECT claim_id, claimant_id FROM claims
+       WHERE found_item_id = ?${exceptSql} AND status IN ('requested', 'verifying')
+       FOR UPDATE`,
+      params
+    );
+    if (rows.length === 0) {
+      return [];
+    }
+
+    await connection.execute(
+      `UPDATE claims
+       SET status = 'denied', admin_id = COALESCE(?, admin_id),
+           admin_notes = COALESCE(admin_notes, ?), decided_at = NOW()
+       WHERE claim_id IN (${rows.map(() => '?').join(', ')})`,
+      [adminId, reason, ...rows.map(row => row.claim_id)]
+    );
+    return rows;
+  }
+
+  /**
+   * Move a claim to a new status, recording the deciding admin
+   */
+  async updateStatus(connection, claimId, status, { adminId = null, notes = null } = {}) {
+    await connection.execute(
+      `UPDATE claims
+       SET status = ?,
+           admin_id = COALESCE(?, admin_id),
+           admin_notes = COALESCE(?, admin_notes),
+           decided_at = IF(? IN ('approved', 'denied'), NOW(), decided_at),
+           picked_up_at = IF(? = 'picked_up', NOW(), picked_up_at)
+       WHERE claim_id = ?`,
+      [status, adminId, notes, status, status, claimId]
+    );
+  }
+}
+
+module.exports = new ClaimService();
@@ -0,0 +1,294 @@
+const sharp = require('sharp');
+const { canonicalTerm } = require('../utils/textNormalizer');
+
+// Named palette; `family` is the basic color name used by the typed color field
+const PALETTE = [
+  { name: 'black', family: 'black', rgb: [20, 20, 20] },
+  { name: 'charcoal', family: 'gray', rgb: [60, 60, 64] },
+  { name: 'gray', family: 'gray', rgb: [128, 128, 128] },
+  { name: 'silver', family: 'gray', rgb: [192, 192, 192] },
+  { name: 'white', family: 'white', rgb: [245, 245, 245] },
+  { name: 'beige', family: 'brown', rgb: [225, 205, 165] },
+  { name: 'brown', family: 'brown', rgb: [120, 75, 40] },
+  { name: 'maroon', family: 'red', rgb: [110, 20, 30] },
+  { name: 'red', family: 'red', rgb: [200, 30, 35] },
+  { name: 'orange', family: 'orange', rgb: [240, 130, 30] },
+  { name: 'gold', family: 'yellow', rgb: [205, 165, 50] },
+  { name: 'yellow', family: 'yellow', rgb: [245, 220, 50] },
+  { name: 'olive', family: 'green', rgb: [110, 115, 45] },
+  { name: 'green', family: 'green', rgb: [45, 150, 65] },
+  { name: 'dark green', family: 'green', rgb: [20, 75, 40] },
+  { name: 'teal', family: 'blue', rgb: [25, 130, 135] },
+  { name: 'light blue', family: 'blue', rgb: [135, 190, 235] },
+  { name: 'blue', family: 'blue', rgb: [35, 85, 200] },
+  { name: 'navy', family: 'blue', rgb: [25, 35, 85] },
+  { name: 'purple', family: 'purple', rgb: [115, 50, 160] },
+  { name: 'pink', family: 'pink', rgb: [240, 145, 185] },
+];
+
+// ΔE00 at which two colors count as completely different
+const MAX_DELTA_E = 50;
+
+// Minimum similarity of two shades of one family (navy / blue)
+const SAME_FAMILY_SIMILARITY = 0.8;
+
+// Colors covering less of the image than this are dropped
+const MIN_PIXEL_FRACTION = 0.03;
+
+// Images are downscaled before quantization (colors barely change, work drops a lot)
+const SAMPLE_SIZE = 64;
+
+/**
+ * Color Extractor
+ * Dominant colors of an image, quantized to a named palette, with RGB, CIE Lab
+ * and pixel fractions. Colors are compared with the CIEDE2000 formula, which
+ * follows human perception much better than RGB distance.
+ */
+class ColorExtractor {
+  constructor() {
+    this.palette = PALETTE.map(entry => ({
+      ...entry,
+      lab: this.rgbToLab({ red: entry.rgb[0], green: entry.rgb[1], blue: entry.rgb[2] }),
+    }));
+  }
+
+  /**
+   * Extract the dominant colors of an image
+   * @param {string|Buffer} input - Image path or bytes
+   * @param {Object} [options] - { count }
+   * @returns {Promise<Array<{name: string, family: string, red: number, green: number, blue: number,
+   *   lab: {l: number, a: number, b: number}, pixelFraction: number}>>} Largest share first
+   */
+  async extract(input, { count = 5 } = {}) {
+    const { data, info } = await sharp(input)
+      .rotate()
+      .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside' })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const channels = info.channels;
+    const pixelCount = data.length / channels;
+    const buckets = new Map();
+
+    for (let i = 0; i < data.length; i += channels) {
+      const pixel = { red: data[i], green: data[i + 1], blue: data[i + 2] };
+      const entry = this._nearest(this.rgbToLab(pixel));
+
+      const bucket = buckets.get(entry.name) || { entry, count: 0, red: 0, green: 0, blue: 0 };
+      bucket.count++;
+      bucket.red += pixel.red;
+      bucket.green += pixel.green;
+      bucket.blue += pixel.blue;
+      buckets.set(entry.name, bucket);
+    }
+
+    return [...buckets.values()]
+      .map((bucket) => {
+        const mean = {
+          red: Math.round(bucket.red / bucket.count),
+          green: Math.round(bucket.green / bucket.count),
+          blue: Math.round(bucket.blue / bucket.count),
+        };
+        return {
+          ...this.describe(mean),
+          pixelFraction: Math.round((bucket.count / pixelCount) * 1000) / 1000,
+        };
+      })
+      .filter(color => color.pixelFraction >= MIN_PIXEL_FRACTION)
+      .sort((a, b) => b.pixelFraction - a.pixelFraction)
+      .slice(0, count);
+  }
+
+  /**
+   * Palette name, RGB and Lab of an RGB color (the format stored in item_features)
+   */
+  describe(rgb) {
+    return {
+      ...this.nameColor(rgb),
+      red: rgb.red,
+      green: rgb.green,
+      blue: rgb.blue,
+      lab: this._roundLab(this.rgbToLab(rgb)),
+    };
+  }
+
+  /**
+   * Palette name for an RGB color
+   * @returns {{name: string, family: string}}
+   */
+  nameColor(rgb) {
+    const { name, family } = this._nearest(this.rgbToLab(rgb));
+    return { name, family };
+  }
+
+  /**
+   * Lab value of a color in any of the formats the providers return:
+   * a name ("black", "أسود", "navy"), { name }, { red, green, blue } or { lab }
+   * @returns {{l: number, a: number, b: number}|null}
+   */
+  toLab(color) {
+    if (!color) return null;
+    if (typeof color === 'object' && color.lab) return color.lab;
+    if (typeof color === 'object' && typeof color.red === 'number' &&
+        typeof color.green === 'number' && typeof color.blue === 'number') {
+      return this.rgbToLab(color);
+    }
+
+    const name = typeof color === 'string' ? color : color.name;
+    if (typeof name !== 'string') return null;
+
+    const normalized = name.toLowerCase().trim();
+    const term = canonicalTerm(normalized);
+    const entry = this.palette.find(e => e.name === normalized) ||
+      this.palette.find(e => e.name === term);
+    return entry ? entry.lab : null;
+  }
+
+  /**
+   * Perceptual similarity (0-1) of two colors, null when either is unknown.
+   * Shades of the same family ("navy" and "blue") score at least
+   * SAME_FAMILY_SIMILARITY, since people type the family name.
+   */
+  similarity(color1, color2) {
+    const lab1 = this.toLab(color1);
+    const lab2 = this.toLab(color2);
+    if (!lab1 || !lab2) return null;
+
+    const perceptual = Math.max(0, 1 - this.deltaE2000(lab1, lab2) / MAX_DELTA_E);
+    const sameFamily = this._nearest(lab1).family === this._nearest(lab2).family;
+    return sameFamily ? Math.max(perceptual, SAME_FAMILY_SIMILARITY) : perceptual;
+  }
+
+  /**
+   * Similarity (0-1) of two color lists: each color of the first list is
+   * matched to its closest color in the second, weighted by pixel fraction
+   * @returns {number|null} null when neither list has a usable color
+   */
+  compareLists(colors1, colors2) {
+    const usable1 = (colors1 || []).filter(color => this.toLab(color));
+    const usable2 = (colors2 || []).filter(color => this.toLab(color));
+    if (usable1.length === 0 || usable2.length === 0) return null;
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const color of usable1.slice(0, 3)) {
+      const weight = typeof color.pixelFraction === 'number' ? color.pixelFraction : 1;
+      const best = Math.max(...usable2.map(other => this.similarity(color, other)));
+      weighted += weight * best;
+      totalWeight += weight;
+    }
+
+    return totalWeight > 0 ? weighted / totalWeight : null;
+  }
+
+  /**
+   * sRGB (0-255) to CIE Lab (D65)
+   */
+  rgbToLab({ red, green, blue }) {
+    const linear = (value) => {
+      const c = value / 255;
+      return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    const r = linear(red);
+    const g = linear(green);
+    const b = linear(blue);
+
+    const x = (r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047;
+    const y = (r * 0.2126 + g * 0.7152 + b * 0.0722) / 1.0;
+    const z = (r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883;
+
+    const f = (t) => (t > 0.008856 ? Math.cbrt(t) : (7.787 * t) + 16 / 116);
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+
+    return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+  }
+
+  /**
+   * CIEDE2000 color difference between two Lab colors
+   */
+  deltaE2000(lab1, lab2) {
+    const rad = Math.PI / 180;
+    const { l: L1, a: a1, b: b1 } = lab1;
+    const { l: L2, a: a2, b: b2 } = lab2;
+
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const meanC = (C1 + C2) / 2;
+    const G = 0.5 * (1 - Math.sqrt(Math.pow(meanC, 7) / (Math.pow(meanC, 7) + Math.pow(25, 7))));
+
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+    const hue = (a, b) => {
+      if (a === 0 && b === 0) return 0;
+      const h = Math.atan2(b, a) / rad;
+      return h >= 0 ? h : h + 360;
+    };
+    const h1p = hue(a1p, b1);
+    const h2p = hue(a2p, b2);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+      dhp = h2p - h1p;
+      if (dhp > 180) dhp -= 360;
+      else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+    const meanLp = (L1 + L2) / 2;
+    const meanCp = (C1p + C2p) / 2;
+    let meanHp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+      if (Math.abs(h1p - h2p) > 180) {
+        meanHp = h1p + h2p < 360 ? (h1p + h2p + 360) / 2 : (h1p + h2p - 360) / 2;
+      } else {
+        meanHp = (h1p + h2p) / 2;
+      }
+    }
+
+    const T = 1
+      - 0.17 * Math.cos((meanHp - 30) * rad)
+      + 0.24 * Math.cos(2 * meanHp * rad)
+      + 0.32 * Math.cos((3 * meanHp + 6) * rad)
+      - 0.20 * Math.cos((4 * meanHp - 63) * rad);
+    const dTheta = 30 * Math.exp(-Math.pow((meanHp - 275) / 25, 2));
+    const Rc = 2 * Math.sqrt(Math.pow(meanCp, 7) / (Math.pow(meanCp, 7) + Math.pow(25, 7)));
+    const Sl = 1 + (0.015 * Math.pow(meanLp - 50, 2)) / Math.sqrt(20 + Math.pow(meanLp - 50, 2));
+    const Sc = 1 + 0.045 * meanCp;
+    const Sh = 1 + 0.015 * meanCp * T;
+    const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+    return Math.sqrt(
+      Math.pow(dLp / Sl, 2) +
+      Math.pow(dCp / Sc, 2) +
+      Math.pow(dHp / Sh, 2) +
+      Rt * (dCp / Sc) * (dHp / Sh)
+    );
+  }
+
+  _nearest(lab) {
+    let best = this.palette[0];
+    let bestDistance = Infinity;
+    for (const entry of this.palette) {
+      const distance = this.deltaE2000(lab, entry.lab);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = entry;
+      }
+    }
+    return best;
+  }
+
+  _roundLab({ l, a, b }) {
+    const round = (value) => Math.round(value * 100) / 100;
+    return { l: round(l), a: round(a), b: round(b) };
+  }
+}
+
+module.exports = new ColorExtractor();
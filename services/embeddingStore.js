@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const pythonAIService = require('./pythonAIService');
+const vectorIndex = require('./vectorIndex');
+const imageStorage = require('./imageStorage');
+const jobRunner = require('./jobRunner');
+const { vectorToBuffer, bufferToVector } = require('../utils/vectorMath');
+const { WorkQueue } = require('../utils/workQueue');
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+
+// Embedding requests in flight to the Python service
+const EMBEDDING_CONCURRENCY = Number(process.env.EMBEDDING_CONCURRENCY || 2);
+
+// How long an item embedding may take, and a search photo's (a user waits on it)
+const EMBEDDING_TIMEOUT_MS = Number(process.env.EMBEDDING_TIMEOUT_MS || 30000);
+const SEARCH_EMBEDDING_TIMEOUT_MS = Number(process.env.SEARCH_EMBEDDING_TIMEOUT_MS || 5000);
+
+/**
+ * Item Embedding Store
+ * Keeps one visual embedding per item (CLIP vector from the Python service)
+ * in the item_embeddings table. Vectors are stored as float32 BLOBs and
+ * compared with cosine similarity by the match scorer.
+ *
+ * Items reported before embeddings existed (or while the Python service was
+ * down) are embedded the first time matching needs them. Saved embeddings
+ * are added to the nearest-neighbour index (services/vectorIndex.js).
+ * Those lazy extractions share one work queue (utils/workQueue.js), so a
+ * large candidate list never floods the Python service, or are deferred to
+ * an embed_item background job. Search photos go through the same queue.
+ * Every call has a timeout that aborts its request and a circuit breaker
+ * (utils/circuitBreaker.js) that skips the service while it keeps failing.
+ */
+class EmbeddingStore {
+  constructor() {
+    this.queue = new WorkQueue('embedding', { concurrency: EMBEDDING_CONCURRENCY });
+    this.breaker = new CircuitBreaker('Embedding service');
+  }
+
+  /**
+   * Embedding of a photo that is not stored on an item (a search upload)
+   * @param {string} imagePath - Image file
+   * @param {Object} [options] - { priority, signal } for the embedding queue
+   * @returns {Promise<{vector: number[], model: string}|null>} null when the
+   *   Python service is disabled, failing or too slow
+   * @throws {Error} Code CANCELLED when the signal aborts
+   */
+  async embedImage(imagePath, options = {}) {
+    if (!pythonAIService.enabled) {
+      return null;
+    }
+
+    try {
+      return await this.queue.run(
+        null,
+        cancelSignal => this._callService(
+          signal => pythonAIService.extractEmbedding(imagePath, { signal }),
+          SEARCH_EMBEDDING_TIMEOUT_MS,
+          cancelSignal
+        ),
+        options
+      );
+    } catch (error) {
+      if (error.code === 'CANCELLED') {
+        throw error;
+      }
+      if (error.code !== 'CIRCUIT_OPEN') {
+        console.warn('⚠️ Could not embed image:', error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Save an item's embedding (insert or replace)
+   * @param {Object} connection - MySQL connection
+   * @param {number} itemId - Item ID
+   * @param {{vector: number[], model: string}} embedding - From pythonAIService
+   * @param {Object} [options] - { status } of the item, to index the embedding
+   */
+  async saveEmbedding(connection, itemId, embedding, { status = null } = {}) {
+    if (!itemId || !this._isUsable(embedding)) {
+      return;
+    }
+
+    await connection.execute(
+      `INSERT INTO item_embeddings (item_id, model, dimensions, vector, created_at)
+       VALUES (?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE
+         model = VALUES(model),
+         dimensions = VALUES(dimensions),
+         vector = VALUES(vector),
+         created_at = NOW()`,
+      [itemId, embedding.model, embedding.vector.length, vectorToBuffer(embedding.vector)]
+    );
+
+    vectorIndex.add(itemId, status, embedding);
+  }
+
+  /**
+   * Get the embedding of one item, computing and storing it if missing
+   * @param {Object} [options] - See getEmbeddingsForItems
+   * @returns {Promise<{vector: number[], model: string}|null>}
+   */
+  async getEmbedding(connection, item, options = {}) {
+    const [embedding] = await this.getEmbeddingsForItems(connection, [item], options);
+    return embedding;
+  }
+
+  /**
+   * Get embeddings for several items with a single lookup query
+   * @param {Object} connection - MySQL connection
+   * @param {Array<Object>} items - Item rows
+   * @param {Object} [options] - { priority, signal } for the embedding queue;
+   *   defer: queue missing embeddings as jobs instead of computing them now
+   * @returns {Promise<Array<Object|null>>} Embeddings aligned with `items`
+   * @throws {Error} Code CANCELLED when the signal aborts
+   */
+  async getEmbeddingsForItems(connection, items, { defer = false, ...options } = {}) {
+    if (!items || items.length === 0) {
+      return [];
+    }
+
+    const storedById = new Map();
+    const ids = items.map((item) => item.item_id).filter(Boolean);
+
+    if (ids.length > 0) {
+      const placeholders = ids.map(() => '?').join(', ');
+      const [rows] = await connection.execute(
+        `SELECT item_id, model, vector FROM item_embeddings WHERE item_id IN (${placeholders})`,
+        ids
+      );
+      for (const row of rows) {
+        storedById.set(row.item_id, { vector: bufferToVector(row.vector), model: row.model });
+      }
+    }
+
+    return Promise.all(
+      items.map(async (item) => {
+        const stored = storedById.get(item.item_id) || null;
+        if (stored || !pythonAIService.enabled || !item.image_path) {
+          return stored;
+        }
+
+        if (defer) {
+          await this._enqueueEmbedding(connection, item);
+          return null;
+        }
+
+        try {
+          const embedding = await this.queue.run(`item:${item.item_id}`, cancelSignal => this._extract(item, cancelSignal), options);
+          if (this._isUsable(embedding)) {
+            await this.saveEmbedding(connection, item.item_id, embedding, { status: item.status });
+            return embedding;
+          }
+        } catch (error) {
+          if (error.code === 'CANCELLED') {
+            throw error;
+          }
+          if (error.code !== 'CIRCUIT_OPEN') {
+            console.warn(`⚠️ Embedding failed for item ${item.item_id}:`, error.message);
+          }
+        }
+
+        return null;
+      })
+    );
+  }
+
+  /**
+   * Queue an embed_item job, one per item (a dead one is queued again)
+   */
+  async _enqueueEmbedding(connection, item) {
+    try {
+      await jobRunner.enqueue(connection, 'embed_item', { itemId: item.item_id }, {
+        idempotencyKey: `embed_item:${item.item_id}`,
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not queue embedding for item ${item.item_id}:`, error.message);
+    }
+  }
+
+  /**
+   * Embed an item image (URL or local uploads path); images kept in our own
+   * uploads directory are read from disk
+   */
+  async _extract(item, cancelSignal) {
+    // Prefer the AI-sized copy of the photo
+    const imagePath = item.image_ai_path || item.image_path;
+
+    let request = null;
+    const localPath = imageStorage.localPathFor(imagePath);
+    if (localPath) {
+      request = signal => pythonAIService.extractEmbedding(localPath, { signal });
+    } else if (imagePath.startsWith('http')) {
+      request = signal => pythonAIService.extractEmbeddingFromUrl(imagePath, { signal });
+    } else {
+      const fullPath = path.join(__dirname, '..', imagePath);
+      if (fs.existsSync(fullPath)) {
+        request = signal => pythonAIService.extractEmbedding(fullPath, { signal });
+      }
+    }
+    return request ? this._callService(request, EMBEDDING_TIMEOUT_MS, cancelSignal) : null;
+  }
+
+  /**
+   * One Python service call through the circuit breaker, aborted after
+   * timeoutMs or when cancelSignal fires (every caller gave up)
+   * @param {Function} request - (signal) => Promise of an embedding or null
+   * @throws {Error} On failure or timeout; code CIRCUIT_OPEN when the service is skipped
+   */
+  async _callService(request, timeoutMs, cancelSignal) {
+    if (!this.breaker.allowRequest()) {
+      const error = new Error('Embedding service circuit is open');
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    cancelSignal?.addEventListener('abort', cancel, { once: true });
+    const timer = setTimeout(cancel, timeoutMs);
+
+    const startedAt = Date.now();
+    try {
+      // pythonAIService logs its errors and returns null, aborts included
+      const embedding = await request(controller.signal);
+      if (controller.signal.aborted && !cancelSignal?.aborted) {
+        throw new Error(`timed out after ${timeoutMs}ms`);
+      }
+      if (!this._isUsable(embedding)) {
+        throw new Error('no embedding returned');
+      }
+      this.breaker.recordSuccess(Date.now() - startedAt);
+      return embedding;
+    } catch (error) {
+      // A call nobody waits for any more says nothing about the service
+      if (cancelSignal?.aborted) {
+        this.breaker.release();
+      } else {
+        this.breaker.recordFailure(error);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      cancelSignal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  _isUsable(embedding) {
+    return !!embedding && Array.isArray(embedding.vector) && embedding.vector.length > 0;
+  }
+}
+
+module.exports = new EmbeddingStore();
@@ -0,0 +1,120 @@
+const { canonicalTerm, tokenize } = require('../utils/textNormalizer');
+
+// Labels kept in merged features
+const MAX_LABELS = 15;
+const MAX_OBJECTS = 10;
+
+// Confidence assumed for labels that come without one (LLaVA word lists)
+const DEFAULT_CONFIDENCE = 0.5;
+
+/**
+ * Feature Ensemble
+ * Merges the features of several vision providers into one result.
+ *
+ * Labels are normalized to a common vocabulary (the canonical terms of
+ * utils/textNormalizer, so "Handbag", "bag" and "حقيبة" are one label) and
+ * their confidences are fused with a weighted noisy-OR:
+ *
+ *   fused = 1 - Π (1 - weight × confidence)
+ *
+ * so a label two providers agree on outranks one only a single provider saw.
+ * Every merged label lists its sources (provider, original label, confidence).
+ */
+class FeatureEnsemble {
+  /**
+   * Merge provider results
+   * @param {Array<{provider: string, weight: number, features: Object}>} results - Successful providers
+   *   (weights outside 0-1 are clamped)
+   * @returns {Object|null} Merged features (source 'ensemble', `providers` that answered),
+   *   null when no provider had labels
+   */
+  merge(results) {
+    const usable = results.filter(result => result.features?.labels?.length > 0);
+    if (usable.length === 0) return null;
+
+    const labels = this._fuse(usable, 'labels', label => label?.description || label, MAX_LABELS);
+    const objects = this._fuse(usable, 'objects', object => object?.name || object?.description || object, MAX_OBJECTS);
+
+    // Measured (RGB) colors beat colors guessed from words
+    const withRgb = usable.find(result => typeof result.features.colors?.[0]?.red === 'number');
+    const withColors = withRgb || usable.find(result => result.features.colors?.length > 0);
+    const withDescription = usable.find(result => typeof result.features.description === 'string');
+
+    const merged = {
+      labels: labels.map(({ key, confidence, sources }) => ({ description: key, confidence, sources })),
+      objects: objects.map(({ key, confidence, sources }) => ({ name: key, confidence, sources })),
+      colors: withColors ? withColors.features.colors : [],
+      confidence: labels.length > 0 ? labels[0].confidence : 0,
+      source: 'ensemble',
+      providers: usable.map(result => result.provider),
+    };
+    if (withDescription) {
+      merged.description = withDescription.features.description;
+    }
+    return merged;
+  }
+
+  /**
+   * Common-vocabulary key of a label: "backpack, back pack, knapsack" and
+   * "Backpack" both become "backpack", "Mobile Phone" becomes "phone"
+   */
+  normalizeLabel(text) {
+    const alternatives = String(text || '')
+      .toLowerCase()
+      .split(',')
+      .map(part => part.trim())
+      .filter(Boolean);
+    if (alternatives.length === 0) return '';
+
+    // An alternative that is itself a known synonym names the label best
+    for (const alternative of alternatives) {
+      const term = canonicalTerm(alternative);
+      if (term !== alternative) return term;
+    }
+
+    const tokens = [...new Set(tokenize(alternatives[0]))];
+    return tokens.join(' ') || alternatives[0];
+  }
+
+  _fuse(results, field, textOf, limit) {
+    const merged = new Map();
+
+    for (const { provider, features, ...result } of results) {
+      // weight × confidence is a probability: out-of-range weights would
+      // push fused confidences outside 0-1
+      const weight = Number.isFinite(result.weight) ? Math.min(Math.max(result.weight, 0), 1) : 1;
+      for (const entry of features[field] || []) {
+        const text = textOf(entry);
+        const key = this.normalizeLabel(text);
+        if (!key) continue;
+
+        const confidence = typeof entry?.confidence === 'number' ? entry.confidence : DEFAULT_CONFIDENCE;
+        const label = merged.get(key) || { key, miss: 1, sources: [] };
+
+        // One vote per provider: a provider listing synonyms twice does not count double
+        const previous = label.sources.find(source => source.provider === provider);
+        if (previous) {
+          if (confidence <= previous.confidence) continue;
+          label.miss /= 1 - Math.min(weight * previous.confidence, 0.999);
+          previous.label = text;
+          previous.confidence = confidence;
+        } else {
+          label.sources.push({ provider, label: text, confidence });
+        }
+        label.miss *= 1 - Math.min(weight * confidence, 0.999);
+        merged.set(key, label);
+      }
+    }
+
+    return [...merged.values()]
+      .map(label => ({
+        key: label.key,
+        confidence: Math.round((1 - label.miss) * 1000) / 1000,
+        sources: label.sources,
+      }))
+      .sort((a, b) => b.confidence - a.confidence || b.sources.length - a.sources.length)
+      .slice(0, limit);
+  }
+}
+
+module.exports = new FeatureEnsemble();
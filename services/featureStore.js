@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const aiMatchingService = require('./aiMatchingService');
+const itemSuggestionService = require('./itemSuggestionService');
+const imageStorage = require('./imageStorage');
+const jobRunner = require('./jobRunner');
+
+/**
+ * Item Feature Store
+ * Keeps the AI features (labels, colors, objects) and the suggestions derived
+ * from them (item type, category, material, brand) of every item in the
+ * item_features table, so matching reads them instead of re-running the
+ * vision providers on images that never change.
+ *
+ * Stored features are re-extracted only when the provider and model that
+ * produced them are no longer in use (disabled, or the model changed).
+ * Callers that cannot wait (search) defer that to an extract_features
+ * background job.
+ */
+class FeatureStore {
+  /**
+   * Save extracted features for an item (insert or replace)
+   * @param {Object} connection - MySQL connection
+   * @param {number} itemId - Item ID
+   * @param {Object} features - Features returned by aiMatchingService
+   */
+  async saveFeatures(connection, itemId, features) {
+    if (!itemId || !this._isUsable(features)) {
+      return;
+    }
+
+    const suggestions = features.suggestions || itemSuggestionService.buildSuggestions(features);
+
+    await connection.execute(
+      `INSERT INTO item_features (item_id, labels, colors, objects, ai_description,
+         suggested_item_type, suggested_category, suggested_subcategory, suggested_material, suggested_brand,
+         source, model, extracted_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE
+         labels = VALUES(labels),
+         colors = VALUES(colors),
+         objects = VALUES(objects),
+         ai_description = VALUES(ai_description),
+         suggested_item_type = VALUES(suggested_item_type),
+         suggested_category = VALUES(suggested_category),
+         suggested_subcategory = VALUES(suggested_subcategory),
+         suggested_material = VALUES(suggested_material),
+         suggested_brand = VALUES(suggested_brand),
+         source = VALUES(source),
+         model = VALUES(model),
+         extracted_at = NOW()`,
+      [
+        itemId,
+        JSON.stringify(features.labels || []),
+        JSON.stringify(features.colors || []),
+        JSON.stringify(features.objects || []),
+        typeof features.description === 'string' ? features.description : null,
+        suggestions.itemType || null,
+        suggestions.category || null,
+        suggestions.subcategory || null,
+        suggestions.material || null,
+        suggestions.brand || null,
+        features.source || null,
+        features.model || null,
+      ]
+    );
+  }
+
+  /**
+   * Get features for one item, extracting and storing them if missing or stale
+   * @param {Object} connection - MySQL connection
+   * @param {Object} item - Item row (needs item_id and image_path)
+   * @param {Object} [options] - See getFeaturesForItems
+   * @returns {Promise<Object|null>} Features or null when none are available
+   */
+  async getFeatures(connection, item, options = {}) {
+    const [features] = await this.getFeaturesForItems(connection, [item], options);
+    return features;
+  }
+
+  /**
+   * Get features for several items with a single lookup query
+   * @param {Object} connection - MySQL connection
+   * @param {Array<Object>} items - Item rows
+   * @param {Object} [options] - { priority, signal } for extractions (see aiProviderRegistry);
+   *   defer: queue missing or stale extractions as jobs and return what is stored
+   * @returns {Promise<Array<Object|null>>} Features aligned with `items`
+   * @throws {Error} Code CANCELLED when the signal aborts
+   */
+  async getFeaturesForItems(connection, items, { defer = false, ...options } = {}) {
+    if (!items || items.length === 0) {
+      return [];
+    }
+
+    const storedById = new Map();
+    const ids = items.map((item) => item.item_id).filter(Boolean);
+
+    if (ids.length > 0) {
+      const placeholders = ids.map(() => '?').join(', ');
+      const [rows] = await connection.execute(
+        `SELECT item_id, labels, colors, objects, ai_description,
+                suggested_item_type, suggested_category, suggested_subcategory, suggested_material, suggested_brand,
+                source, model, extracted_at
+         FROM item_features
+         WHERE item_id IN (${placeholders})`,
+        ids
+      );
+      for (const row of rows) {
+        storedById.set(row.item_id, this._rowToFeatures(row));
+      }
+    }
+
+    const activeProvider = aiMatchingService.getActiveProvider();
+    const currentModels = aiMatchingService.getCurrentModels();
+
+    return Promise.all(
+      items.map(async (item) => {
+        const stored = storedById.get(item.item_id) || null;
+
+        if (stored && !this._isStale(stored, currentModels)) {
+          return stored;
+        }
+
+        // No provider configured - keep whatever was extracted before
+        if (!activeProvider || !item.image_path) {
+          return stored;
+        }
+
+        if (defer) {
+          await this._enqueueExtraction(connection, item, activeProvider);
+          return stored;
+        }
+
+        try {
+          const features = await this._extract(item, options);
+          if (this._isUsable(features)) {
+            await this.saveFeatures(connection, item.item_id, features);
+            return features;
+          }
+        } catch (error) {
+          if (error.code === 'CANCELLED') {
+            throw error;
+          }
+          console.warn(`⚠️ Feature extraction failed for item ${item.item_id}:`, error.message);
+        }
+
+        return stored;
+      })
+    );
+  }
+
+  /**
+   * Whether features exist and come from a provider and model still in use
+   */
+  isCurrent(features) {
+    return !!features && !this._isStale(features, aiMatchingService.getCurrentModels());
+  }
+
+  /**
+   * Queue an extract_features job, one per item and provider model (a dead
+   * one is queued again)
+   */
+  async _enqueueExtraction(connection, item, activeProvider) {
+    try {
+      await jobRunner.enqueue(connection, 'extract_features', { itemId: item.item_id }, {
+        idempotencyKey: `extract_features:${item.item_id}:${activeProvider.source}:${activeProvider.model}`,
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not queue feature extraction for item ${item.item_id}:`, error.message);
+    }
+  }
+
+  /**
+   * Run the provider cascade on an item image (URL or local uploads path);
+   * images kept in our own uploads directory are read from disk
+   */
+  async _extract(item, options) {
+    // The downsized copy made on upload when there is one (imagePreprocessor)
+    const imagePath = item.image_ai_path || item.image_path;
+
+    const localPath = imageStorage.localPathFor(imagePath);
+    if (localPath) {
+      return aiMatchingService.extractImageFeatures(localPath, options);
+    }
+
+    if (imagePath.startsWith('http')) {
+      return aiMatchingService.extractImageFeaturesFromUrl(imagePath, options);
+    }
+
+    const fullPath = path.join(__dirname, '..', imagePath);
+    if (fs.existsSync(fullPath)) {
+      return aiMatchingService.extractImageFeatures(fullPath, options);
+    }
+    return null;
+  }
+
+  /**
+   * Stored features are stale when no enabled provider produces their source
+   * and model any more (nothing is stale while no provider is enabled)
+   * @param {Array<{source: string, model: string}>} currentModels - From aiMatchingService.getCurrentModels()
+   */
+  _isStale(features, currentModels) {
+    if (currentModels.length === 0) {
+      return false;
+    }
+    return !currentModels.some(current => features.source === current.source && features.model === current.model);
+  }
+
+  /**
+   * Fallback results (no labels, or a `note`) are never persisted
+   */
+  _isUsable(features) {
+    return !!features && !features.note && features.labels?.length > 0;
+  }
+
+  _rowToFeatures(row) {
+    return {
+      labels: this._parseJson(row.labels),
+      colors: this._parseJson(row.colors),
+      objects: this._parseJson(row.objects),
+      description: row.ai_description || undefined,
+      suggestions: {
+        itemType: row.suggested_item_type,
+        category: row.suggested_category,
+        subcategory: row.suggested_subcategory,
+        material: row.suggested_material,
+        brand: row.suggested_brand,
+      },
+      source: row.source,
+      model: row.model,
+      extracted_at: row.extracted_at,
+    };
+  }
+
+  // MySQL returns JSON columns parsed, MariaDB returns them as strings
+  _parseJson(value) {
+    if (value == null) return [];
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+module.exports = new FeatureStore();
@@ -54,7 +54,7 @@ class HuggingFaceService {
    * FREE - No billing required
    * Tries multiple models as fallback
    */
-  async extractImageFeatures(imagePath) {
+  async extractImageFeatures(imagePath, { signal } = {}) {
     console.log('🤖 Using HuggingFace AI to analyze image...');
     console.log(`   Primary model: ${this.primaryModel}`);
     console.log(`   Using: ${this.useMirror ? 'FREE Mirror' : 'Official API'}`);
@@ -88,6 +88,7 @@ class HuggingFaceService {
         {
           headers: headers,
           timeout: 30000, // 30 seconds for primary model
+          signal,
         }
       );
 
@@ -114,6 +115,7 @@ class HuggingFaceService {
           {
             headers: retryHeaders,
             timeout: 30000,
+            signal,
           }
         );
         
@@ -163,6 +165,7 @@ class HuggingFaceService {
           {
             headers: fallbackHeaders,
             timeout: 20000,
+            signal,
           }
         );
 
@@ -180,6 +183,7 @@ class HuggingFaceService {
                 {
                   headers: fallbackHeaders,
                   timeout: 20000,
+                  signal,
                 }
               );
               
@@ -295,7 +299,7 @@ class HuggingFaceService {
   /**
    * Extract features from image URL
    */
-  async extractImageFeaturesFromUrl(imageUrl) {
+  async extractImageFeaturesFromUrl(imageUrl, { signal } = {}) {
     console.log('🤖 Using HuggingFace AI to analyze image from URL...');
     console.log(`   Primary model: ${this.primaryModel}`);
     
@@ -304,6 +308,7 @@ class HuggingFaceService {
       const response = await axios.get(imageUrl, {
         responseType: 'arraybuffer',
         timeout: 10000,
+        signal,
       });
 
       const buffer = Buffer.from(response.data);
@@ -327,6 +332,7 @@ class HuggingFaceService {
           {
             headers: headers,
             timeout: 30000,
+            signal,
           }
         );
 
@@ -359,6 +365,7 @@ class HuggingFaceService {
             {
               headers: fallbackHeaders,
               timeout: 20000,
+              signal,
             }
           );
 
@@ -0,0 +1,202 @@
+const sharp = require('sharp');
+
+// Hamming distance (out of 64 bits) at or below which two photos are the same picture
+const NEAR_DUPLICATE_DISTANCE = 10;
+
+// Distance from which photos are unrelated (random pairs average ~32)
+const UNRELATED_DISTANCE = 24;
+
+/**
+ * Image Hash Service
+ * Perceptual hashes (pHash and dHash) of item photos, computed locally with
+ * sharp. Re-uploads, re-compressions and slight crops of the same photo stay
+ * within a few bits of each other, so near-duplicates are found without any
+ * AI provider.
+ *
+ * Hashes are 64-bit values stored as 16 hex characters.
+ */
+class ImageHashService {
+  /**
+   * Compute both hashes of an image
+   * @param {string|Buffer} input - Image path or bytes
+   * @returns {Promise<{phash: string, dhash: string}>}
+   */
+  async computeHashes(input) {
+    const [phash, dhash] = await Promise.all([this.pHash(input), this.dHash(input)]);
+    return { phash, dhash };
+  }
+
+  /**
+   * Difference hash: 9x8 grayscale, one bit per horizontal gradient
+   */
+  async dHash(input) {
+    const pixels = await this._grayscale(input, 9, 8);
+
+    let bits = '';
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        bits += pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? '1' : '0';
+      }
+    }
+    return this._bitsToHex(bits);
+  }
+
+  /**
+   * Perceptual hash: 32x32 grayscale, DCT, low 8x8 frequencies against their median
+   */
+  async pHash(input) {
+    const size = 32;
+    const pixels = await this._grayscale(input, size, size);
+    const dct = this._dct2d(pixels, size);
+
+    const lowFrequencies = [];
+    for (let v = 0; v < 8; v++) {
+      for (let u = 0; u < 8; u++) {
+        lowFrequencies.push(dct[v * size + u]);
+      }
+    }
+
+    // The DC term (overall brightness) is left out of the median
+    const sorted = lowFrequencies.slice(1).sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+
+    return this._bitsToHex(lowFrequencies.map(value => (value > median ? '1' : '0')).join(''));
+  }
+
+  /**
+   * Number of differing bits between two hex hashes
+   */
+  hammingDistance(hash1, hash2) {
+    if (!hash1 || !hash2 || hash1.length !== hash2.length) return null;
+
+    let distance = 0;
+    for (let i = 0; i < hash1.length; i++) {
+      let diff = parseInt(hash1[i], 16) ^ parseInt(hash2[i], 16);
+      while (diff) {
+        distance += diff & 1;
+        diff >>= 1;
+      }
+    }
+    return distance;
+  }
+
+  /**
+   * Compare two photos' hashes
+   * @param {{phash: string, dhash: string}} hashes1
+   * @param {{phash: string, dhash: string}} hashes2
+   * @returns {{similarity: number, distance: number, nearDuplicate: boolean}|null}
+   *   distance is the mean Hamming distance of the available hashes
+   */
+  compare(hashes1, hashes2) {
+    if (!hashes1 || !hashes2) return null;
+
+    const distances = ['phash', 'dhash']
+      .map(key => this.hammingDistance(hashes1[key], hashes2[key]))
+      .filter(distance => distance !== null);
+    if (distances.length === 0) return null;
+
+    const distance = distances.reduce((sum, d) => sum + d, 0) / distances.length;
+    const similarity = distance <= NEAR_DUPLICATE_DISTANCE
+      ? 1 - (distance / NEAR_DUPLICATE_DISTANCE) * 0.1
+      : Math.max(0, 0.9 * (UNRELATED_DISTANCE - distance) / (UNRELATED_DISTANCE - NEAR_DUPLICATE_DISTANCE));
+
+    return {
+      similarity,
+      distance,
+      nearDuplicate: distance <= NEAR_DUPLICATE_DISTANCE,
+    };
+  }
+
+  /**
+   * Hashes stored on an item row, or null
+   */
+  fromItem(item) {
+    if (!item || (!item.image_phash && !item.image_dhash)) return null;
+    return { phash: item.image_phash || null, dhash: item.image_dhash || null };
+  }
+
+  get nearDuplicateDistance() {
+    return NEAR_DUPLICATE_DISTANCE;
+  }
+
+  /**
+   * SQL expression: Hamming distance between a hex hash column and one `?` hex parameter
+   */
+  distanceSql(column) {
+    return `BIT_COUNT(CAST(CONV(${column}, 16, 10) AS UNSIGNED) ^ CAST(CONV(?, 16, 10) AS UNSIGNED))`;
+  }
+
+  /**
+   * Items whose photo is a near-duplicate of the given one, closest first
+   * @param {Object} connection - MySQL connection
+   * @param {{phash: string}} hashes - Hashes of the photo
+   * @param {Object} [options] - { status, excludeItemId, limit }
+   */
+  async findNearDuplicates(connection, hashes, { status = 'found', excludeItemId = 0, limit = 10 } = {}) {
+    if (!hashes || !hashes.phash) return [];
+
+    const distance = this.distanceSql('image_phash');
+    const [rows] = await connection.execute(
+      `SELECT *, ${distance} AS phash_distance
+       FROM items
+       WHERE status = ? AND item_id != ? AND image_phash IS NOT NULL
+         AND ${distance} <= ?
+       ORDER BY phash_distance ASC
+       LIMIT ${Number(limit) || 10}`,
+      [hashes.phash, status, excludeItemId, hashes.phash, NEAR_DUPLICATE_DISTANCE]
+    );
+    return rows;
+  }
+
+  async _grayscale(input, width, height) {
+    return sharp(input)
+      .rotate()
+      .grayscale()
+      .resize(width, height, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+  }
+
+  _dct2d(pixels, size) {
+    const cosines = [];
+    for (let k = 0; k < size; k++) {
+      for (let n = 0; n < size; n++) {
+        cosines[k * size + n] = Math.cos(((2 * n + 1) * k * Math.PI) / (2 * size));
+      }
+    }
+
+    // Only the 8 lowest frequencies are needed in each direction
+    const rows = new Float64Array(size * 8);
+    for (let y = 0; y < size; y++) {
+      for (let u = 0; u < 8; u++) {
+        let sum = 0;
+        for (let x = 0; x < size; x++) {
+          sum += pixels[y * size + x] * cosines[u * size + x];
+        }
+        rows[y * 8 + u] = sum;
+      }
+    }
+
+    const result = new Float64Array(size * size);
+    for (let v = 0; v < 8; v++) {
+      for (let u = 0; u < 8; u++) {
+        let sum = 0;
+        for (let y = 0; y < size; y++) {
+          sum += rows[y * 8 + u] * cosines[v * size + y];
+        }
+        result[v * size + u] = sum;
+      }
+    }
+    return result;
+  }
+
+  _bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+      hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+    }
+    return hex;
+  }
+}
+
+module.exports = new ImageHashService();
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Longest side of the copy sent to the AI providers
+const AI_MAX_DIMENSION = Number(process.env.AI_IMAGE_MAX_DIMENSION || 1024);
+
+// Longest side of the thumbnails shown in listings
+const THUMBNAIL_SIZE = Number(process.env.THUMBNAIL_SIZE || 320);
+
+// Upload formats kept as they are; anything else (HEIC, TIFF...) is stored as JPEG
+const KEPT_FORMATS = ['jpeg', 'png', 'webp'];
+
+/**
+ * Image Preprocessor
+ * Runs on every uploaded photo before anything else reads it:
+ *
+ *   original  - the upload turned upright from its EXIF orientation and
+ *               re-encoded without metadata (GPS position, camera, dates)
+ *   ai        - JPEG of at most AI_IMAGE_MAX_DIMENSION pixels, sent to the AI
+ *               providers and used for hashes and embeddings
+ *   thumbnail - JPEG of at most THUMBNAIL_SIZE pixels for listings
+ *
+ * Derivatives are written next to the upload as <name>-ai.jpg and
+ * <name>-thumb.jpg.
+ */
+class ImagePreprocessor {
+  /**
+   * Clean an upload and create its derivatives
+   * @param {string} filePath - Uploaded file (replaced by the cleaned original)
+   * @returns {Promise<{original: string, ai: string, thumbnail: string}>} File paths
+   * @throws {Error} code UNPROCESSABLE_IMAGE when sharp cannot read the upload
+   *   (e.g. a HEIC photo the installed libvips has no decoder for); the upload
+   *   and any derivative already written are deleted, since the raw file
+   *   still holds the metadata this step exists to strip
+   */
+  async process(filePath) {
+    const written = [];
+    try {
+      const { format } = await sharp(filePath).metadata();
+      const outputFormat = KEPT_FORMATS.includes(format) ? format : 'jpeg';
+      const { dir, name } = path.parse(filePath);
+
+      // rotate() without an angle applies the EXIF orientation; sharp writes
+      // no metadata unless withMetadata() is asked for
+      const cleaned = await sharp(filePath).rotate().toFormat(outputFormat).toBuffer();
+      const originalPath = path.join(dir, `${name}.${outputFormat === 'jpeg' ? 'jpg' : outputFormat}`);
+      written.push(originalPath);
+      await fs.promises.writeFile(originalPath, cleaned);
+      if (originalPath !== filePath) {
+        await fs.promises.unlink(filePath);
+      }
+
+      const aiPath = path.join(dir, `${name}-ai.jpg`);
+      written.push(aiPath);
+      await this._derivative(cleaned, AI_MAX_DIMENSION, 85).toFile(aiPath);
+
+      const thumbnailPath = path.join(dir, `${name}-thumb.jpg`);
+      written.push(thumbnailPath);
+      await this._derivative(cleaned, THUMBNAIL_SIZE, 75).toFile(thumbnailPath);
+
+      return { original: originalPath, ai: aiPath, thumbnail: thumbnailPath };
+    } catch (preprocessError) {
+      console.warn('⚠️ Image preprocessing failed, upload rejected:', preprocessError.message);
+      await Promise.all([...new Set([filePath, ...written])].map(leftover => fs.promises.unlink(leftover).catch(() => {})));
+      const error = new Error('The image could not be processed; upload a JPEG, PNG or WebP photo');
+      error.code = 'UNPROCESSABLE_IMAGE';
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the files of a processed upload (temporary search and analysis images)
+   * @param {{original: string, ai: string, thumbnail: string|null}} images - From process()
+   */
+  remove(images) {
+    const paths = new Set([images.original, images.ai, images.thumbnail].filter(Boolean));
+    for (const filePath of paths) {
+      fs.unlink(filePath, () => {});
+    }
+  }
+
+  _derivative(input, maxDimension, quality) {
+    return sharp(input)
+      .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality });
+  }
+}
+
+module.exports = new ImagePreprocessor();
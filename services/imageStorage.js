@@ -51,7 +51,28 @@ const uploadImage = async (filePath) => {
   }
 };
 
+// Local file behind an image_path served from our own uploads directory (null for Cloudinary)
+const localPathFor = (imagePath) => {
+  const match = /\/uploads\/([^?#]+)$/.exec(imagePath || '');
+  if (!match) return null;
+
+  let relativePath;
+  try {
+    relativePath = decodeURIComponent(match[1]);
+  } catch (error) {
+    return null;
+  }
+
+  const uploadsDir = path.join(__dirname, '..', 'uploads');
+  const filePath = path.join(uploadsDir, relativePath);
+  if (!filePath.startsWith(uploadsDir + path.sep) || !fs.existsSync(filePath)) {
+    return null;
+  }
+  return filePath;
+};
+
 module.exports = {
   uploadImage,
+  localPathFor,
 };
 
@@ -0,0 +1,123 @@
+const { inferCategory } = require('../utils/categoryMapper');
+const { normalizeText } = require('../utils/textNormalizer');
+const colorExtractor = require('./colorExtractor');
+
+// Material → words the AI providers (and LLaVA descriptions) use for it
+const MATERIALS = {
+  leather: ['leather', 'cuir', 'جلد'],
+  plastic: ['plastic', 'بلاستيك'],
+  metal: ['metal', 'metallic', 'steel', 'aluminum', 'aluminium', 'معدن'],
+  fabric: ['fabric', 'cloth', 'textile', 'cotton', 'polyester', 'nylon', 'قماش', 'قطن'],
+  wool: ['wool', 'knit', 'صوف'],
+  denim: ['denim'],
+  glass: ['glass', 'زجاج'],
+  wood: ['wood', 'wooden', 'خشب'],
+  rubber: ['rubber', 'silicone', 'مطاط'],
+  gold: ['gold', 'golden', 'ذهب'],
+  silver: ['silver', 'فضة'],
+};
+
+// Brand → words that identify it
+const BRANDS = {
+  Apple: ['apple', 'iphone', 'ipad', 'macbook', 'airpods'],
+  Samsung: ['samsung', 'galaxy'],
+  Huawei: ['huawei'],
+  Xiaomi: ['xiaomi', 'redmi'],
+  Oppo: ['oppo'],
+  Sony: ['sony'],
+  HP: ['hp'],
+  Dell: ['dell'],
+  Lenovo: ['lenovo'],
+  JBL: ['jbl'],
+  Casio: ['casio'],
+  Nike: ['nike'],
+  Adidas: ['adidas'],
+  Puma: ['puma'],
+  'Ray-Ban': ['rayban', 'ray-ban'],
+};
+
+/**
+ * Item Suggestion Service
+ * Turns AI features into form suggestions (item type, category, colors,
+ * material, brand) that the client shows before the user submits a report.
+ */
+class ItemSuggestionService {
+  /**
+   * Build report suggestions from extracted features
+   * @param {Object|null} features - Features from aiMatchingService
+   * @param {Object} [options] - { itemType } typed by the user, refines the category
+   * @returns {{itemType: string|null, category: string|null, subcategory: string|null,
+   *   categorySuggestions: Array, colors: string[], material: string|null, brand: string|null}}
+   */
+  buildSuggestions(features, { itemType = '' } = {}) {
+    const labels = features?.labels || [];
+    const objects = features?.objects || [];
+    const categorySuggestions = inferCategory({ labels, objects, itemType });
+    const top = categorySuggestions[0] || null;
+
+    const words = this._words([
+      ...labels.map(label => label?.description || label),
+      ...objects.map(object => object?.name || object?.description || object),
+      features?.description,
+    ]);
+
+    return {
+      itemType: this._suggestItemType(top, labels),
+      category: top ? top.category : null,
+      subcategory: top ? top.subcategory : null,
+      categorySuggestions,
+      colors: this.colorNames(features?.colors),
+      material: this._findTerm(words, MATERIALS),
+      brand: this._findTerm(words, BRANDS),
+    };
+  }
+
+  /**
+   * Color names from any provider format (strings, { name }, or RGB objects)
+   */
+  colorNames(colors) {
+    const names = (colors || [])
+      .map((color) => {
+        if (typeof color === 'string') return color.toLowerCase();
+        if (color && typeof color.name === 'string') return color.name.toLowerCase();
+        if (color && typeof color.red === 'number') return colorExtractor.nameColor(color).name;
+        return null;
+      })
+      .filter(Boolean);
+    return [...new Set(names)].slice(0, 3);
+  }
+
+  /**
+   * The AI label that voted most for the top category, else the top label
+   */
+  _suggestItemType(top, labels) {
+    const aiVotes = (top?.votes || []).filter(vote => vote.source !== 'item_type');
+    if (aiVotes.length > 0) {
+      const best = aiVotes.reduce((a, b) => (b.weight > a.weight ? b : a));
+      return best.text.toLowerCase();
+    }
+    const first = labels[0];
+    const text = typeof first === 'string' ? first : first?.description;
+    return text ? text.toLowerCase() : null;
+  }
+
+  _words(texts) {
+    return new Set(
+      texts
+        .filter(text => typeof text === 'string')
+        .flatMap(text => normalizeText(text).split(/[^\p{L}\p{N}-]+/u))
+        .filter(Boolean)
+    );
+  }
+
+  _findTerm(words, dictionary) {
+    for (const [term, variants] of Object.entries(dictionary)) {
+      if (variants.some(variant => words.has(normalizeText(variant)))) {
+        return term;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = new ItemSuggestionService();
@@ -0,0 +1,427 @@
+const os = require('os');
+
+// Jobs run at the same time by this process
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY || 2);
+
+// How often the worker looks for due jobs when nothing woke it up
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS || 2000);
+
+// Retry delays double from the base (30s, 1m, 2m, ...) up to the maximum
+const BACKOFF_BASE_MS = Number(process.env.JOB_BACKOFF_BASE_MS || 30000);
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// A job still running this long after it was claimed lost its worker (crash, restart)
+const LOCK_TIMEOUT_MS = Number(process.env.JOB_LOCK_TIMEOUT_MS || 10 * 60 * 1000);
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+
+/**
+ * Job Runner
+ * Durable background jobs stored in the jobs table and run by a worker loop
+ * inside the Node process, so slow work (AI analysis, matching,
+ * notifications) leaves the HTTP request and survives crashes and restarts.
+ *
+ * Job types are handlers in services/jobs/ with:
+ *
+ *   type         - e.g. 'match_item'
+ *   maxAttempts  - tries before the job is dead-lettered (default 5)
+ *   timeoutMs    - how long one try may take (default 5 minutes)
+ *   run(payload, { connection, job, signal }) - does the work, returns a JSON
+ *                  result; throwing schedules a retry. signal aborts when the
+ *                  try times out, and the job is only retried once run() has
+ *                  returned, so a slow try never overlaps the next one.
+ *
+ * Failed jobs are retried with exponential backoff and end up with status
+ * 'dead' when they run out of attempts; admins inspect and retry them
+ * through /api/admin/jobs. An idempotency key makes enqueueing the same work
+ * twice return the job that already exists; a dead one is queued again with
+ * fresh attempts, so an item is not left unanalyzed for good because its job
+ * failed while a provider was down.
+ *
+ * Workers claim jobs with a conditional UPDATE, so several server processes
+ * can share the table.
+ */
+class JobRunner {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pool = null;
+    this.running = 0;
+    // Jobs this process is running, never released as stale while they run
+    this.active = new Set();
+    this._timer = null;
+    this._timerDueAt = 0;
+    this._polling = false;
+    this._wakeRequested = false;
+    this._lastPollError = null;
+  }
+
+  /**
+   * Add (or replace) a job type
+   */
+  register(handler) {
+    if (!handler || !handler.type || typeof handler.run !== 'function') {
+      throw new Error('Job handlers need a type and run()');
+    }
+    this.handlers.set(handler.type, handler);
+  }
+
+  /**
+   * Register the job types and start the worker loop
+   * @param {Object} pool - Database connection pool
+   * @param {Array<Object>} handlers - Job handlers (services/jobs)
+   */
+  start(pool, handlers = []) {
+    handlers.forEach(handler => this.register(handler));
+    this.pool = pool;
+    console.log(`🧵 Job worker started (${CONCURRENCY} at a time: ${[...this.handlers.keys()].join(', ')})`);
+    this._schedule(0);
+  }
+
+  /**
+   * Store a job for the worker
+   * @param {Object} connection - MySQL connection
+   * @param {string} type - Job type
+   * @param {Object} payload - JSON payload passed to the handler
+   * @param {Object} [options] - { idempotencyKey, maxAttempts, delayMs }
+   * @returns {Promise<{jobId: number, created: boolean, requeued: boolean}>} created
+   *   is false when a job with the same idempotency key already existed;
+   *   requeued is true when that job was dead and was queued again
+   */
+  async enqueue(connection, type, payload = {}, { idempotencyKey = null, maxAttempts, delayMs = 0 } = {}) {
+    const attempts = maxAttempts || this.handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+
+    try {
+      const [result] = await connection.execute(
+        `INSERT INTO jobs (type, payload, idempotency_key, max_attempts, run_at)
+         VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+        [type, JSON.stringify(payload), idempotencyKey, attempts, Math.ceil(delayMs / 1000)]
+      );
+      this._schedule(delayMs);
+      return { jobId: result.insertId, created: true, requeued: false };
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY' || !idempotencyKey) {
+        throw error;
+      }
+      // Work that died while a dependency was down runs again when it is
+      // asked for again, instead of the key blocking it for good
+      const [requeue] = await connection.execute(
+        `UPDATE jobs
+         SET status = 'pending', payload = ?, attempts = 0, max_attempts = ?, last_error = NULL,
+             run_at = DATE_ADD(NOW(), INTERVAL ? SECOND), locked_by = NULL, locked_at = NULL
+         WHERE idempotency_key = ? AND status = 'dead'`,
+        [JSON.stringify(payload), attempts, Math.ceil(delayMs / 1000), idempotencyKey]
+      );
+      const [rows] = await connection.execute(
+        'SELECT job_id FROM jobs WHERE idempotency_key = ?',
+        [idempotencyKey]
+      );
+      const requeued = requeue.affectedRows > 0;
+      if (requeued) {
+        this._schedule(delayMs);
+      }
+      return { jobId: rows[0].job_id, created: false, requeued };
+    }
+  }
+
+  /**
+   * Jobs, newest first
+   * @param {Object} connection - MySQL connection
+   * @param {Object} [options] - { status, type, limit, offset }
+   * @returns {Promise<{jobs: Array<Object>, total: number}>}
+   */
+  async list(connection, { status, type, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status && JOB_STATUSES.includes(status)) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (type) {
+      conditions.push('type = ?');
+      params.push(String(type));
+    }
+    const whereSql = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [[{ total }]] = await connection.execute(
+      `SELECT COUNT(*) AS total FROM jobs ${whereSql}`,
+      params
+    );
+    const [rows] = await connection.execute(
+      `SELECT * FROM jobs ${whereSql}
+       ORDER BY job_id DESC
+       LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+      params
+    );
+    return { jobs: rows.map(row => this._rowToJob(row)), total };
+  }
+
+  /**
+   * One job
+   * @returns {Promise<Object|null>}
+   */
+  async get(connection, jobId) {
+    const [rows] = await connection.execute('SELECT * FROM jobs WHERE job_id = ?', [jobId]);
+    return rows.length > 0 ? this._rowToJob(rows[0]) : null;
+  }
+
+  /**
+   * The job enqueued with an idempotency key
+   * @returns {Promise<Object|null>}
+   */
+  async getByKey(connection, idempotencyKey) {
+    const [rows] = await connection.execute('SELECT * FROM jobs WHERE idempotency_key = ?', [idempotencyKey]);
+    return rows.length > 0 ? this._rowToJob(rows[0]) : null;
+  }
+
+  /**
+   * Job counts per status
+   */
+  async counts(connection) {
+    const [rows] = await connection.execute('SELECT status, COUNT(*) AS count FROM jobs GROUP BY status');
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    rows.forEach((row) => {
+      counts[row.status] = row.count;
+    });
+    return counts;
+  }
+
+  /**
+   * Queue a failed job again with fresh attempts: a dead one, or a pending one
+   * waiting for its next try after an error
+   * @returns {Promise<boolean>} false when the job does not exist, did not fail
+   *   or is running
+   */
+  async retry(connection, jobId) {
+    const [result] = await connection.execute(
+      `UPDATE jobs
+       SET status = 'pending', attempts = 0, run_at = NOW(), locked_by = NULL, locked_at = NULL
+       WHERE job_id = ? AND (status = 'dead' OR (status = 'pending' AND last_error IS NOT NULL))`,
+      [jobId]
+    );
+    if (result.affectedRows === 0) return false;
+
+    this._schedule(0);
+    return true;
+  }
+
+  /**
+   * Poll again after delayMs (sooner wake-ups win)
+   */
+  _schedule(delayMs) {
+    if (!this.pool) return;
+
+    if (this._polling) {
+      this._wakeRequested = this._wakeRequested || delayMs === 0;
+      return;
+    }
+    if (this._timer && this._timerDueAt <= Date.now() + delayMs) return;
+
+    clearTimeout(this._timer);
+    this._timerDueAt = Date.now() + delayMs;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._poll();
+    }, delayMs);
+  }
+
+  async _poll() {
+    this._polling = true;
+    this._wakeRequested = false;
+
+    let connection;
+    try {
+      connection = await this.pool.getConnection();
+      await this._recoverStale(connection);
+
+      while (this.running < CONCURRENCY) {
+        const job = await this._claim(connection);
+        if (!job) break;
+
+        this.running++;
+        this._execute(job).finally(() => {
+          this.running--;
+          this._schedule(0);
+        });
+      }
+
+      if (this._lastPollError) {
+        console.log('✅ Job worker reconnected');
+        this._lastPollError = null;
+      }
+    } catch (error) {
+      // One warning per outage, not one per poll
+      if (this._lastPollError !== error.message) {
+        const hint = error.code === 'ER_NO_SUCH_TABLE' ? ' (run database/add_jobs.sql)' : '';
+        console.warn(`⚠️ Job worker cannot read jobs${hint}:`, error.message);
+        this._lastPollError = error.message;
+      }
+    } finally {
+      if (connection) connection.release();
+      this._polling = false;
+      this._schedule(this._wakeRequested ? 0 : POLL_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Claim the next due job of a registered type
+   * @returns {Promise<Object|null>} The claimed job row, attempts already counted
+   */
+  async _claim(connection) {
+    const types = [...this.handlers.keys()];
+    if (types.length === 0) return null;
+
+    const [candidates] = await connection.execute(
+      `SELECT job_id FROM jobs
+       WHERE status = 'pending' AND run_at <= NOW() AND type IN (${types.map(() => '?').join(', ')})
+       ORDER BY run_at, job_id
+       LIMIT 5`,
+      types
+    );
+
+    for (const { job_id: jobId } of candidates) {
+      // Another worker may have claimed it between the SELECT and the UPDATE
+      const [result] = await connection.execute(
+        `UPDATE jobs
+         SET status = 'running', attempts = attempts + 1, locked_by = ?, locked_at = NOW()
+         WHERE job_id = ? AND status = 'pending'`,
+        [this.workerId, jobId]
+      );
+      if (result.affectedRows === 1) {
+        const [rows] = await connection.execute('SELECT * FROM jobs WHERE job_id = ?', [jobId]);
+        return rows[0];
+      }
+    }
+    return null;
+  }
+
+  async _execute(job) {
+    const handler = this.handlers.get(job.type);
+    const controller = new AbortController();
+    let connection;
+    let run = null;
+    this.active.add(job.job_id);
+    try {
+      connection = await this.pool.getConnection();
+      run = Promise.resolve().then(() => handler.run(
+        this._parseJson(job.payload),
+        { connection, job, signal: controller.signal }
+      ));
+      const result = await this._withTimeout(run, handler.timeoutMs || DEFAULT_TIMEOUT_MS, controller);
+
+      await connection.execute(
+        `UPDATE jobs
+         SET status = 'completed', result = ?, last_error = NULL, locked_by = NULL, locked_at = NULL, completed_at = NOW()
+         WHERE job_id = ?`,
+        [JSON.stringify(result === undefined ? null : result), job.job_id]
+      );
+    } catch (error) {
+      // A timed-out handler keeps its connection and the job stays running
+      // until it has actually stopped
+      if (run) await run.catch(() => {});
+      await this._fail(job, error);
+    } finally {
+      if (connection) connection.release();
+      this.active.delete(job.job_id);
+    }
+  }
+
+  /**
+   * Schedule a retry with backoff, or dead-letter the job when it is out of attempts
+   */
+  async _fail(job, error) {
+    const message = error?.message || String(error);
+    const dead = job.attempts >= job.max_attempts;
+    const delayMs = this._backoffMs(job.attempts);
+
+    if (dead) {
+      console.error(`❌ Job ${job.job_id} (${job.type}) failed ${job.attempts} time(s), dead-lettered:`, message);
+    } else {
+      console.warn(`⚠️ Job ${job.job_id} (${job.type}) failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${Math.round(delayMs / 1000)}s:`, message);
+    }
+
+    let connection;
+    try {
+      connection = await this.pool.getConnection();
+      await connection.execute(
+        `UPDATE jobs
+         SET status = ?, last_error = ?, locked_by = NULL, locked_at = NULL,
+             run_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+         WHERE job_id = ?`,
+        [dead ? 'dead' : 'pending', message.slice(0, 2000), dead ? 0 : Math.ceil(delayMs / 1000), job.job_id]
+      );
+    } catch (updateError) {
+      // The job stays 'running' and is picked up again once its lock times out
+      console.error(`❌ Could not record failure of job ${job.job_id}:`, updateError.message);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Release jobs whose worker died while running them
+   */
+  async _recoverStale(connection) {
+    // A handler ignoring its abort signal may outlive the lock; ours are still running
+    const active = [...this.active];
+    const activeSql = active.length > 0
+      ? ` AND NOT (locked_by = ? AND job_id IN (${active.map(() => '?').join(', ')}))`
+      : '';
+    const [result] = await connection.execute(
+      `UPDATE jobs
+       SET status = IF(attempts >= max_attempts, 'dead', 'pending'),
+           last_error = 'Worker stopped while running the job', locked_by = NULL, locked_at = NULL
+       WHERE status = 'running' AND locked_at < DATE_SUB(NOW(), INTERVAL ? SECOND)${activeSql}`,
+      [Math.ceil(LOCK_TIMEOUT_MS / 1000), ...(active.length > 0 ? [this.workerId, ...active] : [])]
+    );
+    if (result.affectedRows > 0) {
+      console.warn(`⚠️ Released ${result.affectedRows} job(s) left running by a stopped worker`);
+    }
+  }
+
+  /**
+   * Exponential backoff with ±25% jitter, so failed jobs do not retry in lockstep
+   */
+  _backoffMs(attempts) {
+    const delay = Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+    return Math.round(delay * (0.75 + Math.random() * 0.5));
+  }
+
+  /**
+   * Reject after timeoutMs and abort the handler's signal
+   */
+  _withTimeout(promise, timeoutMs, controller) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        // Rejected first, so the abort error the work throws does not win the race
+        reject(new Error(`timed out after ${timeoutMs}ms`));
+        controller.abort();
+      }, timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  _rowToJob(row) {
+    return {
+      ...row,
+      payload: this._parseJson(row.payload),
+      result: this._parseJson(row.result),
+    };
+  }
+
+  // MySQL returns JSON columns parsed, MariaDB returns them as strings
+  _parseJson(value) {
+    if (value == null || typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new JobRunner();
@@ -0,0 +1,26 @@
+const pythonAIService = require('../pythonAIService');
+const embeddingStore = require('../embeddingStore');
+
+/**
+ * Compute and store the visual embedding of an item that has none. Queued by
+ * search for the results it scored without embeddings.
+ */
+module.exports = {
+  type: 'embed_item',
+  maxAttempts: 5,
+  async run({ itemId }, { connection, signal }) {
+    const [rows] = await connection.execute('SELECT * FROM items WHERE item_id = ?', [itemId]);
+    if (rows.length === 0 || !rows[0].image_path) {
+      return { skipped: 'item deleted or without image' };
+    }
+    if (!pythonAIService.enabled) {
+      return { skipped: 'Python AI service disabled' };
+    }
+
+    const embedding = await embeddingStore.getEmbedding(connection, rows[0], { signal });
+    if (!embedding) {
+      throw new Error('Python AI service returned no embedding');
+    }
+    return { model: embedding.model, dimensions: embedding.vector.length };
+  },
+};
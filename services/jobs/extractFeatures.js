@@ -0,0 +1,27 @@
+const aiMatchingService = require('../aiMatchingService');
+const featureStore = require('../featureStore');
+
+/**
+ * Extract and store the AI features of an item whose features are missing or
+ * come from another provider. Queued by search for the results it scored
+ * without features.
+ */
+module.exports = {
+  type: 'extract_features',
+  maxAttempts: 5,
+  async run({ itemId }, { connection, signal }) {
+    const [rows] = await connection.execute('SELECT * FROM items WHERE item_id = ?', [itemId]);
+    if (rows.length === 0 || !rows[0].image_path) {
+      return { skipped: 'item deleted or without image' };
+    }
+    if (!aiMatchingService.getActiveProvider()) {
+      return { skipped: 'no AI provider enabled' };
+    }
+
+    const features = await featureStore.getFeatures(connection, rows[0], { signal });
+    if (!featureStore.isCurrent(features)) {
+      throw new Error('No AI provider returned features');
+    }
+    return { source: features.source, model: features.model, labels: features.labels.length };
+  },
+};
@@ -0,0 +1,6 @@
+// Job types run by services/jobRunner.js
+module.exports = [
+  require('./matchItem'),
+  require('./extractFeatures'),
+  require('./embedItem'),
+];
@@ -0,0 +1,49 @@
+const matchingService = require('../matchingService');
+const featureStore = require('../featureStore');
+const itemSuggestionService = require('../itemSuggestionService');
+
+/**
+ * Match a reported item against open items of the opposite status and notify
+ * their reporters. An item reported without a category first gets the one
+ * suggested from its photo. Queued by /report; the category suggestions voted
+ * from the photo's labels are kept in the result for GET /:itemId/analysis.
+ */
+module.exports = {
+  type: 'match_item',
+  maxAttempts: 5,
+  async run({ itemId }, { connection, signal }) {
+    const [rows] = await connection.execute('SELECT * FROM items WHERE item_id = ?', [itemId]);
+    if (rows.length === 0) {
+      return { skipped: 'item deleted' };
+    }
+    const item = rows[0];
+    if (item.status !== 'lost' && item.status !== 'found') {
+      return { skipped: `item is ${item.status}` };
+    }
+
+    const features = await featureStore.getFeatures(connection, item, { signal });
+
+    const { categorySuggestions } = itemSuggestionService.buildSuggestions(features, { itemType: item.item_type });
+    if (!item.category) {
+      const [top] = categorySuggestions;
+      if (top) {
+        await connection.execute(
+          'UPDATE items SET category = ?, subcategory = ? WHERE item_id = ? AND category IS NULL',
+          [top.category, top.subcategory || null, item.item_id]
+        );
+        item.category = top.category;
+        item.subcategory = top.subcategory || null;
+        console.log(`   Auto-detected category for item ${item.item_id}:`, item.category, '/', item.subcategory);
+      }
+    }
+
+    const matches = await matchingService.matchItem(connection, item, features, { signal });
+    if (matches.length > 0) {
+      console.log(`✅ Created ${matches.length} potential matches for ${item.status} item ${item.item_id}`);
+    }
+    return {
+      categorySuggestions,
+      matches: matches.map(match => ({ itemId: match.item.item_id, score: match.score })),
+    };
+  },
+};
@@ -31,7 +31,7 @@ class LLaVAService {
    * Extract features from image using LLaVA
    * LLaVA provides detailed image descriptions
    */
-  async extractImageFeatures(imagePath) {
+  async extractImageFeatures(imagePath, { signal } = {}) {
     if (!this.apiKey) {
       return null;
     }
@@ -64,6 +64,7 @@ class LLaVAService {
               'Content-Type': 'application/json',
             },
             timeout: 60000, // 60 seconds (LLaVA can be slow)
+            signal,
           }
         );
 
@@ -73,36 +74,11 @@ class LLaVAService {
         }
       } catch (error) {
         if (error.response?.status === 503) {
-          console.warn(`   → Model ${this.primaryModel} is loading, waiting 10 seconds...`);
-          await new Promise(resolve => setTimeout(resolve, 10000));
-          
-          // Retry once
-          try {
-            const retryResponse = await axios.post(
-              `${this.baseUrl}/${this.primaryModel}`,
-              {
-                inputs: {
-                  image: base64Image,
-                  prompt: prompt,
-                },
-              },
-              {
-                headers: {
-                  'Authorization': `Bearer ${this.apiKey}`,
-                  'Content-Type': 'application/json',
-                },
-                timeout: 60000,
-              }
-            );
-            
-            const result = this.parseLLaVAResponse(retryResponse.data);
-            if (result) return result;
-          } catch (retryError) {
-            console.warn(`   → Retry failed, trying fallback models...`);
-          }
-        } else {
-          console.warn(`   → Error: ${error.response?.status || error.message}`);
+          // No waiting here: the provider registry's circuit breaker retries later
+          console.warn(`   → Model ${this.primaryModel} is loading, skipping LLaVA for now`);
+          return null;
         }
+        console.warn(`   → Error: ${error.response?.status || error.message}`);
       }
 
       // Try fallback models
@@ -125,6 +101,7 @@ class LLaVAService {
                 'Content-Type': 'application/json',
               },
               timeout: 60000,
+              signal,
             }
           );
 
@@ -282,7 +259,7 @@ class LLaVAService {
   /**
    * Extract features from image URL
    */
-  async extractImageFeaturesFromUrl(imageUrl) {
+  async extractImageFeaturesFromUrl(imageUrl, { signal } = {}) {
     if (!this.apiKey) {
       return null;
     }
@@ -294,6 +271,7 @@ class LLaVAService {
       const response = await axios.get(imageUrl, {
         responseType: 'arraybuffer',
         timeout: 10000,
+        signal,
       });
 
       const base64Image = Buffer.from(response.data).toString('base64');
@@ -314,6 +292,7 @@ class LLaVAService {
             'Content-Type': 'application/json',
           },
           timeout: 60000,
+          signal,
         }
       );
 
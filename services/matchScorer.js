@@ -0,0 +1,543 @@
+const { stringSimilarity } = require('../utils/stringSimilarity');
+const textNormalizer = require('../utils/textNormalizer');
+const colorExtractor = require('./colorExtractor');
+const imageHash = require('./imageHash');
+const { cosineSimilarity } = require('../utils/vectorMath');
+
+// Common color variations (English, French, Arabic)
+const COLOR_SYNONYMS = {
+  'red': ['red', 'rouge', 'أحمر'],
+  'blue': ['blue', 'bleu', 'أزرق'],
+  'green': ['green', 'vert', 'أخضر'],
+  'yellow': ['yellow', 'jaune', 'أصفر'],
+  'black': ['black', 'noir', 'أسود'],
+  'white': ['white', 'blanc', 'أبيض'],
+  'gray': ['gray', 'grey', 'gris', 'رمادي'],
+  'orange': ['orange', 'برتقالي'],
+  'purple': ['purple', 'violet', 'بنفسجي'],
+  'pink': ['pink', 'rose', 'وردي'],
+  'brown': ['brown', 'marron', 'بني'],
+};
+
+const SIZE_WORDS = ['small', 'medium', 'large'];
+
+// Default signal weights (relative - they do not need to sum to 100)
+const DEFAULT_WEIGHTS = {
+  item_type: 20,
+  category: 15,
+  subcategory: 10,
+  color: 10,
+  size: 5,
+  keywords: 10,
+  labels: 15,
+  objects: 5,
+  image_colors: 10,
+  text_relevance: 15,
+  image_hash: 40,
+  embedding: 25,
+};
+
+// Lowest score of a pair whose photos are near-duplicates (same picture re-uploaded)
+const NEAR_DUPLICATE_SCORE = Number(process.env.MATCH_NEAR_DUPLICATE_SCORE || 90);
+
+// CLIP cosine similarity of unrelated photos, and of two photos of the same object
+const EMBEDDING_UNRELATED = 0.5;
+const EMBEDDING_SAME_OBJECT = 0.9;
+
+/**
+ * Match Scorer
+ * The single scoring module behind search, automatic matching and
+ * AIMatchingService.calculateSimilarityScore, so `match_score` means the
+ * same thing on every path.
+ *
+ * Each signal compares one aspect of two subjects and returns a similarity
+ * between 0 and 1, or null when either side lacks the data. The score is the
+ * weighted average of the available signals on a 0-100 scale. A minimum
+ * evidence weight keeps a single agreeing signal from producing a 100% match.
+ *
+ * A signal may also return `minScore` to put a floor under the total: a
+ * near-duplicate photo is a match whatever the typed fields say.
+ *
+ * A subject is `{ item, features, text, relevance, hashes, embedding }`: an
+ * item row, its AI features, free search text, a 0-1 FULLTEXT relevance
+ * (search results only), perceptual hashes of a photo that is not stored on
+ * an item row (search uploads) and the photo's visual embedding
+ * (`{ vector, model }`, see embeddingStore). Any of them may be missing.
+ *
+ * Config: MATCH_SIGNAL_WEIGHTS (JSON, e.g. {"labels":30}), MATCH_THRESHOLD,
+ * MATCH_MIN_EVIDENCE_WEIGHT, MATCH_NEAR_DUPLICATE_SCORE
+ */
+class MatchScorer {
+  constructor() {
+    this.signals = new Map();
+    this.weights = { ...DEFAULT_WEIGHTS, ...this._parseWeights(process.env.MATCH_SIGNAL_WEIGHTS) };
+    this.threshold = Number(process.env.MATCH_THRESHOLD || 45);
+    this.minEvidenceWeight = Number(process.env.MATCH_MIN_EVIDENCE_WEIGHT || 40);
+
+    this.registerSignal('item_type', (q, c) => this._itemTypeSignal(q, c));
+    this.registerSignal('category', (q, c) => this._equalitySignal(q.item.category, c.item.category));
+    this.registerSignal('subcategory', (q, c) => this._equalitySignal(q.item.subcategory, c.item.subcategory));
+    this.registerSignal('color', (q, c) => this._colorSignal(q, c));
+    this.registerSignal('size', (q, c) => this._sizeSignal(q, c));
+    this.registerSignal('keywords', (q, c) => this._keywordSignal(q, c));
+    this.registerSignal('labels', (q, c) => this._listSignal(q.labels, c.labels));
+    this.registerSignal('objects', (q, c) => this._listSignal(q.objects, c.objects));
+    this.registerSignal('image_colors', (q, c) => this._imageColorSignal(q, c));
+    this.registerSignal('text_relevance', (q, c) => c.relevance);
+    this.registerSignal('image_hash', (q, c) => this._imageHashSignal(q, c));
+    this.registerSignal('embedding', (q, c) => this._embeddingSignal(q, c));
+  }
+
+  /**
+   * Add (or replace) a named signal
+   * @param {string} name - Signal name, used as the weight key and in breakdowns
+   * @param {Function} fn - (queryProfile, candidateProfile) => similarity in [0,1],
+   *   { similarity, details, minScore }, or null when the signal does not apply
+   * @param {number} [weight] - Default weight if none is configured
+   */
+  registerSignal(name, fn, weight) {
+    this.signals.set(name, fn);
+    if (this.weights[name] === undefined) {
+      this.weights[name] = weight || 0;
+    }
+  }
+
+  /**
+   * Override signal weights, e.g. { labels: 30, size: 0 }
+   */
+  setWeights(weights) {
+    this.weights = { ...this.weights, ...weights };
+  }
+
+  /**
+   * Score a candidate against a query
+   * @param {Object} query - { item, features, text }
+   * @param {Object} candidate - { item, features, text }
+   * @param {Object} [options] - { signals: [...] } to restrict the signals used
+   * @returns {{score: number, breakdown: Object, explanation: Object}} score is 0-100,
+   *   breakdown is per signal, explanation is breakdown plus readable summary
+   */
+  score(query, candidate, options = {}) {
+    const q = this._profile(query);
+    const c = this._profile(candidate);
+    const names = options.signals || [...this.signals.keys()];
+
+    const available = [];
+    let minScore = 0;
+    for (const name of names) {
+      const weight = this.weights[name] || 0;
+      const fn = this.signals.get(name);
+      if (!fn || weight <= 0) continue;
+
+      let result = null;
+      try {
+        result = fn(q, c);
+      } catch (error) {
+        console.warn(`⚠️ Match signal "${name}" failed:`, error.message);
+      }
+
+      // Signals return a number, or { similarity, details } to explain themselves
+      const similarity = result && typeof result === 'object' ? result.similarity : result;
+      if (similarity !== null && similarity !== undefined && !Number.isNaN(similarity)) {
+        if (result && typeof result === 'object' && result.minScore > minScore) {
+          minScore = result.minScore;
+        }
+        available.push({
+          name,
+          weight,
+          similarity: Math.max(0, Math.min(1, similarity)),
+          details: result && typeof result === 'object' ? result.details : undefined,
+        });
+      }
+    }
+
+    const totalWeight = available.reduce((sum, s) => sum + s.weight, 0);
+    if (totalWeight === 0) {
+      return { score: 0, breakdown: {}, explanation: this.explain({}) };
+    }
+
+    const denominator = Math.max(totalWeight, this.minEvidenceWeight);
+    const breakdown = {};
+    let score = 0;
+
+    for (const s of available) {
+      const points = (s.weight * s.similarity / denominator) * 100;
+      score += points;
+      breakdown[s.name] = {
+        similarity: Math.round(s.similarity * 100) / 100,
+        weight: s.weight,
+        points: Math.round(points * 10) / 10,
+        ...(s.details ? { details: s.details } : {}),
+      };
+    }
+
+    return {
+      score: Math.min(Math.round(Math.max(score, minScore)), 100),
+      breakdown,
+      explanation: this.explain(breakdown),
+    };
+  }
+
+  /**
+   * Build a human-readable explanation from a score breakdown
+   * @param {Object} breakdown - Breakdown returned by score()
+   * @returns {{summary: string[], signals: Object}} Stored with the match and returned by the API
+   */
+  explain(breakdown) {
+    const summary = [];
+    const detail = (name) => breakdown[name]?.details || {};
+
+    for (const name of ['category', 'subcategory']) {
+      if (!breakdown[name]) continue;
+      const { query, candidate } = detail(name);
+      summary.push(breakdown[name].similarity === 1
+        ? `Same ${name} (${candidate})`
+        : `Different ${name} (${query} vs ${candidate})`);
+    }
+
+    if (breakdown.item_type?.similarity > 0) {
+      const { term, candidate } = detail('item_type');
+      summary.push(`Item type "${candidate}" matches "${term}"`);
+    }
+
+    if (breakdown.color) {
+      const { query, candidate } = detail('color');
+      const similarity = breakdown.color.similarity;
+      if (similarity === 1) {
+        summary.push(`Same color (${candidate})`);
+      } else if (similarity >= 0.7) {
+        summary.push(`Similar color (${query.join('/')} vs ${candidate})`);
+      } else {
+        summary.push(`Different color (${query.join('/')} vs ${candidate})`);
+      }
+    }
+
+    for (const name of ['labels', 'objects']) {
+      const overlap = detail(name).overlap || [];
+      if (overlap.length > 0) {
+        summary.push(`Shared image ${name}: ${overlap.join(', ')}`);
+      }
+    }
+
+    if (breakdown.image_colors) {
+      const { sources } = detail('image_colors');
+      const percent = Math.round(breakdown.image_colors.similarity * 100);
+      const compared = sources && sources.query !== sources.candidate
+        ? ' (typed color vs photo)'
+        : '';
+      summary.push(`Photo colors ${percent}% similar${compared}`);
+    }
+
+    const hits = detail('keywords').hits || [];
+    if (hits.length > 0) {
+      summary.push(`Description keywords: ${hits.join(', ')}`);
+    }
+
+    if (breakdown.image_hash) {
+      const { distance, nearDuplicate } = detail('image_hash');
+      summary.push(nearDuplicate
+        ? `Same photo (hash distance ${distance} of 64 bits)`
+        : `Similar photo, possibly cropped (hash distance ${distance} of 64 bits)`);
+    }
+
+    if (breakdown.embedding) {
+      const { cosine } = detail('embedding');
+      summary.push(`Photos look ${Math.round(breakdown.embedding.similarity * 100)}% alike (visual embedding, cosine ${cosine})`);
+    }
+
+    if (breakdown.text_relevance) {
+      summary.push(`Search relevance ${Math.round(breakdown.text_relevance.similarity * 100)}% of the best hit`);
+    }
+
+    // Signals added through registerSignal() without a dedicated sentence
+    const described = ['category', 'subcategory', 'item_type', 'color', 'labels', 'objects', 'image_colors', 'keywords', 'size', 'text_relevance', 'image_hash', 'embedding'];
+    for (const [name, entry] of Object.entries(breakdown)) {
+      if (!described.includes(name) && entry.similarity > 0) {
+        summary.push(`${name}: ${Math.round(entry.similarity * 100)}% similar`);
+      }
+    }
+
+    return { summary, signals: breakdown };
+  }
+
+  /**
+   * Whether a score is high enough for an automatic match
+   */
+  isMatch(score) {
+    return score >= this.threshold;
+  }
+
+  /**
+   * Normalize a subject into the fields the signals read
+   */
+  _profile(subject = {}) {
+    const item = subject.item || {};
+    const features = subject.features || null;
+    const text = [subject.text, item.item_type, item.color, item.description]
+      .filter(Boolean)
+      .join(' ');
+
+    return {
+      item,
+      features,
+      relevance: typeof subject.relevance === 'number' ? subject.relevance : null,
+      hashes: subject.hashes || imageHash.fromItem(item),
+      embedding: subject.embedding || null,
+      labels: this._names(features?.labels, 'description'),
+      objects: this._names(features?.objects, 'name'),
+      tokens: this.tokenize(text),
+    };
+  }
+
+  /**
+   * Split text into normalized terms (Arabic variants folded, synonyms
+   * mapped to one English term) - see utils/textNormalizer
+   */
+  tokenize(text) {
+    return textNormalizer.tokenize(text);
+  }
+
+  /**
+   * Item type in canonical terms ("المحفظة" and "Wallet" both become "wallet")
+   */
+  _normalizedType(value) {
+    const text = (value || '').toLowerCase().trim();
+    return this.tokenize(text).join(' ') || text;
+  }
+
+  _names(list, key) {
+    if (!Array.isArray(list)) return [];
+    return list
+      .map((entry) => (entry && typeof entry === 'object' && entry[key]) ? entry[key] : String(entry || ''))
+      .map((name) => name.toLowerCase().trim())
+      .filter(name => name.length > 0);
+  }
+
+  _equalitySignal(a, b) {
+    if (!a || !b) return null;
+    return {
+      similarity: String(a).toLowerCase() === String(b).toLowerCase() ? 1 : 0,
+      details: { query: a, candidate: b },
+    };
+  }
+
+  /**
+   * Item type: the query's item_type (or its words and AI labels) against the candidate's
+   */
+  _itemTypeSignal(q, c) {
+    const candidateType = this._normalizedType(c.item.item_type);
+    if (!candidateType) return null;
+
+    const terms = q.item.item_type
+      ? [this._normalizedType(q.item.item_type), ...q.labels]
+      : [...q.tokens, ...q.labels];
+    if (terms.length === 0) return null;
+
+    const candidateWords = candidateType.split(' ');
+    let best = 0;
+    let bestTerm = null;
+    for (const term of terms) {
+      let similarity = stringSimilarity(candidateType, term);
+      if (term === candidateType) {
+        similarity = 1;
+      } else if (this._containsWords(candidateWords, term.split(' ')) || this._containsWords(term.split(' '), candidateWords)) {
+        // Whole words only: "phone" is part of "mobile phone", "pen" is not part of "pencil"
+        similarity = Math.max(similarity, 0.8);
+      } else if (similarity <= 0.5) {
+        similarity = 0;
+      }
+
+      if (similarity > best) {
+        best = similarity;
+        bestTerm = term;
+      }
+    }
+    return { similarity: best, details: { term: bestTerm, candidate: candidateType } };
+  }
+
+  /**
+   * Whether every word of `part` is one of `words`
+   */
+  _containsWords(words, part) {
+    return part.length > 0 && part.every(word => words.includes(word));
+  }
+
+  /**
+   * Typed color: the query's color field (or color words in its text) against the candidate's
+   */
+  _colorSignal(q, c) {
+    const candidateColor = this._canonicalColor(c.item.color);
+    if (!candidateColor) return null;
+
+    const queryColors = q.item.color
+      ? [this._canonicalColor(q.item.color)].filter(Boolean)
+      : q.tokens.map(t => this._knownColor(t)).filter(Boolean);
+    if (queryColors.length === 0) return null;
+
+    // Perceptual similarity for known colors ("navy" vs "blue"), exact match otherwise
+    const similarity = Math.max(...queryColors.map((color) => {
+      if (color === candidateColor) return 1;
+      const perceptual = colorExtractor.similarity(color, candidateColor);
+      return perceptual === null ? 0 : perceptual;
+    }));
+
+    return {
+      similarity,
+      details: { query: queryColors, candidate: candidateColor },
+    };
+  }
+
+  _sizeSignal(q, c) {
+    const candidateSize = (c.item.size || '').toLowerCase().trim();
+    if (!candidateSize) return null;
+
+    const querySizes = q.item.size
+      ? [q.item.size.toLowerCase().trim()]
+      : q.tokens.filter(t => SIZE_WORDS.includes(t));
+    if (querySizes.length === 0) return null;
+
+    return {
+      similarity: querySizes.includes(candidateSize) ? 1 : 0,
+      details: { query: querySizes, candidate: candidateSize },
+    };
+  }
+
+  /**
+   * Share of query words found in the candidate's type and description
+   */
+  _keywordSignal(q, c) {
+    const candidateWords = new Set(
+      this.tokenize(`${c.item.item_type || ''} ${c.item.description || ''}`)
+    );
+    const queryWords = [...new Set(q.tokens)];
+    if (candidateWords.size === 0 || queryWords.length === 0) return null;
+
+    const hits = queryWords.filter(w => candidateWords.has(w));
+    return { similarity: hits.length / queryWords.length, details: { hits } };
+  }
+
+  _listSignal(list1, list2) {
+    if (list1.length === 0 || list2.length === 0) return null;
+    const overlap = this.listOverlap(list1, list2);
+    return {
+      similarity: overlap.length / Math.max(list1.length, list2.length),
+      details: { overlap },
+    };
+  }
+
+  /**
+   * Perceptual hash distance of the two photos. Owner and finder normally take
+   * different photos, so unrelated hashes are no evidence against a match:
+   * the signal only counts when the photos are clearly the same picture.
+   */
+  _imageHashSignal(q, c) {
+    const comparison = imageHash.compare(q.hashes, c.hashes);
+    if (!comparison || comparison.similarity < 0.5) return null;
+
+    return {
+      similarity: comparison.similarity,
+      details: { distance: comparison.distance, nearDuplicate: comparison.nearDuplicate },
+      minScore: comparison.nearDuplicate ? NEAR_DUPLICATE_SCORE : 0,
+    };
+  }
+
+  /**
+   * Cosine similarity of the two photos' embeddings, rescaled so unrelated
+   * photos score 0 and two photos of the same object score 1. Vectors of
+   * different models live in different spaces and are not compared.
+   */
+  _embeddingSignal(q, c) {
+    if (!q.embedding || !c.embedding || q.embedding.model !== c.embedding.model) return null;
+
+    const cosine = cosineSimilarity(q.embedding.vector, c.embedding.vector);
+    if (cosine === null) return null;
+
+    return {
+      similarity: (cosine - EMBEDDING_UNRELATED) / (EMBEDDING_SAME_OBJECT - EMBEDDING_UNRELATED),
+      details: { cosine: Math.round(cosine * 1000) / 1000 },
+    };
+  }
+
+  /**
+   * Photo colors against photo colors, or against the other side's typed
+   * color when only one side has a photo
+   */
+  _imageColorSignal(q, c) {
+    const query = this._observedColors(q);
+    const candidate = this._observedColors(c);
+    // Typed against typed is the color signal's job
+    if (!query || !candidate || (query.source === 'typed' && candidate.source === 'typed')) {
+      return null;
+    }
+
+    const similarity = colorExtractor.compareLists(query.colors, candidate.colors);
+    if (similarity === null) return null;
+
+    return {
+      similarity,
+      details: {
+        distance: Math.round((1 - similarity) * 100) / 100,
+        sources: { query: query.source, candidate: candidate.source },
+      },
+    };
+  }
+
+  /**
+   * Colors seen in the photo, else the typed color (field or color words in the text)
+   */
+  _observedColors(profile) {
+    const imageColors = profile.features?.colors;
+    if (Array.isArray(imageColors) && imageColors.length > 0) {
+      return { colors: imageColors, source: 'image' };
+    }
+
+    const typed = profile.item.color
+      ? [this._canonicalColor(profile.item.color)].filter(Boolean)
+      : profile.tokens.map(t => this._knownColor(t)).filter(Boolean);
+    return typed.length > 0 ? { colors: typed, source: 'typed' } : null;
+  }
+
+  /**
+   * Labels of list1 that fuzzily match a label in list2
+   */
+  listOverlap(list1, list2) {
+    const overlap = [];
+    for (let item1 of list1) {
+      for (let item2 of list2) {
+        if (stringSimilarity(item1, item2) > 0.7) {
+          overlap.push(item1);
+          break;
+        }
+      }
+    }
+    return overlap;
+  }
+
+  _knownColor(word) {
+    for (const [key, variations] of Object.entries(COLOR_SYNONYMS)) {
+      if (variations.includes(word)) return key;
+    }
+    const term = textNormalizer.canonicalTerm(word);
+    if (COLOR_SYNONYMS[term]) return term;
+    // Palette shades such as "navy" or "beige"
+    return colorExtractor.toLab(word) ? word : null;
+  }
+
+  _canonicalColor(value) {
+    if (!value || typeof value !== 'string') return null;
+    const normalized = value.toLowerCase().trim();
+    return this._knownColor(normalized) || normalized;
+  }
+
+  _parseWeights(value) {
+    if (!value) return {};
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.warn('⚠️ Invalid MATCH_SIGNAL_WEIGHTS, using defaults:', error.message);
+      return {};
+    }
+  }
+}
+
+module.exports = new MatchScorer();
@@ -1,152 +1,262 @@
-const aiMatchingService = require('./aiMatchingService');
+const featureStore = require('./featureStore');
+const matchScorer = require('./matchScorer');
+const imageHash = require('./imageHash');
+const embeddingStore = require('./embeddingStore');
+const vectorIndex = require('./vectorIndex');
+
+// Maximum number of automatic matches created per reported item
+const MAX_AUTO_MATCHES = 5;
+
+// Newest candidates passing the category/color filters (photo neighbours come on top)
+const MAX_FILTERED_CANDIDATES = 20;
 
 /**
  * Automatic Matching Service
- * When a lost item is reported, automatically search for matching found items
- * and create notifications
+ * When a lost or found item is reported, the match_item job
+ * (services/jobs/matchItem.js) searches for matching items of the opposite
+ * status through matchItem() and creates notifications
  */
 class MatchingService {
   /**
-   * Check for matches when a lost item is reported
-   * @param {Object} lostItem - The lost item object
-   * @param {Object} pool - Database connection pool
+   * Load open items of the opposite status that could match `item`
+   * @param {Object} connection - MySQL connection
+   * @param {Object} item - The reported item
+   * @param {string} candidateStatus - 'found' for a lost item, 'lost' for a found item
+   * @param {Object} [options] - { embedding } of the item's photo, to add its nearest neighbours
    */
-  async checkLostItemMatches(lostItem, pool) {
-    try {
-      console.log('🔍 Checking for matches for lost item:', lostItem.item_id);
-
-      const connection = await pool.getConnection();
-
-      // Get all found items with same category/subcategory
-      const [foundItems] = await connection.execute(
-        `SELECT * FROM items 
-         WHERE status = 'found' 
-         AND item_id != ?
-         ${lostItem.category ? 'AND (category = ? OR category IS NULL)' : ''}
-         ${lostItem.subcategory ? 'AND (subcategory = ? OR subcategory IS NULL)' : ''}
-         ORDER BY date_reported DESC
-         LIMIT 20`,
-        lostItem.category && lostItem.subcategory
-          ? [lostItem.item_id, lostItem.category, lostItem.subcategory]
-          : lostItem.category
-          ? [lostItem.item_id, lostItem.category]
-          : [lostItem.item_id]
-      );
+  async findCandidates(connection, item, candidateStatus, { embedding = null } = {}) {
+    let searchQuery = `SELECT * FROM items WHERE status = ? AND item_id != ?`;
+    const searchParams = [candidateStatus, item.item_id];
 
-      if (foundItems.length === 0) {
-        connection.release();
-        console.log('   No found items to match against');
-        return;
-      }
+    // Pairs the owner already confirmed or rejected are never suggested again
+    const pairCondition = candidateStatus === 'found'
+      ? 'm.lost_item_id = ? AND m.found_item_id = items.item_id'
+      : 'm.lost_item_id = items.item_id AND m.found_item_id = ?';
+    searchQuery += ` AND NOT EXISTS (
+      SELECT 1 FROM matches m
+      WHERE ${pairCondition} AND m.status IN ('confirmed', 'rejected')
+    )`;
+    searchParams.push(item.item_id);
 
-      // Analyze lost item image if available
-      let lostItemFeatures = null;
-      if (lostItem.image_path) {
-        try {
-          lostItemFeatures = await aiMatchingService.extractImageFeaturesFromUrl(lostItem.image_path);
-        } catch (error) {
-          console.warn('   Could not analyze lost item image:', error.message);
-        }
-      }
+    const filters = [];
+    const filterParams = [];
+
+    if (item.category) {
+      filters.push(`(category = ? OR category IS NULL)`);
+      filterParams.push(item.category);
+    }
 
-      // Check each found item for match
-      const matches = [];
-      for (const foundItem of foundItems) {
-        let matchScore = 0;
-
-        // Category match (30 points)
-        if (lostItem.category && foundItem.category && lostItem.category === foundItem.category) {
-          matchScore += 30;
-        }
-
-        // Subcategory match (20 points)
-        if (lostItem.subcategory && foundItem.subcategory && lostItem.subcategory === foundItem.subcategory) {
-          matchScore += 20;
-        }
-
-        // Color match (15 points)
-        if (lostItem.color && foundItem.color && 
-            lostItem.color.toLowerCase() === foundItem.color.toLowerCase()) {
-          matchScore += 15;
-        }
-
-        // Size match (10 points)
-        if (lostItem.size && foundItem.size && 
-            lostItem.size.toLowerCase() === foundItem.size.toLowerCase()) {
-          matchScore += 10;
-        }
-
-        // AI image matching (25 points if available)
-        if (lostItemFeatures && foundItem.image_path) {
-          try {
-            const foundItemFeatures = await aiMatchingService.extractImageFeaturesFromUrl(foundItem.image_path);
-            if (foundItemFeatures && foundItemFeatures.labels) {
-              // Check label overlap
-              const lostLabels = lostItemFeatures.labels.map(l => l.description);
-              const foundLabels = foundItemFeatures.labels.map(l => l.description);
-              const commonLabels = lostLabels.filter(l => foundLabels.includes(l));
-              
-              if (commonLabels.length > 0) {
-                matchScore += Math.min(25, commonLabels.length * 5);
-              }
-            }
-          } catch (error) {
-            // Ignore AI matching errors
-          }
-        }
-
-        // Only create match if score > 40
-        if (matchScore >= 40) {
-          matches.push({
-            foundItem,
-            matchScore,
-          });
-        }
+    if (item.subcategory) {
+      filters.push(`(subcategory = ? OR subcategory IS NULL)`);
+      filterParams.push(item.subcategory);
+    }
+
+    if (item.color) {
+      filters.push(`(color LIKE ? OR color IS NULL)`);
+      filterParams.push(`%${item.color}%`);
+    }
+
+    // Photos that look alike make a candidate whatever its category or color:
+    // near-duplicate hashes, and the nearest embeddings in the vector index
+    const byPhoto = [];
+    if (item.image_phash) {
+      byPhoto.push({
+        sql: `(image_phash IS NOT NULL AND ${imageHash.distanceSql('image_phash')} <= ?)`,
+        params: [item.image_phash, imageHash.nearDuplicateDistance],
+      });
+    }
+
+    const neighbours = (embedding && vectorIndex.search(embedding, { status: candidateStatus })) || [];
+    const neighbourIds = neighbours.map(neighbour => neighbour.itemId).filter(id => id !== item.item_id);
+    if (neighbourIds.length > 0) {
+      byPhoto.push({
+        sql: `item_id IN (${neighbourIds.map(() => '?').join(', ')})`,
+        params: neighbourIds,
+      });
+    }
+
+    if (byPhoto.length > 0) {
+      const filterSql = filters.length > 0 ? filters.join(' AND ') : 'TRUE';
+      searchQuery += ` AND ((${filterSql}) OR ${byPhoto.map(entry => entry.sql).join(' OR ')})`;
+      searchParams.push(...filterParams, ...byPhoto.flatMap(entry => entry.params));
+      searchQuery += ` ORDER BY ${byPhoto.map(entry => `${entry.sql} DESC`).join(', ')}, date_reported DESC`;
+      searchParams.push(...byPhoto.flatMap(entry => entry.params));
+    } else {
+      if (filters.length > 0) {
+        searchQuery += ` AND ${filters.join(' AND ')}`;
+        searchParams.push(...filterParams);
       }
+      searchQuery += ` ORDER BY date_reported DESC`;
+    }
+    searchQuery += ` LIMIT ${MAX_FILTERED_CANDIDATES + neighbourIds.length}`;
 
-      // Sort by match score
-      matches.sort((a, b) => b.matchScore - a.matchScore);
-
-      // Create notifications for top 3 matches
-      for (const match of matches.slice(0, 3)) {
-        await connection.execute(
-          `INSERT INTO notifications (user_id, item_id, message, is_read)
-           VALUES (?, ?, ?, FALSE)`,
-          [
-            lostItem.user_id,
-            match.foundItem.item_id,
-            `Potential match found! A ${match.foundItem.item_type} (${match.foundItem.color}) was found that matches your lost item. Match confidence: ${Math.round(match.matchScore)}%`,
-          ]
-        );
+    const [rows] = await connection.execute(searchQuery, searchParams);
+    return rows;
+  }
+
+  /**
+   * Score candidates against a reported item and keep the best ones
+   * @param {Object|null} itemEmbedding - Embedding of the reported item's photo
+   * @param {Object} [options] - { priority, signal } for candidate feature and embedding extraction
+   * @returns {Promise<Array<{item: Object, score: number, explanation: Object}>>} Top matches, best first
+   */
+  async scoreCandidates(connection, item, itemFeatures, candidates, itemEmbedding = null, options = {}) {
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    // Candidate features are only needed when the reported item has some to compare
+    const candidateFeatures = itemFeatures && !itemFeatures.note
+      ? await featureStore.getFeaturesForItems(connection, candidates, options)
+      : [];
+
+    // Likewise candidate embeddings, when the reported item has one
+    const candidateEmbeddings = itemEmbedding
+      ? await embeddingStore.getEmbeddingsForItems(connection, candidates, options)
+      : [];
 
-        // Also create match record
-        await connection.execute(
-          `INSERT INTO matches (lost_item_id, found_item_id, match_score, status)
-           VALUES (?, ?, ?, 'pending')
-           ON DUPLICATE KEY UPDATE match_score = ?`,
-          [
-            lostItem.item_id,
-            match.foundItem.item_id,
-            match.matchScore,
-            match.matchScore,
-          ]
+    return candidates
+      .map((candidate, index) => {
+        const { score, explanation } = matchScorer.score(
+          { item, features: itemFeatures, embedding: itemEmbedding },
+          { item: candidate, features: candidateFeatures[index] || null, embedding: candidateEmbeddings[index] || null }
         );
+        return { item: candidate, score, explanation };
+      })
+      .filter(m => matchScorer.isMatch(m.score))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_AUTO_MATCHES);
+  }
+
+  /**
+   * Embedding of the reported item; a missing embedding never blocks matching
+   */
+  async _loadEmbedding(connection, item, options) {
+    try {
+      return await embeddingStore.getEmbedding(connection, item, options);
+    } catch (error) {
+      if (error.code === 'CANCELLED') {
+        throw error;
       }
+      console.warn('⚠️ Could not load item embedding:', error.message);
+      return null;
+    }
+  }
 
-      connection.release();
+  /**
+   * Stop before writing matches for a caller that gave up (a timed-out job)
+   */
+  _throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      const error = new Error('Matching cancelled');
+      error.code = 'CANCELLED';
+      throw error;
+    }
+  }
 
-      if (matches.length > 0) {
-        console.log(`✅ Created ${matches.length} potential matches and notifications`);
-      } else {
-        console.log('   No matches found above threshold');
-      }
-    } catch (error) {
-      console.error('❌ Error checking matches:', error);
+  /**
+   * Create or refresh a match record, keeping the scorer's explanation for audits
+   * @returns {Promise<boolean>} true when the pair was not matched before
+   */
+  async recordMatch(connection, lostItemId, foundItemId, score, explanation) {
+    const explanationJson = explanation ? JSON.stringify(explanation) : null;
+    const [result] = await connection.execute(
+      `INSERT INTO matches (lost_item_id, found_item_id, match_score, explanation, status)
+       VALUES (?, ?, ?, ?, 'pending')
+       ON DUPLICATE KEY UPDATE match_score = ?, explanation = ?`,
+      [lostItemId, foundItemId, score, explanationJson, score, explanationJson]
+    );
+    // 1 for an insert, 2 (or 0 when unchanged) for an update
+    return result.affectedRows === 1;
+  }
+
+  /**
+   * Match an item against open items of the opposite status and notify
+   * (the match_item job; throws so the job is retried)
+   * @param {Object} connection - MySQL connection
+   * @param {Object} item - Item row
+   * @param {Object|null} features - AI features of the item image
+   * @param {Object} [options] - { priority, signal }; nothing is recorded once the signal aborts
+   * @returns {Promise<Array>} Created matches
+   * @throws {Error} Code CANCELLED when the signal aborts
+   */
+  async matchItem(connection, item, features, options = {}) {
+    if (item.status === 'lost') {
+      return this.matchLostItem(connection, item, features, options);
     }
+    if (item.status === 'found') {
+      return this.matchFoundItem(connection, item, features, options);
+    }
+    return [];
   }
-}
 
-module.exports = new MatchingService();
+  /**
+   * Match a newly reported lost item against found items and notify the finders
+   * @param {Object} connection - MySQL connection
+   * @param {Object} lostItem - The lost item (item_id, user_id, item_type, category, ...)
+   * @param {Object|null} lostFeatures - AI features of the lost item image
+   * @param {Object} [options] - { priority, signal }
+   * @returns {Promise<Array>} Created matches
+   */
+  async matchLostItem(connection, lostItem, lostFeatures, options = {}) {
+    const embedding = await this._loadEmbedding(connection, lostItem, options);
+    const foundItems = await this.findCandidates(connection, lostItem, 'found', { embedding });
+    const matches = await this.scoreCandidates(connection, lostItem, lostFeatures, foundItems, embedding, options);
+    this._throwIfCancelled(options.signal);
+
+    for (const match of matches) {
+      const isNew = await this.recordMatch(connection, lostItem.item_id, match.item.item_id, match.score, match.explanation);
+      // A retried job must not notify twice
+      if (!isNew) continue;
+
+      // Create notification for the user who found the item
+      await connection.execute(
+        `INSERT INTO notifications (user_id, item_id, message, is_read)
+         VALUES (?, ?, ?, FALSE)`,
+        [
+          match.item.user_id,
+          match.item.item_id,
+          `Potential match found (${match.score}% similarity) for a lost item that matches the item you reported.`
+        ]
+      );
+    }
+
+    return matches;
+  }
+
+  /**
+   * Match a found item against open lost items and notify their owners
+   * (reverse direction of matchLostItem)
+   * @param {Object} connection - MySQL connection
+   * @param {Object} foundItem - The found item
+   * @param {Object|null} foundFeatures - AI features of the found item image
+   * @param {Object} [options] - { priority, signal }
+   * @returns {Promise<Array>} Created matches
+   */
+  async matchFoundItem(connection, foundItem, foundFeatures, options = {}) {
+    const embedding = await this._loadEmbedding(connection, foundItem, options);
+    const lostItems = await this.findCandidates(connection, foundItem, 'lost', { embedding });
+    const matches = await this.scoreCandidates(connection, foundItem, foundFeatures, lostItems, embedding, options);
+    this._throwIfCancelled(options.signal);
 
+    for (const match of matches) {
+      const isNew = await this.recordMatch(connection, match.item.item_id, foundItem.item_id, match.score, match.explanation);
+      if (!isNew) continue;
+
+      // Notify the owner of the lost item
+      await connection.execute(
+        `INSERT INTO notifications (user_id, item_id, message, is_read)
+         VALUES (?, ?, ?, FALSE)`,
+        [
+          match.item.user_id,
+          foundItem.item_id,
+          `Potential match found! A ${foundItem.item_type} (${foundItem.color}) was found that matches your lost item. Match confidence: ${match.score}%`,
+        ]
+      );
+    }
 
+    return matches;
+  }
+}
 
+module.exports = new MatchingService();
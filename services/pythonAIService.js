@@ -7,6 +7,8 @@ class PythonAIService {
     // Python service endpoint (local)
     this.serviceUrl = process.env.PYTHON_SERVICE_URL || 'http://localhost:5000';
     this.enabled = process.env.USE_PYTHON_AI === 'true';
+    // Model named in the service's last classification (set by its HF_MODEL)
+    this.reportedModel = null;
     
     if (this.enabled) {
       console.log('✅ Python AI Service enabled');
@@ -19,7 +21,8 @@ class PythonAIService {
   }
 
   /**
-   * Check if Python service is available
+   * Check if Python service is available (extraction does not call this:
+   * the provider registry's circuit breaker tracks availability)
    */
   async checkHealth() {
     try {
@@ -35,19 +38,12 @@ class PythonAIService {
   /**
    * Extract features from image using local Python service
    */
-  async extractImageFeatures(imagePath) {
+  async extractImageFeatures(imagePath, { signal } = {}) {
     if (!this.enabled) {
       return null;
     }
 
     try {
-      // Check if service is available
-      const isHealthy = await this.checkHealth();
-      if (!isHealthy) {
-        console.warn('⚠️ Python AI service is not available');
-        return null;
-      }
-
       console.log('🤖 Using Local Python AI (Transformers) to analyze image...');
       
       // Read image file
@@ -67,6 +63,7 @@ class PythonAIService {
         {
           headers: formData.getHeaders(),
           timeout: 30000, // 30 seconds
+          signal,
         }
       );
 
@@ -78,13 +75,14 @@ class PythonAIService {
           `${l.description} (${(l.confidence * 100).toFixed(1)}%)`
         ).join(', '));
 
+        this.reportedModel = result.model || 'google/vit-base-patch16-224';
         return {
           labels: result.labels,
           colors: result.colors || [],
           objects: result.objects || result.labels.slice(0, 5),
           confidence: result.confidence || 0,
           source: 'local_transformers',
-          model: result.model || 'google/vit-base-patch16-224',
+          model: this.reportedModel,
         };
       }
 
@@ -102,17 +100,12 @@ class PythonAIService {
   /**
    * Extract features from image URL
    */
-  async extractImageFeaturesFromUrl(imageUrl) {
+  async extractImageFeaturesFromUrl(imageUrl, { signal } = {}) {
     if (!this.enabled) {
       return null;
     }
 
     try {
-      const isHealthy = await this.checkHealth();
-      if (!isHealthy) {
-        return null;
-      }
-
       console.log('🤖 Using Local Python AI to analyze image from URL...');
 
       const response = await axios.post(
@@ -121,19 +114,21 @@ class PythonAIService {
         {
           headers: { 'Content-Type': 'application/json' },
           timeout: 30000,
+          signal,
         }
       );
 
       const result = response.data;
       
       if (result.labels && result.labels.length > 0) {
+        this.reportedModel = result.model || 'google/vit-base-patch16-224';
         return {
           labels: result.labels,
           colors: result.colors || [],
           objects: result.objects || result.labels.slice(0, 5),
           confidence: result.confidence || 0,
           source: 'local_transformers',
-          model: result.model || 'google/vit-base-patch16-224',
+          model: this.reportedModel,
         };
       }
 
@@ -143,7 +138,75 @@ class PythonAIService {
       return null;
     }
   }
+
+  /**
+   * Visual embedding (L2-normalized CLIP vector) of an image file
+   * @returns {Promise<{vector: number[], model: string}|null>}
+   */
+  async extractEmbedding(imagePath, { signal } = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      const formData = new FormData();
+      formData.append('image', fs.readFileSync(imagePath), {
+        filename: 'image.jpg',
+        contentType: 'image/jpeg',
+      });
+
+      const response = await axios.post(`${this.serviceUrl}/embed`, formData, {
+        headers: formData.getHeaders(),
+        timeout: 30000,
+        signal,
+      });
+      return this._toEmbedding(response.data);
+    } catch (error) {
+      this._logEmbeddingError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Visual embedding of an image URL
+   * @returns {Promise<{vector: number[], model: string}|null>}
+   */
+  async extractEmbeddingFromUrl(imageUrl, { signal } = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      const response = await axios.post(
+        `${this.serviceUrl}/embed_url`,
+        { url: imageUrl },
+        {
+          headers: { 'Content-Type': 'application/json' },
+          timeout: 30000,
+          signal,
+        }
+      );
+      return this._toEmbedding(response.data);
+    } catch (error) {
+      this._logEmbeddingError(error);
+      return null;
+    }
+  }
+
+  _toEmbedding(result) {
+    if (!result || !Array.isArray(result.embedding) || result.embedding.length === 0) {
+      return null;
+    }
+    return { vector: result.embedding, model: result.model || 'unknown' };
+  }
+
+  _logEmbeddingError(error) {
+    if (error.response && error.response.status === 503) {
+      console.warn('⚠️ Python AI service has no embedding model loaded (EMBED_MODEL)');
+    } else {
+      console.error('❌ Python AI Embedding Error:', error.message);
+    }
+  }
 }
 
 module.exports = new PythonAIService();
-
@@ -1,6 +1,6 @@
 const { RekognitionClient, DetectLabelsCommand } = require('@aws-sdk/client-rekognition');
 const fs = require('fs');
-const sharp = require('sharp');
+const colorExtractor = require('./colorExtractor');
 
 /**
  * Amazon Rekognition Service
@@ -44,9 +44,10 @@ class RekognitionService {
   /**
    * Analyze image and extract features
    * @param {string} imagePath - Local file path
+   * @param {Object} [options] - { signal } to abort the request
    * @returns {Promise<Object>} Features object with labels, colors, etc.
    */
-  async extractImageFeatures(imagePath) {
+  async extractImageFeatures(imagePath, { signal } = {}) {
     if (!this.enabled) {
       throw new Error('Amazon Rekognition not enabled');
     }
@@ -63,12 +64,12 @@ class RekognitionService {
       };
 
       const command = new DetectLabelsCommand(labelsParams);
-      const labelsResult = await this.rekognitionClient.send(command);
+      const labelsResult = await this.rekognitionClient.send(command, { abortSignal: signal });
 
       // Extract dominant colors from image using image processing
       let dominantColors = [];
       try {
-        dominantColors = await this._extractDominantColors(imagePath);
+        dominantColors = await colorExtractor.extract(imagePath);
       } catch (colorError) {
         // Fallback: extract colors from label names
         if (labelsResult.Labels) {
@@ -90,7 +91,7 @@ class RekognitionService {
 
       console.log('✅ Amazon Rekognition Analysis:');
       console.log('   Labels:', relevantLabels.slice(0, 5).map(l => `${l.description} (${(l.confidence * 100).toFixed(1)}%)`).join(', '));
-      console.log('   Colors:', dominantColors.length > 0 ? dominantColors.join(', ') : 'detected');
+      console.log('   Colors:', dominantColors.length > 0 ? dominantColors.map(c => c.name || c).join(', ') : 'none');
 
       return {
         labels: relevantLabels,
@@ -114,9 +115,10 @@ class RekognitionService {
   /**
    * Analyze image from URL (downloads image first)
    * @param {string} imageUrl - Image URL (Cloudinary, etc.)
+   * @param {Object} [options] - { signal } to abort the download and the request
    * @returns {Promise<Object>} Features object
    */
-  async extractImageFeaturesFromUrl(imageUrl) {
+  async extractImageFeaturesFromUrl(imageUrl, { signal } = {}) {
     if (!this.enabled) {
       throw new Error('Amazon Rekognition not enabled');
     }
@@ -126,6 +128,8 @@ class RekognitionService {
       const axios = require('axios');
       const response = await axios.get(imageUrl, {
         responseType: 'arraybuffer',
+        timeout: 10000,
+        signal,
       });
       const imageBytes = Buffer.from(response.data);
 
@@ -137,17 +141,12 @@ class RekognitionService {
       };
 
       const command = new DetectLabelsCommand(labelsParams);
-      const labelsResult = await this.rekognitionClient.send(command);
+      const labelsResult = await this.rekognitionClient.send(command, { abortSignal: signal });
 
       // Extract dominant colors from image
       let dominantColors = [];
       try {
-        // Save downloaded image temporarily
-        const tempPath = path.join(__dirname, '..', 'uploads', `temp_${Date.now()}.jpg`);
-        fs.writeFileSync(tempPath, imageBytes);
-        dominantColors = await this._extractDominantColors(tempPath);
-        // Clean up temp file
-        fs.unlinkSync(tempPath);
+        dominantColors = await colorExtractor.extract(imageBytes);
       } catch (colorError) {
         // Fallback: extract colors from label names
         if (labelsResult.Labels) {
@@ -180,44 +179,6 @@ class RekognitionService {
     }
   }
 
-  /**
-   * Extract dominant colors from image using sharp (image processing)
-   */
-  async _extractDominantColors(imagePath) {
-    try {
-      const image = sharp(imagePath);
-      const { dominant } = await image.stats();
-      
-      // Get top 3 dominant colors
-      const colors = [];
-
-      // Analyze dominant color channels
-      if (dominant && dominant.rgb) {
-        const r = dominant.rgb.r;
-        const g = dominant.rgb.g;
-        const b = dominant.rgb.b;
-
-        // Simple color detection based on RGB values
-        if (r > 200 && g < 100 && b < 100) colors.push('red');
-        else if (r < 100 && g < 100 && b > 200) colors.push('blue');
-        else if (r < 100 && g > 200 && b < 100) colors.push('green');
-        else if (r > 200 && g > 200 && b < 100) colors.push('yellow');
-        else if (r < 50 && g < 50 && b < 50) colors.push('black');
-        else if (r > 200 && g > 200 && b > 200) colors.push('white');
-        else if (Math.abs(r - g) < 30 && Math.abs(g - b) < 30 && r < 150) colors.push('gray');
-        else if (r > 150 && g > 100 && b < 100) colors.push('orange');
-        else if (r > 200 && g < 150 && b > 150) colors.push('pink');
-        else if (r > 100 && g < 100 && b > 150) colors.push('purple');
-        else if (r > 100 && g < 100 && b < 100) colors.push('brown');
-      }
-
-      return colors.length > 0 ? colors : ['multicolor'];
-    } catch (error) {
-      console.warn('⚠️ Color extraction failed:', error.message);
-      return [];
-    }
-  }
-
   /**
    * Extract colors from Rekognition labels (fallback)
    */
@@ -0,0 +1,109 @@
+const categoryMapper = require('../utils/categoryMapper');
+
+/**
+ * Taxonomy Service
+ * Versioned category taxonomy edited by admins. Every edit is stored as a new
+ * row in taxonomy_versions and the latest row is the active taxonomy.
+ * Without any stored version the default utils/taxonomy.json is used.
+ */
+class TaxonomyService {
+  constructor() {
+    this.activeVersion = null; // null = default JSON file
+  }
+
+  /**
+   * Load the latest stored taxonomy into the category mapper (called on startup)
+   * @param {Object} pool - MySQL pool
+   */
+  async load(pool) {
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      const [rows] = await connection.execute(
+        'SELECT version_id, taxonomy FROM taxonomy_versions ORDER BY version_id DESC LIMIT 1'
+      );
+
+      if (rows.length === 0) {
+        console.log(`🗂️ Using default taxonomy (version ${categoryMapper.defaultTaxonomy.version})`);
+        return;
+      }
+
+      this._activate(rows[0].version_id, this._parseJson(rows[0].taxonomy));
+      console.log(`🗂️ Loaded taxonomy version ${rows[0].version_id} from the database`);
+    } catch (error) {
+      console.warn('⚠️ Could not load taxonomy from the database, using default:', error.message);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * The active taxonomy and where it came from
+   */
+  getActive() {
+    return {
+      version: this.activeVersion,
+      source: this.activeVersion ? 'database' : 'default',
+      taxonomy: categoryMapper.getTaxonomy(),
+    };
+  }
+
+  /**
+   * Store a new taxonomy version and make it active
+   * @throws {Error} When the taxonomy is invalid (error.details lists the problems)
+   * @returns {Promise<number>} The new version ID
+   */
+  async publish(connection, taxonomy, { adminId = null, notes = null } = {}) {
+    const errors = categoryMapper.validateTaxonomy(taxonomy);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid taxonomy: ${errors[0]}`);
+      error.details = errors;
+      throw error;
+    }
+
+    const [result] = await connection.execute(
+      'INSERT INTO taxonomy_versions (taxonomy, notes, created_by) VALUES (?, ?, ?)',
+      [JSON.stringify(taxonomy), notes, adminId]
+    );
+
+    this._activate(result.insertId, taxonomy);
+    return result.insertId;
+  }
+
+  /**
+   * Stored versions, newest first (without the taxonomy body)
+   */
+  async listVersions(connection) {
+    const [rows] = await connection.execute(
+      `SELECT t.version_id, t.notes, t.created_by, u.name AS created_by_name, t.created_at
+       FROM taxonomy_versions t
+       LEFT JOIN users u ON t.created_by = u.user_id
+       ORDER BY t.version_id DESC`
+    );
+    return rows.map(row => ({ ...row, is_active: row.version_id === this.activeVersion }));
+  }
+
+  /**
+   * Get one stored taxonomy version
+   */
+  async getVersion(connection, versionId) {
+    const [rows] = await connection.execute(
+      'SELECT version_id, taxonomy, notes, created_by, created_at FROM taxonomy_versions WHERE version_id = ?',
+      [versionId]
+    );
+    if (rows.length === 0) return null;
+    return { ...rows[0], taxonomy: this._parseJson(rows[0].taxonomy) };
+  }
+
+  _activate(versionId, taxonomy) {
+    categoryMapper.setTaxonomy({ ...taxonomy, version: versionId });
+    this.activeVersion = versionId;
+  }
+
+  // MySQL returns JSON columns parsed, MariaDB returns them as strings
+  _parseJson(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+}
+
+module.exports = new TaxonomyService();
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const { HnswIndex } = require('../utils/hnsw');
+const { bufferToVector } = require('../utils/vectorMath');
+
+// Nearest neighbours returned per query unless the caller asks otherwise
+const DEFAULT_TOP_K = Number(process.env.VECTOR_INDEX_TOP_K || 20);
+
+// Writes to disk are batched: one save at most this long after the last change
+const SAVE_DELAY_MS = 5000;
+
+// Embeddings read from MySQL per query while rebuilding
+const REBUILD_BATCH_SIZE = 500;
+
+/**
+ * Vector Index
+ * In-process approximate nearest-neighbour index (HNSW, see utils/hnsw.js)
+ * over the item embeddings, with one graph per item status so search and
+ * matching ask for "the K found items that look most like this photo"
+ * instead of scoring an arbitrary SQL subset.
+ *
+ * The index is saved to disk (VECTOR_INDEX_PATH) and loaded on startup when
+ * it still agrees with item_embeddings; otherwise it is rebuilt from MySQL.
+ * Reports, deletions and status changes update it incrementally.
+ *
+ * Only vectors of one model are indexed: the model of the newest embedding.
+ */
+class VectorIndex {
+  constructor() {
+    this.filePath = process.env.VECTOR_INDEX_PATH || path.join(__dirname, '..', 'data', 'vector-index.json');
+    this.indexes = new Map();
+    this.statusById = new Map();
+    this.model = null;
+    this.ready = false;
+    this._saveTimer = null;
+  }
+
+  /**
+   * Load the saved index, or rebuild it from MySQL when it is missing or stale
+   * @param {Object} pool - Database connection pool
+   */
+  async load(pool) {
+    let connection;
+    try {
+      connection = await pool.getConnection();
+
+      const [rows] = await connection.execute(
+        `SELECT e.item_id, e.model, i.status, e.created_at
+         FROM item_embeddings e
+         JOIN items i ON i.item_id = e.item_id
+         ORDER BY e.created_at DESC`
+      );
+      const model = rows.length > 0 ? rows[0].model : null;
+      const expected = rows.filter(row => row.model === model);
+
+      if (this._loadSnapshot(model, expected)) {
+        console.log(`✅ Vector index loaded from disk (${this.statusById.size} items, ${model})`);
+      } else {
+        await this._rebuild(connection, model);
+        console.log(`✅ Vector index rebuilt from MySQL (${this.statusById.size} items${model ? `, ${model}` : ''})`);
+        this._scheduleSave();
+      }
+      this.ready = true;
+    } catch (error) {
+      console.warn('⚠️ Vector index unavailable, search and matching use SQL candidates only:', error.message);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * Add or replace an item's embedding
+   * @param {number} itemId - Item ID
+   * @param {string} status - Item status ('lost', 'found', 'claimed')
+   * @param {{vector: number[], model: string}} embedding - From embeddingStore
+   */
+  add(itemId, status, embedding) {
+    if (!this.ready || !embedding || !status) return;
+
+    // The first embedding decides the model of an empty index
+    if (!this.model) {
+      this.model = embedding.model;
+    }
+    if (embedding.model !== this.model) return;
+
+    this._removeFromGraph(itemId);
+    this._graph(status).add(itemId, embedding.vector);
+    this.statusById.set(itemId, status);
+    this._scheduleSave();
+  }
+
+  /**
+   * Move an item to the graph of its new status
+   */
+  setStatus(itemId, status) {
+    const current = this.statusById.get(Number(itemId));
+    if (!this.ready || !current || current === status) return;
+
+    const vector = this._graph(current).getVector(Number(itemId));
+    this._removeFromGraph(Number(itemId));
+    this._graph(status).add(Number(itemId), vector);
+    this.statusById.set(Number(itemId), status);
+    this._scheduleSave();
+  }
+
+  /**
+   * Drop a deleted item
+   */
+  remove(itemId) {
+    if (!this.ready || !this._removeFromGraph(Number(itemId))) return;
+    this._scheduleSave();
+  }
+
+  /**
+   * The items of one status whose embeddings are closest to `embedding`
+   * @param {{vector: number[], model: string}} embedding - Query embedding
+   * @param {Object} [options] - { status, k }
+   * @returns {Array<{itemId: number, similarity: number}>|null} Best first;
+   *   null when the index cannot answer (not loaded, or another model)
+   */
+  search(embedding, { status = 'found', k = DEFAULT_TOP_K } = {}) {
+    if (!this.ready || !embedding || !Array.isArray(embedding.vector) || embedding.model !== this.model) {
+      return null;
+    }
+
+    const graph = this.indexes.get(status);
+    if (!graph) return [];
+
+    return graph.search(embedding.vector, k).map(({ id, similarity }) => ({ itemId: id, similarity }));
+  }
+
+  /**
+   * Item counts per status
+   */
+  stats() {
+    const counts = {};
+    for (const [status, graph] of this.indexes) {
+      counts[status] = graph.size;
+    }
+    return { ready: this.ready, model: this.model, counts };
+  }
+
+  _graph(status) {
+    if (!this.indexes.has(status)) {
+      this.indexes.set(status, new HnswIndex());
+    }
+    return this.indexes.get(status);
+  }
+
+  _removeFromGraph(itemId) {
+    const status = this.statusById.get(itemId);
+    if (!status) return false;
+
+    this.indexes.get(status).remove(itemId);
+    this.statusById.delete(itemId);
+    return true;
+  }
+
+  async _rebuild(connection, model) {
+    this.indexes = new Map();
+    this.statusById = new Map();
+    this.model = model;
+    if (!model) return;
+
+    let lastId = 0;
+    for (;;) {
+      const [rows] = await connection.execute(
+        `SELECT e.item_id, e.vector, i.status
+         FROM item_embeddings e
+         JOIN items i ON i.item_id = e.item_id
+         WHERE e.model = ? AND e.item_id > ?
+         ORDER BY e.item_id
+         LIMIT ${REBUILD_BATCH_SIZE}`,
+        [model, lastId]
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        this._graph(row.status).add(row.item_id, bufferToVector(row.vector));
+        this.statusById.set(row.item_id, row.status);
+      }
+      lastId = rows[rows.length - 1].item_id;
+    }
+  }
+
+  /**
+   * Use the saved index if it holds exactly the expected items and statuses
+   * and nothing was re-embedded after it was saved
+   */
+  _loadSnapshot(model, expected) {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      return false;
+    }
+
+    const savedAt = new Date(snapshot.savedAt).getTime();
+    const statuses = new Map(Object.entries(snapshot.statuses || {}).map(([id, status]) => [Number(id), status]));
+    const upToDate = snapshot.model === model &&
+      statuses.size === expected.length &&
+      expected.every(row => statuses.get(row.item_id) === row.status &&
+        new Date(row.created_at).getTime() <= savedAt);
+    if (!upToDate) return false;
+
+    this.model = model;
+    this.statusById = statuses;
+    this.indexes = new Map(
+      Object.entries(snapshot.indexes || {}).map(([status, data]) => [status, HnswIndex.fromJSON(data)])
+    );
+    return true;
+  }
+
+  _scheduleSave() {
+    if (this._saveTimer) return;
+
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this._save().catch((error) => {
+        console.warn('⚠️ Could not save vector index:', error.message);
+      });
+    }, SAVE_DELAY_MS);
+    this._saveTimer.unref();
+  }
+
+  async _save() {
+    const snapshot = {
+      model: this.model,
+      savedAt: new Date().toISOString(),
+      statuses: Object.fromEntries(this.statusById),
+      indexes: Object.fromEntries([...this.indexes].map(([status, graph]) => [status, graph.toJSON()])),
+    };
+
+    // Write then rename, so a crash never leaves a half-written index
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(snapshot));
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+module.exports = new VectorIndex();
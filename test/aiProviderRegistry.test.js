@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const aiProviderRegistry = require('../services/aiProviderRegistry');
+const featureStore = require('../services/featureStore');
+
+function adapter(name, extra = {}) {
+  return {
+    name,
+    source: name,
+    defaults: {},
+    isConfigured: () => true,
+    model: () => `${name}-v1`,
+    extract: async () => null,
+    extractFromUrl: async () => null,
+    ...extra,
+  };
+}
+
+// A registry over its own adapters, whatever the environment configures
+function registry(adapters, mode = 'cascade', config = {}) {
+  const instance = new aiProviderRegistry.constructor();
+  instance.adapters.clear();
+  instance.config = config;
+  instance.mode = mode;
+  instance.order = adapters.map(({ name }) => name);
+  adapters.forEach(entry => instance.register(entry));
+  return instance;
+}
+
+const features = (source, labels) => ({
+  source,
+  model: `${source}-v1`,
+  labels: labels.map(([description, confidence]) => ({ description, confidence })),
+  objects: [],
+  colors: [],
+});
+
+test('the cascade returns the first provider with labels, in the configured order', async () => {
+  const calls = [];
+  const answering = (name, result) => adapter(name, {
+    extractFromUrl: async () => {
+      calls.push(name);
+      return result;
+    },
+  });
+  const chain = registry([
+    answering('down', null),
+    answering('blind', features('blind', [])),
+    answering('vision', features('vision', [['Wallet', 0.9]])),
+    answering('last', features('last', [['Bag', 0.9]])),
+  ]);
+
+  const result = await chain.extractFromUrl('https://example.com/a.jpg');
+  assert.strictEqual(result.source, 'vision');
+  assert.deepStrictEqual(calls, ['down', 'blind', 'vision']);
+  assert.deepStrictEqual(chain.getActiveProvider(), { source: 'down', model: 'down-v1' });
+});
+
+test('config disables providers and drops labels below their minimum confidence', async () => {
+  const chain = registry([
+    adapter('off', { extractFromUrl: async () => features('off', [['Phone', 1]]) }),
+    adapter('vision', { extractFromUrl: async () => features('vision', [['Wallet', 0.9], ['Paper', 0.2]]) }),
+  ], 'cascade', { off: { enabled: false }, vision: { minConfidence: 0.5 } });
+
+  const result = await chain.extractFromUrl('https://example.com/a.jpg');
+  assert.deepStrictEqual(result.labels.map(label => label.description), ['Wallet']);
+  assert.deepStrictEqual(chain.getProviders().map(provider => provider.enabled), [false, true]);
+});
+
+test('a provider that times out is skipped', async () => {
+  const chain = registry([
+    adapter('slow', {
+      defaults: { timeoutMs: 20 },
+      extractFromUrl: (url, { signal }) => new Promise((resolve) => signal.addEventListener('abort', () => resolve(null))),
+    }),
+    adapter('vision', { extractFromUrl: async () => features('vision', [['Wallet', 0.9]]) }),
+  ]);
+  assert.strictEqual((await chain.extractFromUrl('https://example.com/a.jpg')).source, 'vision');
+});
+
+test('nothing is returned when no provider is enabled, and invalid config is ignored', async () => {
+  const chain = registry([adapter('vision', { isConfigured: () => false })]);
+  assert.strictEqual(await chain.extractFromUrl('https://example.com/a.jpg'), null);
+  assert.strictEqual(chain.getActiveProvider(), null);
+  assert.deepStrictEqual(chain._parseConfig('{not json'), {});
+});
+
+test('ensemble mode merges every provider that answers within the budget', async () => {
+  const chain = registry([
+    adapter('vision', { extractFromUrl: async () => features('vision', [['Backpack', 0.6]]) }),
+    adapter('rekognition', { extractFromUrl: async () => features('rekognition', [['Backpack', 0.5], ['Bottle', 0.9]]) }),
+    adapter('slow', { extractFromUrl: (url, { signal }) => new Promise((resolve) => signal.addEventListener('abort', () => resolve(null))) }),
+  ], 'ensemble', { rekognition: { weight: 0.5 } });
+  chain.ensembleBudgetMs = 20;
+
+  const merged = await chain.extractFromUrl('https://example.com/a.jpg');
+  assert.deepStrictEqual(merged.providers, ['vision', 'rekognition']);
+  assert.strictEqual(merged.model, 'vision+rekognition+slow');
+  // 1 - (1 - 0.6)(1 - 0.5 × 0.5)
+  assert.strictEqual(merged.labels[0].description, 'backpack');
+  assert.strictEqual(merged.labels[0].confidence, 0.7);
+});
+
+test('ensemble weights outside 0-1 are dropped when the config is loaded', () => {
+  const config = aiProviderRegistry._parseConfig('{"vision":{"weight":2},"llava":{"weight":"0.5"},"rekognition":{"weight":0.3}}');
+  assert.deepStrictEqual(config, { vision: {}, llava: {}, rekognition: { weight: 0.3 } });
+});
+
+test('every model of every enabled provider is current in cascade mode', () => {
+  const chain = registry([
+    adapter('hf', { models: () => ['hf-v1', 'hf-fallback'] }),
+    adapter('vision'),
+  ]);
+  assert.deepStrictEqual(chain.getCurrentModels(), [
+    { source: 'hf', model: 'hf-v1' },
+    { source: 'hf', model: 'hf-fallback' },
+    { source: 'vision', model: 'vision-v1' },
+  ]);
+});
+
+test('ensemble mode has the ensemble as its only current model', () => {
+  const chain = registry([adapter('hf'), adapter('vision')], 'ensemble');
+  assert.deepStrictEqual(chain.getCurrentModels(), [{ source: 'ensemble', model: 'hf+vision' }]);
+});
+
+test('features from a fallback model are not stale, from a retired model they are', () => {
+  const current = registry([adapter('hf', { models: () => ['hf-v1', 'hf-fallback'] })]).getCurrentModels();
+  assert.strictEqual(featureStore._isStale({ source: 'hf', model: 'hf-fallback' }, current), false);
+  assert.strictEqual(featureStore._isStale({ source: 'hf', model: 'hf-v0' }, current), true);
+  assert.strictEqual(featureStore._isStale({ source: 'vision', model: 'hf-v1' }, current), true);
+  assert.strictEqual(featureStore._isStale({ source: 'hf', model: 'hf-v0' }, []), false);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  defaultTaxonomy,
+  mapLabelToCategory,
+  setTaxonomy,
+  getTaxonomy,
+  validateTaxonomy,
+} = require('../utils/categoryMapper');
+
+test('labels map on whole words', () => {
+  assert.strictEqual(mapLabelToCategory('Pen').subcategory, 'pen');
+  assert.strictEqual(mapLabelToCategory('pencil').subcategory, 'pencil');
+  assert.strictEqual(mapLabelToCategory('open door').confidence, 0);
+});
+
+test('the longest synonym wins', () => {
+  assert.strictEqual(mapLabelToCategory('Backpack').subcategory, 'backpack');
+  assert.strictEqual(mapLabelToCategory('school bag').subcategory, 'backpack');
+  assert.strictEqual(mapLabelToCategory('Bag').subcategory, 'bag');
+});
+
+test('Arabic labels are normalized before mapping', () => {
+  const match = mapLabelToCategory('محفظة جلد سوداء');
+  assert.strictEqual(match.subcategory, 'wallet');
+  assert.ok(match.confidence > 0 && match.confidence < 1);
+});
+
+test('labels outside the taxonomy fall back with no confidence', () => {
+  assert.deepStrictEqual(mapLabelToCategory('Indoors'), { category: 'other', subcategory: 'other', confidence: 0, matched: null });
+});
+
+test('invalid taxonomies are rejected with every problem listed', () => {
+  const errors = validateTaxonomy({
+    categories: [
+      { id: 'a', subcategories: [{ id: 'x', synonyms: [] }] },
+      { id: 'a', subcategories: [] },
+    ],
+  });
+  assert.deepStrictEqual(errors, [
+    'categories[0].subcategories[0].synonyms must be a non-empty list of strings',
+    'categories[1].id "a" is duplicated',
+  ]);
+
+  assert.throws(() => setTaxonomy({}), (error) => error.details.length === 1);
+  assert.strictEqual(getTaxonomy(), defaultTaxonomy);
+});
+
+test('a published taxonomy replaces the active one', () => {
+  try {
+    setTaxonomy({ categories: [{ id: 'music', subcategories: [{ id: 'guitar', synonyms: ['guitar', 'جيتار'] }] }] });
+    assert.strictEqual(mapLabelToCategory('Acoustic guitar').category, 'music');
+    assert.strictEqual(mapLabelToCategory('Backpack').confidence, 0);
+  } finally {
+    setTaxonomy(defaultTaxonomy);
+  }
+});
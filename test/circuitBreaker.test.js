@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+
+function openBreaker(options = {}) {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 2, cooldownMs: 1000, ...options });
+  breaker.recordFailure(new Error('down'));
+  breaker.recordFailure(new Error('down'));
+  return breaker;
+}
+
+test('the breaker opens after consecutive failures and refuses requests', () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 2 });
+  breaker.recordFailure(new Error('down'));
+  assert.strictEqual(breaker.allowRequest(), true);
+  breaker.recordFailure(new Error('down'));
+
+  assert.strictEqual(breaker.state, 'open');
+  assert.strictEqual(breaker.allowRequest(), false);
+  assert.strictEqual(breaker.getStats().rejected, 1);
+  assert.strictEqual(breaker.getStats().lastError, 'down');
+});
+
+test('a success resets the consecutive failure count', () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 2 });
+  breaker.recordFailure(new Error('down'));
+  breaker.recordSuccess(20);
+  breaker.recordFailure(new Error('down'));
+  assert.strictEqual(breaker.state, 'closed');
+  assert.strictEqual(breaker.getStats().averageLatencyMs, 20);
+});
+
+test('after the cool-down a single probe is let through', () => {
+  const breaker = openBreaker();
+  breaker.openedAt -= 1000;
+
+  assert.strictEqual(breaker.allowRequest(), true);
+  assert.strictEqual(breaker.state, 'half_open');
+  assert.strictEqual(breaker.allowRequest(), false);
+
+  breaker.recordSuccess();
+  assert.strictEqual(breaker.state, 'closed');
+  assert.strictEqual(breaker.allowRequest(), true);
+});
+
+test('a failed probe opens the breaker again', () => {
+  const breaker = openBreaker();
+  breaker.openedAt -= 1000;
+
+  assert.strictEqual(breaker.allowRequest(), true);
+  breaker.recordFailure(new Error('still down'));
+  assert.strictEqual(breaker.state, 'open');
+  assert.strictEqual(breaker.allowRequest(), false);
+});
+
+test('a cancelled probe frees the slot without an outcome', () => {
+  const breaker = openBreaker();
+  breaker.openedAt -= 1000;
+
+  assert.strictEqual(breaker.allowRequest(), true);
+  breaker.release();
+  assert.strictEqual(breaker.state, 'half_open');
+  assert.strictEqual(breaker.getStats().failures, 2);
+  assert.strictEqual(breaker.allowRequest(), true);
+});
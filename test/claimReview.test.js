@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const adminRoutes = require('../routes/admin');
+const { fakeConnection, fakePool } = require('./helpers/database');
+const { serve } = require('./helpers/app');
+
+const ADMIN = 1;
+const CLAIMANT = 8;
+const OTHER_CLAIMANT = 9;
+const FINDER = 6;
+
+const claimRow = (overrides = {}) => ({
+  claim_id: 3,
+  found_item_id: 20,
+  claimant_id: CLAIMANT,
+  status: 'verifying',
+  item_type: 'wallet',
+  finder_id: FINDER,
+  item_status: 'found',
+  ...overrides,
+});
+
+// An admin deciding one claim; another claim on the same item is still open
+function reviewing(claim, { role = 'admin', failOn } = {}) {
+  return (sql) => {
+    if (failOn && sql.includes(failOn)) throw new Error('connection lost');
+    if (sql.startsWith('SELECT role FROM users')) return [{ role }];
+    if (sql.includes('WHERE c.claim_id = ? FOR UPDATE')) return claim ? [claim] : [];
+    if (sql.startsWith('SELECT claim_id, claimant_id FROM claims')) return [{ claim_id: 4, claimant_id: OTHER_CLAIMANT }];
+    return undefined;
+  };
+}
+
+async function decide(action, respond, run) {
+  const connection = fakeConnection(respond);
+  const app = await serve('/api/admin', adminRoutes(fakePool(connection)));
+  try {
+    const response = await app.request('PUT', `/claims/3/${action}`, { userId: ADMIN, body: { notes: 'Marks match' } });
+    await run(response, connection);
+  } finally {
+    await app.close();
+  }
+}
+
+test('approving a claim claims the item and denies competing claims in one transaction', async () => {
+  await decide('approve', reviewing(claimRow()), ({ status, body }, connection) => {
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'approved');
+
+    const transaction = connection.log.slice(connection.log.indexOf('BEGIN'));
+    assert.strictEqual(transaction.at(-1), 'COMMIT');
+    assert.ok(transaction.some(sql => sql.includes('WHERE c.claim_id = ? FOR UPDATE')));
+    assert.deepStrictEqual(connection.find("UPDATE items SET status = 'claimed'")[0].params, [20]);
+
+    const [approve, denyOthers] = connection.find('UPDATE claims');
+    assert.deepStrictEqual(approve.params, ['approved', ADMIN, 'Marks match', 'approved', 'approved', 3]);
+    assert.deepStrictEqual(denyOthers.params, [ADMIN, 'Another claim for this item was approved', 4]);
+    assert.deepStrictEqual(connection.find('SELECT claim_id, claimant_id FROM claims')[0].params, [20, 3]);
+
+    const recipients = connection.find('INSERT INTO notifications').map(query => query.params[0]);
+    assert.deepStrictEqual(recipients, [CLAIMANT, OTHER_CLAIMANT]);
+  });
+});
+
+test('claims skip no step and items already claimed cannot be approved', async () => {
+  for (const claim of [claimRow({ status: 'requested' }), claimRow({ item_status: 'claimed' })]) {
+    await decide('approve', reviewing(claim), ({ status }, connection) => {
+      assert.strictEqual(status, 409);
+      assert.strictEqual(connection.find('UPDATE claims').length, 0);
+    });
+  }
+  await decide('approve', reviewing(null), ({ status }) => assert.strictEqual(status, 404));
+});
+
+test('denying an approved claim makes the item available again', async () => {
+  await decide('deny', reviewing(claimRow({ status: 'approved' })), ({ status }, connection) => {
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(connection.find("UPDATE items SET status = 'found'")[0].params, [20]);
+    const [notification] = connection.find('INSERT INTO notifications');
+    assert.strictEqual(notification.params[0], CLAIMANT);
+    assert.ok(notification.params[2].endsWith('Reason: Marks match'));
+  });
+});
+
+test('the finder is thanked when an approved claim is picked up', async () => {
+  await decide('picked-up', reviewing(claimRow({ status: 'approved', item_status: 'claimed' })), ({ status }, connection) => {
+    assert.strictEqual(status, 200);
+    assert.strictEqual(connection.find('UPDATE items').length, 0);
+    assert.strictEqual(connection.find('INSERT INTO notifications')[0].params[0], FINDER);
+  });
+});
+
+test('a failure while approving rolls every change back', async () => {
+  await decide('approve', reviewing(claimRow(), { failOn: 'INSERT INTO notifications' }), ({ status }, connection) => {
+    assert.strictEqual(status, 500);
+    assert.strictEqual(connection.log.at(-1), 'ROLLBACK');
+    assert.ok(!connection.log.includes('COMMIT'));
+  });
+});
+
+test('only admins decide claims', async () => {
+  await decide('approve', reviewing(claimRow(), { role: 'user' }), ({ status }, connection) => {
+    assert.strictEqual(status, 403);
+    assert.ok(!connection.log.includes('BEGIN'));
+  });
+});
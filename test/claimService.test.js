@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const claimService = require('../services/claimService');
+
+const item = {
+  item_id: 20,
+  item_type: 'wallet',
+  unique_marks: 'Scratch on the back',
+  mark: 'A.M.',
+  brand: '  ',
+  contents: null,
+};
+
+test('claims move forward through verification and can be denied until picked up', () => {
+  assert.ok(claimService.canTransition('requested', 'verifying'));
+  assert.ok(claimService.canTransition('verifying', 'approved'));
+  assert.ok(claimService.canTransition('approved', 'picked_up'));
+  assert.ok(claimService.canTransition('approved', 'denied'));
+
+  assert.ok(!claimService.canTransition('requested', 'approved'));
+  assert.ok(!claimService.canTransition('verifying', 'verifying'));
+  assert.ok(!claimService.canTransition('denied', 'verifying'));
+  assert.ok(!claimService.canTransition('picked_up', 'denied'));
+  assert.ok(!claimService.canTransition('unknown', 'denied'));
+});
+
+test('questions are asked only about private fields the item has, never with the answers', () => {
+  const questions = claimService.getQuestions(item);
+  assert.deepStrictEqual(questions.map(({ field }) => field), ['unique_marks', 'mark']);
+  assert.ok(!JSON.stringify(questions).includes('A.M.'));
+});
+
+test('answers are kept only for the questions asked, trimmed', () => {
+  const answers = claimService.sanitizeAnswers(item, {
+    unique_marks: '  a scratch on the back ',
+    mark: '',
+    brand: 'Fossil',
+    item_id: 'anything',
+  });
+  assert.deepStrictEqual(answers, { unique_marks: 'a scratch on the back' });
+  assert.deepStrictEqual(claimService.sanitizeAnswers(item, null), {});
+});
+
+test('stored answers are parsed defensively', () => {
+  assert.deepStrictEqual(claimService.parseAnswers('{"mark":"A.M."}'), { mark: 'A.M.' });
+  assert.deepStrictEqual(claimService.parseAnswers({ mark: 'A.M.' }), { mark: 'A.M.' });
+  assert.deepStrictEqual(claimService.parseAnswers('not json'), {});
+  assert.deepStrictEqual(claimService.parseAnswers('["A.M."]'), {});
+  assert.deepStrictEqual(claimService.parseAnswers(null), {});
+});
+
+test('answer scores hint at how close each answer is to the private value', () => {
+  const scores = claimService.scoreAnswers(item, { unique_marks: 'scratch on back', mark: '' });
+  assert.ok(scores.unique_marks >= 0.75);
+  assert.strictEqual(scores.mark, 0);
+  assert.deepStrictEqual(Object.keys(scores), ['unique_marks', 'mark']);
+});
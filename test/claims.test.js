@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const multer = require('multer');
+const os = require('os');
+const itemRoutes = require('../routes/items');
+const { fakeConnection, fakePool } = require('./helpers/database');
+const { serve } = require('./helpers/app');
+
+const CLAIMANT = 8;
+const FINDER = 6;
+const ADMIN = 1;
+
+const foundItem = {
+  item_id: 20,
+  user_id: FINDER,
+  item_type: 'wallet',
+  status: 'found',
+  unique_marks: 'Scratch on the back',
+  mark: 'A.M.',
+};
+
+function claiming({ claim = null } = {}) {
+  return (sql) => {
+    if (sql.startsWith('SELECT * FROM items WHERE item_id = ?')) return [foundItem];
+    if (sql.startsWith('SELECT * FROM claims WHERE claim_id = ?')) return claim ? [claim] : [];
+    if (sql.startsWith('SELECT name, email')) return [{ name: 'Sam', email: 'sam@example.com' }];
+    if (sql.startsWith("SELECT user_id FROM users WHERE role = 'admin'")) return [{ user_id: ADMIN }];
+    return undefined;
+  };
+}
+
+async function withItems(respond, run) {
+  const connection = fakeConnection(respond);
+  const app = await serve('/api/items', itemRoutes(fakePool(connection), multer({ dest: os.tmpdir() })));
+  try {
+    await run(app, connection);
+  } finally {
+    await app.close();
+  }
+}
+
+test('a new claim asks the ownership questions without their answers', async () => {
+  await withItems(claiming(), async (app, connection) => {
+    const { status, body } = await app.request('POST', '/claims', { userId: CLAIMANT, body: { found_item_id: 20 } });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.status, 'requested');
+    assert.deepStrictEqual(body.questions.map(({ field }) => field), ['unique_marks', 'mark']);
+    assert.ok(!JSON.stringify(body).includes('A.M.'));
+    assert.deepStrictEqual(connection.find('INSERT INTO claims')[0].params, [20, CLAIMANT]);
+  });
+});
+
+test('finders cannot claim the items they reported', async () => {
+  await withItems(claiming(), async (app, connection) => {
+    const { status } = await app.request('POST', '/claims', { userId: FINDER, body: { found_item_id: 20 } });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(connection.find('INSERT INTO claims').length, 0);
+  });
+});
+
+test('every question must be answered before the claim is verified', async () => {
+  const claim = { claim_id: 3, found_item_id: 20, claimant_id: CLAIMANT, status: 'requested' };
+  await withItems(claiming({ claim }), async (app, connection) => {
+    const { status, body } = await app.request('POST', '/claims/3/answers', {
+      userId: CLAIMANT,
+      body: { answers: { unique_marks: 'a scratch' } },
+    });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.missing, ['mark']);
+    assert.strictEqual(connection.find('UPDATE claims').length, 0);
+  });
+});
+
+test('answered claims go to verification and the admins are told', async () => {
+  const claim = { claim_id: 3, found_item_id: 20, claimant_id: CLAIMANT, status: 'requested' };
+  await withItems(claiming({ claim }), async (app, connection) => {
+    const { status, body } = await app.request('POST', '/claims/3/answers', {
+      userId: CLAIMANT,
+      body: { answers: { unique_marks: ' a scratch ', mark: 'AM', brand: 'guess' } },
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'verifying');
+    assert.deepStrictEqual(connection.find("status = 'verifying'")[0].params, ['{"unique_marks":"a scratch","mark":"AM"}', 3]);
+    assert.strictEqual(connection.find('INSERT INTO notifications')[0].params[0], ADMIN);
+  });
+});
+
+test('a claim already under review cannot be answered again', async () => {
+  const claim = { claim_id: 3, found_item_id: 20, claimant_id: CLAIMANT, status: 'verifying' };
+  await withItems(claiming({ claim }), async (app) => {
+    const { status } = await app.request('POST', '/claims/3/answers', {
+      userId: CLAIMANT,
+      body: { answers: { unique_marks: 'a scratch', mark: 'AM' } },
+    });
+    assert.strictEqual(status, 409);
+  });
+});
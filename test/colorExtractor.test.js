@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const colorExtractor = require('../services/colorExtractor');
+
+test('CIEDE2000 matches the published reference values', () => {
+  // Sharma, Wu and Dalal (2005), pairs 1 and 7
+  const delta1 = colorExtractor.deltaE2000({ l: 50, a: 2.6772, b: -79.7751 }, { l: 50, a: 0, b: -82.7485 });
+  assert.strictEqual(Math.round(delta1 * 10000) / 10000, 2.0425);
+  const delta7 = colorExtractor.deltaE2000({ l: 50, a: 0, b: 0 }, { l: 50, a: -1, b: 2 });
+  assert.strictEqual(Math.round(delta7 * 10000) / 10000, 2.3669);
+});
+
+test('RGB colors get the nearest palette name', () => {
+  assert.deepStrictEqual(colorExtractor.nameColor({ red: 30, green: 40, blue: 90 }), { name: 'navy', family: 'blue' });
+  assert.deepStrictEqual(colorExtractor.nameColor({ red: 250, green: 250, blue: 250 }), { name: 'white', family: 'white' });
+});
+
+test('shades of one family are similar, different colors are not', () => {
+  assert.ok(colorExtractor.similarity('navy', 'blue') >= 0.8);
+  assert.ok(colorExtractor.similarity('أسود', 'black') === 1);
+  assert.ok(colorExtractor.similarity('black', 'white') < 0.1);
+  assert.strictEqual(colorExtractor.similarity('black', 'sparkly'), null);
+});
+
+test('color lists are compared weighted by pixel fraction', () => {
+  const photo = [
+    { ...colorExtractor.describe({ red: 200, green: 30, blue: 35 }), pixelFraction: 0.9 },
+    { ...colorExtractor.describe({ red: 245, green: 245, blue: 245 }), pixelFraction: 0.1 },
+  ];
+  assert.strictEqual(Math.round(colorExtractor.compareLists(photo, ['red']) * 100) / 100, 0.9);
+  assert.strictEqual(Math.round(colorExtractor.compareLists(photo, ['white']) * 100) / 100, 0.1);
+  assert.strictEqual(colorExtractor.compareLists(photo, ['sparkly']), null);
+});
+
+test('dominant colors are extracted largest share first', async () => {
+  const image = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#c81e23' } })
+    .composite([{
+      input: { create: { width: 64, height: 16, channels: 3, background: '#2355c8' } },
+      top: 0,
+      left: 0,
+    }])
+    .png()
+    .toBuffer();
+
+  const colors = await colorExtractor.extract(image);
+  assert.deepStrictEqual(colors.map(color => color.name), ['red', 'blue']);
+  assert.strictEqual(colors[0].pixelFraction, 0.75);
+  assert.ok(colors[0].lab && typeof colors[0].red === 'number');
+});
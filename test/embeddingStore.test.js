@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const embeddingStore = require('../services/embeddingStore');
+const pythonAIService = require('../services/pythonAIService');
+const vectorIndex = require('../services/vectorIndex');
+const { vectorToBuffer } = require('../utils/vectorMath');
+const { fakeConnection } = require('./helpers/database');
+
+test('stored embeddings are read in one query and aligned with the items', async () => {
+  const connection = fakeConnection((sql) => {
+    if (sql.startsWith('SELECT item_id, model, vector FROM item_embeddings')) {
+      return [{ item_id: 2, model: 'clip', vector: vectorToBuffer([0.5, 0.5]) }];
+    }
+    return undefined;
+  });
+
+  const embeddings = await embeddingStore.getEmbeddingsForItems(connection, [{ item_id: 1 }, { item_id: 2 }]);
+
+  assert.deepStrictEqual(embeddings, [null, { vector: [0.5, 0.5], model: 'clip' }]);
+  assert.deepStrictEqual(connection.queries.map(query => query.params), [[1, 2]]);
+});
+
+test('saved embeddings are stored as float32 and indexed', async (t) => {
+  const add = t.mock.method(vectorIndex, 'add', () => {});
+  const connection = fakeConnection();
+  const embedding = { vector: [0.25, -0.75], model: 'clip' };
+
+  await embeddingStore.saveEmbedding(connection, 7, embedding, { status: 'found' });
+  await embeddingStore.saveEmbedding(connection, 8, { vector: [], model: 'clip' });
+
+  const [insert] = connection.find('INSERT INTO item_embeddings');
+  assert.deepStrictEqual(insert.params, [7, 'clip', 2, vectorToBuffer([0.25, -0.75])]);
+  assert.strictEqual(connection.queries.length, 1);
+  assert.deepStrictEqual(add.mock.calls[0].arguments, [7, 'found', embedding]);
+});
+
+test('nothing is embedded while the Python service is disabled', async (t) => {
+  const extract = t.mock.method(pythonAIService, 'extractEmbedding', async () => ({ vector: [1], model: 'clip' }));
+  const { enabled } = pythonAIService;
+  pythonAIService.enabled = false;
+  try {
+    assert.strictEqual(await embeddingStore.embedImage('/tmp/photo.jpg'), null);
+    const [embedding] = await embeddingStore.getEmbeddingsForItems(fakeConnection(), [{ item_id: 1, image_path: '/uploads/a.jpg' }]);
+    assert.strictEqual(embedding, null);
+    assert.strictEqual(extract.mock.callCount(), 0);
+  } finally {
+    pythonAIService.enabled = enabled;
+  }
+});
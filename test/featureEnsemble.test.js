@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const featureEnsemble = require('../services/featureEnsemble');
+
+const result = (provider, labels, extra = {}) => ({
+  provider,
+  weight: 1,
+  features: { labels: labels.map(([description, confidence]) => ({ description, confidence })), objects: [], colors: [] },
+  ...extra,
+});
+
+test('labels are normalized to one vocabulary across providers and languages', () => {
+  assert.strictEqual(featureEnsemble.normalizeLabel('backpack, back pack, knapsack'), 'backpack');
+  assert.strictEqual(featureEnsemble.normalizeLabel('Mobile Phone'), 'phone');
+  assert.strictEqual(featureEnsemble.normalizeLabel('حقيبة'), featureEnsemble.normalizeLabel('bag'));
+  assert.strictEqual(featureEnsemble.normalizeLabel(''), '');
+});
+
+test('a label two providers agree on outranks one only a single provider saw', () => {
+  const merged = featureEnsemble.merge([
+    result('vision', [['Backpack', 0.6], ['Laptop', 0.7]]),
+    result('rekognition', [['backpack, knapsack', 0.5]]),
+  ]);
+
+  assert.deepStrictEqual(merged.labels.map(label => label.description), ['backpack', 'laptop']);
+  // 1 - (1 - 0.6)(1 - 0.5)
+  assert.strictEqual(merged.labels[0].confidence, 0.8);
+  assert.deepStrictEqual(merged.labels[0].sources.map(source => source.provider), ['vision', 'rekognition']);
+  assert.strictEqual(merged.source, 'ensemble');
+  assert.deepStrictEqual(merged.providers, ['vision', 'rekognition']);
+  assert.strictEqual(merged.confidence, 0.8);
+});
+
+test('a provider listing synonyms twice votes once, with its best confidence', () => {
+  const merged = featureEnsemble.merge([result('vision', [['Bag', 0.4], ['Handbag', 0.7]])]);
+  assert.strictEqual(merged.labels.length, 1);
+  assert.strictEqual(merged.labels[0].confidence, 0.7);
+  assert.strictEqual(merged.labels[0].sources[0].label, 'Handbag');
+});
+
+test('provider weights scale confidences and are clamped to 0-1', () => {
+  const [weighted] = featureEnsemble.merge([result('vision', [['Wallet', 0.8]], { weight: 0.5 })]).labels;
+  assert.strictEqual(weighted.confidence, 0.4);
+
+  const [overweight] = featureEnsemble.merge([result('vision', [['Wallet', 0.8]], { weight: 3 })]).labels;
+  assert.strictEqual(overweight.confidence, 0.8);
+  const [negative] = featureEnsemble.merge([result('vision', [['Wallet', 0.8]], { weight: -1 })]).labels;
+  assert.strictEqual(negative.confidence, 0);
+});
+
+test('measured colors win over colors guessed from words', () => {
+  const merged = featureEnsemble.merge([
+    result('llava', [['Wallet', 0.5]], { features: { labels: [{ description: 'Wallet' }], colors: ['brown'], description: 'A brown wallet' } }),
+    result('vision', [['Wallet', 0.8]], { features: { labels: [{ description: 'Wallet', confidence: 0.8 }], colors: [{ red: 120, green: 75, blue: 40 }] } }),
+  ]);
+  assert.deepStrictEqual(merged.colors, [{ red: 120, green: 75, blue: 40 }]);
+  assert.strictEqual(merged.description, 'A brown wallet');
+  // A label without a confidence counts as 0.5
+  assert.strictEqual(merged.labels[0].confidence, 0.9);
+});
+
+test('nothing is merged when no provider has labels', () => {
+  assert.strictEqual(featureEnsemble.merge([result('vision', [])]), null);
+  assert.strictEqual(featureEnsemble.merge([]), null);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const featureStore = require('../services/featureStore');
+const aiMatchingService = require('../services/aiMatchingService');
+const { fakeConnection } = require('./helpers/database');
+
+const vision = { source: 'google-vision', model: 'Google Vision v1' };
+
+const storedRow = (itemId, overrides = {}) => ({
+  item_id: itemId,
+  labels: JSON.stringify([{ description: 'Wallet', confidence: 0.9 }]),
+  colors: '[]',
+  objects: '[]',
+  ...vision,
+  ...overrides,
+});
+
+function withProviders(t, current, extracted) {
+  t.mock.method(aiMatchingService, 'getActiveProvider', () => current[0] || null);
+  t.mock.method(aiMatchingService, 'getCurrentModels', () => current);
+  return t.mock.method(aiMatchingService, 'extractImageFeaturesFromUrl', async () => extracted);
+}
+
+test('stored features of a current model are reused without calling a provider', async (t) => {
+  const extract = withProviders(t, [vision], null);
+  const connection = fakeConnection(sql => (sql.includes('FROM item_features') ? [storedRow(1)] : undefined));
+
+  const [features] = await featureStore.getFeaturesForItems(connection, [{ item_id: 1, image_path: 'https://example.com/1.jpg' }]);
+
+  assert.deepStrictEqual(features.labels, [{ description: 'Wallet', confidence: 0.9 }]);
+  assert.strictEqual(features.source, 'google-vision');
+  assert.strictEqual(extract.mock.callCount(), 0);
+  assert.strictEqual(connection.find('INSERT INTO item_features').length, 0);
+});
+
+test('missing or stale features are extracted once and stored', async (t) => {
+  const fresh = { labels: [{ description: 'Backpack', confidence: 0.8 }], colors: [], objects: [], ...vision };
+  const extract = withProviders(t, [vision], fresh);
+  const connection = fakeConnection(sql => (
+    sql.includes('FROM item_features') ? [storedRow(2, { source: 'huggingface', model: 'microsoft/resnet-50' })] : undefined
+  ));
+
+  const features = await featureStore.getFeaturesForItems(connection, [
+    { item_id: 1, image_path: 'https://example.com/1.jpg' },
+    { item_id: 2, image_path: 'https://example.com/2.jpg' },
+    { item_id: 3, image_path: null },
+  ]);
+
+  assert.deepStrictEqual(features, [fresh, fresh, null]);
+  assert.strictEqual(extract.mock.callCount(), 2);
+  const saved = connection.find('INSERT INTO item_features').map(query => query.params[0]);
+  assert.deepStrictEqual(saved, [1, 2]);
+});
+
+test('fallback results are returned but never stored', async (t) => {
+  withProviders(t, [vision], { labels: [], colors: [], objects: [], note: 'No AI available' });
+  const connection = fakeConnection();
+
+  await featureStore.getFeaturesForItems(connection, [{ item_id: 1, image_path: 'https://example.com/1.jpg' }]);
+  assert.strictEqual(connection.find('INSERT INTO item_features').length, 0);
+});
+
+test('while no provider is enabled stored features are kept whatever their model', async (t) => {
+  const extract = withProviders(t, [], null);
+  const connection = fakeConnection(sql => (
+    sql.includes('FROM item_features') ? [storedRow(1, { source: 'legacy-description', model: null })] : undefined
+  ));
+
+  const [features] = await featureStore.getFeaturesForItems(connection, [{ item_id: 1, image_path: 'https://example.com/1.jpg' }]);
+  assert.strictEqual(features.source, 'legacy-description');
+  assert.strictEqual(extract.mock.callCount(), 0);
+});
@@ -0,0 +1,40 @@
+/**
+ * Serve a router on a random local port and call it with a signed-in user
+ */
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+async function serve(basePath, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(basePath, router);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}${basePath}`;
+
+  return {
+    /**
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below basePath
+     * @param {Object} [options] - { userId, body }
+     * @returns {Promise<{status: number, body: Object}>}
+     */
+    async request(method, path, { userId, body } = {}) {
+      const headers = { 'content-type': 'application/json' };
+      if (userId !== undefined) {
+        headers.authorization = `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET || 'your_secret_key')}`;
+      }
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      return { status: response.status, body: await response.json() };
+    },
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = { serve };
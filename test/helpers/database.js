@@ -0,0 +1,42 @@
+/**
+ * In-memory stand-ins for a mysql2 pool and connection: queries are recorded
+ * (whitespace collapsed) and answered by a `respond(sql, params)` callback
+ * returning rows for a SELECT or a result header for anything else.
+ */
+
+function fakeConnection(respond = () => undefined) {
+  const connection = {
+    queries: [],
+    // Queries and transaction boundaries ('BEGIN', 'COMMIT', 'ROLLBACK') in order
+    log: [],
+    async execute(sql, params = []) {
+      const normalized = sql.replace(/\s+/g, ' ').trim();
+      connection.queries.push({ sql: normalized, params });
+      connection.log.push(normalized);
+      const answer = await respond(normalized, params);
+      if (answer !== undefined) return [answer];
+      return [normalized.startsWith('SELECT') ? [] : { affectedRows: 1, insertId: 1 }];
+    },
+    async beginTransaction() {
+      connection.log.push('BEGIN');
+    },
+    async commit() {
+      connection.log.push('COMMIT');
+    },
+    async rollback() {
+      connection.log.push('ROLLBACK');
+    },
+    release() {},
+    // Recorded queries whose SQL contains the text
+    find(text) {
+      return connection.queries.filter(query => query.sql.includes(text));
+    },
+  };
+  return connection;
+}
+
+function fakePool(connection) {
+  return { getConnection: async () => connection };
+}
+
+module.exports = { fakeConnection, fakePool };
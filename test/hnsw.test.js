@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HnswIndex } = require('../utils/hnsw');
+
+// Deterministic pseudo-random vectors
+function vectors(count, dimensions, seed = 1) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+  return Array.from({ length: count }, () => Array.from({ length: dimensions }, random));
+}
+
+function bruteForce(data, query, k) {
+  const norm = v => Math.sqrt(v.reduce((sum, x) => sum + x * x, 0));
+  const cosine = (a, b) => a.reduce((sum, x, i) => sum + x * b[i], 0) / (norm(a) * norm(b));
+  return data
+    .map((vector, id) => ({ id, similarity: cosine(vector, query) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k)
+    .map(entry => entry.id);
+}
+
+test('search finds the nearest neighbours', () => {
+  const data = vectors(300, 16);
+  const index = new HnswIndex({ m: 8, efConstruction: 64, efSearch: 64 });
+  data.forEach((vector, id) => index.add(id, vector));
+
+  let found = 0;
+  for (const query of vectors(20, 16, 7)) {
+    const expected = bruteForce(data, query, 5);
+    const ids = index.search(query, 5).map(result => result.id);
+    found += ids.filter(id => expected.includes(id)).length;
+  }
+  assert.ok(found / 100 >= 0.9, `recall ${found}%`);
+});
+
+test('a vector is its own nearest neighbour', () => {
+  const data = vectors(50, 8);
+  const index = new HnswIndex();
+  data.forEach((vector, id) => index.add(`item-${id}`, vector));
+
+  const [best] = index.search(data[17], 1);
+  assert.strictEqual(best.id, 'item-17');
+  assert.ok(Math.abs(best.similarity - 1) < 1e-6);
+});
+
+test('removed ids are left out of results and dropped by compaction', () => {
+  const data = vectors(40, 8);
+  const index = new HnswIndex();
+  data.forEach((vector, id) => index.add(id, vector));
+
+  assert.strictEqual(index.remove(3), true);
+  assert.strictEqual(index.remove(3), false);
+  assert.ok(!index.search(data[3], 10).some(result => result.id === 3));
+  assert.strictEqual(index.size, 39);
+
+  index.compact();
+  assert.strictEqual(index.nodes.length, 39);
+  assert.strictEqual(index.deletedCount, 0);
+});
+
+test('adding an id again replaces its vector', () => {
+  const index = new HnswIndex();
+  index.add('a', [1, 0]);
+  index.add('a', [0, 1]);
+  assert.strictEqual(index.size, 1);
+  assert.deepStrictEqual([...index.getVector('a')], [0, 1]);
+});
+
+test('an index survives a JSON round trip', () => {
+  const data = vectors(30, 8);
+  const index = new HnswIndex();
+  data.forEach((vector, id) => index.add(id, vector));
+  index.remove(5);
+
+  const restored = HnswIndex.fromJSON(JSON.parse(JSON.stringify(index)));
+  assert.strictEqual(restored.size, 29);
+  assert.deepStrictEqual(restored.search(data[12], 3), index.search(data[12], 3));
+});
+
+test('an empty index returns no results', () => {
+  assert.deepStrictEqual(new HnswIndex().search([1, 2, 3]), []);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const imageHash = require('../services/imageHash');
+const { fakeConnection } = require('./helpers/database');
+
+// A photo-like test picture: colored blocks on a background
+function picture(background, blocks) {
+  return sharp({ create: { width: 256, height: 192, channels: 3, background } })
+    .composite(blocks.map(([left, top, width, height, color]) => ({
+      input: { create: { width, height, channels: 3, background: color } },
+      left,
+      top,
+    })))
+    .png()
+    .toBuffer();
+}
+
+test('a re-compressed, resized copy is a near-duplicate, another photo is not', async () => {
+  const original = await picture('#d0d0d0', [[20, 30, 90, 60, '#202020'], [150, 100, 80, 70, '#c02020']]);
+  const copy = await sharp(original).resize(200).jpeg({ quality: 40 }).toBuffer();
+  const other = await picture('#303060', [[120, 10, 100, 150, '#f0f0a0'], [10, 120, 60, 50, '#20a020']]);
+
+  const [originalHashes, copyHashes, otherHashes] = await Promise.all(
+    [original, copy, other].map(input => imageHash.computeHashes(input))
+  );
+  assert.match(originalHashes.phash, /^[0-9a-f]{16}$/);
+  assert.match(originalHashes.dhash, /^[0-9a-f]{16}$/);
+
+  const same = imageHash.compare(originalHashes, copyHashes);
+  assert.ok(same.nearDuplicate, `distance ${same.distance}`);
+  assert.ok(same.similarity >= 0.9);
+
+  const different = imageHash.compare(originalHashes, otherHashes);
+  assert.ok(!different.nearDuplicate, `distance ${different.distance}`);
+  assert.ok(different.similarity < same.similarity);
+});
+
+test('Hamming distance counts differing bits', () => {
+  assert.strictEqual(imageHash.hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+  assert.strictEqual(imageHash.hammingDistance('00000000000000f1', '0000000000000001'), 4);
+  assert.strictEqual(imageHash.hammingDistance('00', '0000'), null);
+});
+
+test('similarity falls from near-duplicates to unrelated photos', () => {
+  const at = (bits) => imageHash.compare({ phash: '0000000000000000' }, { phash: (2n ** BigInt(bits) - 1n).toString(16).padStart(16, '0') });
+  assert.strictEqual(at(0).similarity, 1);
+  assert.strictEqual(at(10).similarity, 0.9);
+  assert.strictEqual(at(10).nearDuplicate, true);
+  assert.strictEqual(at(11).nearDuplicate, false);
+  assert.strictEqual(at(24).similarity, 0);
+  assert.strictEqual(imageHash.compare({ phash: null }, { phash: '0000000000000000' }), null);
+});
+
+test('near-duplicates are looked up by pHash distance in SQL', async () => {
+  const connection = fakeConnection();
+  await imageHash.findNearDuplicates(connection, { phash: 'abcdef0123456789' }, { status: 'lost', excludeItemId: 4 });
+  const [query] = connection.find('AS phash_distance');
+  assert.deepStrictEqual(query.params, ['abcdef0123456789', 'lost', 4, 'abcdef0123456789', 10]);
+  assert.deepStrictEqual(await imageHash.findNearDuplicates(connection, null), []);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const imagePreprocessor = require('../services/imagePreprocessor');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'preprocess-'));
+}
+
+test('uploads are turned upright and stripped of their metadata', async () => {
+  const dir = tempDir();
+  const upload = path.join(dir, 'upload');
+  // A landscape photo stored sideways, as phones do, with camera metadata
+  await sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#cc2222' } })
+    .jpeg()
+    .withMetadata({ orientation: 6, exif: { IFD0: { Make: 'PhoneMaker', Copyright: 'someone' } } })
+    .toFile(upload);
+  assert.strictEqual((await sharp(upload).metadata()).orientation, 6);
+
+  try {
+    const images = await imagePreprocessor.process(upload);
+
+    assert.strictEqual(images.original, `${upload}.jpg`);
+    assert.ok(!fs.existsSync(upload));
+    const original = await sharp(images.original).metadata();
+    assert.strictEqual(original.exif, undefined);
+    assert.strictEqual(original.orientation, undefined);
+    assert.deepStrictEqual([original.width, original.height], [1000, 2000]);
+
+    const ai = await sharp(images.ai).metadata();
+    assert.strictEqual(Math.max(ai.width, ai.height), 1024);
+    assert.strictEqual(ai.exif, undefined);
+
+    const thumbnail = await sharp(images.thumbnail).metadata();
+    assert.strictEqual(Math.max(thumbnail.width, thumbnail.height), 320);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test('PNG and WebP uploads keep their format', async () => {
+  const dir = tempDir();
+  const upload = path.join(dir, 'upload');
+  await sharp({ create: { width: 64, height: 64, channels: 4, background: '#00000000' } }).png().toFile(upload);
+
+  try {
+    const images = await imagePreprocessor.process(upload);
+    assert.strictEqual(images.original, `${upload}.png`);
+    assert.strictEqual((await sharp(images.original).metadata()).format, 'png');
+    assert.strictEqual((await sharp(images.ai).metadata()).format, 'jpeg');
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test('an upload sharp cannot decode is rejected and deleted, never kept as is', async () => {
+  const dir = tempDir();
+  // Sniffed as HEIC, but no decoder can read it (like HEVC photos on a
+  // libvips built without one)
+  const upload = path.join(dir, 'upload.heic');
+  const header = Buffer.alloc(64);
+  header.writeUInt32BE(24, 0);
+  header.write('ftypheic', 4, 'latin1');
+  fs.writeFileSync(upload, header);
+
+  try {
+    await assert.rejects(imagePreprocessor.process(upload), { code: 'UNPROCESSABLE_IMAGE' });
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test('remove deletes every file of a processed upload', async () => {
+  const dir = tempDir();
+  const upload = path.join(dir, 'upload');
+  await sharp({ create: { width: 32, height: 32, channels: 3, background: '#ffffff' } }).jpeg().toFile(upload);
+
+  try {
+    imagePreprocessor.remove(await imagePreprocessor.process(upload));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { inferCategory } = require('../utils/categoryMapper');
+
+test('votes are ranked and the item type is trusted most', () => {
+  const suggestions = inferCategory({ labels: [{ description: 'Backpack', confidence: 0.9 }, 'Person'], itemType: 'bag' });
+  assert.deepStrictEqual(suggestions.map(s => s.subcategory), ['bag', 'backpack']);
+  assert.ok(suggestions[0].confidence > suggestions[1].confidence);
+  assert.deepStrictEqual(inferCategory({ labels: ['Indoors'] }), []);
+});
+
+test('agreeing labels outvote a stronger top label', () => {
+  const [best, second] = inferCategory({
+    labels: [
+      { description: 'Backpack', confidence: 0.6 },
+      { description: 'Wallet', confidence: 0.5 },
+      { description: 'Purse', confidence: 0.45 },
+    ],
+  });
+  assert.strictEqual(best.subcategory, 'wallet');
+  assert.deepStrictEqual(best.votes.map(vote => vote.text), ['Wallet', 'Purse']);
+  assert.strictEqual(second.subcategory, 'backpack');
+  assert.strictEqual(best.confidence + second.confidence, 1);
+});
+
+test('a category-only label supports every subcategory of its category', () => {
+  const suggestions = inferCategory({
+    labels: [{ description: 'Clothing', confidence: 0.9 }, { description: 'Shoe', confidence: 0.5 }],
+  });
+  assert.deepStrictEqual(suggestions.map(s => s.subcategory), ['shoes', 'other']);
+  assert.deepStrictEqual(suggestions[0].votes.map(vote => vote.text), ['Shoe', 'Clothing']);
+  assert.ok(suggestions[0].confidence > suggestions[1].confidence);
+});
+
+test('objects vote too and the number of suggestions is limited', () => {
+  const suggestions = inferCategory({ objects: [{ name: 'Pen' }, { name: 'Pencil' }, { name: 'Wallet' }] }, { limit: 2 });
+  assert.strictEqual(suggestions.length, 2);
+  assert.ok(suggestions.every(s => s.votes[0].source === 'object'));
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const itemSuggestionService = require('../services/itemSuggestionService');
+
+test('suggestions are read from the labels, objects and description', () => {
+  const suggestions = itemSuggestionService.buildSuggestions({
+    labels: [{ description: 'Wallet', confidence: 0.8 }, { description: 'Leather', confidence: 0.7 }],
+    objects: [{ name: 'Purse', confidence: 0.6 }],
+    colors: ['Brown', { name: 'black' }, 'brown'],
+    description: 'A brown wallet with a Samsung logo',
+  });
+
+  assert.strictEqual(suggestions.itemType, 'wallet');
+  assert.strictEqual(suggestions.category, 'personal_items');
+  assert.strictEqual(suggestions.subcategory, 'wallet');
+  assert.strictEqual(suggestions.categorySuggestions[0].subcategory, 'wallet');
+  assert.deepStrictEqual(suggestions.colors, ['brown', 'black']);
+  assert.strictEqual(suggestions.material, 'leather');
+  assert.strictEqual(suggestions.brand, 'Samsung');
+});
+
+test('the item type the user typed refines the category', () => {
+  const labels = [{ description: 'Bag', confidence: 0.6 }];
+  assert.strictEqual(itemSuggestionService.buildSuggestions({ labels }).subcategory, 'bag');
+  assert.strictEqual(itemSuggestionService.buildSuggestions({ labels }, { itemType: 'backpack' }).subcategory, 'backpack');
+});
+
+test('Arabic words suggest materials too', () => {
+  const suggestions = itemSuggestionService.buildSuggestions({ labels: ['محفظة', 'جلد'] });
+  assert.strictEqual(suggestions.material, 'leather');
+  assert.strictEqual(suggestions.subcategory, 'wallet');
+});
+
+test('without features nothing is suggested', () => {
+  assert.deepStrictEqual(itemSuggestionService.buildSuggestions(null), {
+    itemType: null,
+    category: null,
+    subcategory: null,
+    categorySuggestions: [],
+    colors: [],
+    material: null,
+    brand: null,
+  });
+});
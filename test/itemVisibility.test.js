@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  PRIVATE_ITEM_FIELDS,
+  withoutPrivateFields,
+  toPublicItem,
+  toPublicExplanation,
+  canViewPrivateDetails,
+  projectItem,
+} = require('../utils/itemVisibility');
+
+const item = {
+  item_id: 1,
+  user_id: 7,
+  item_type: 'wallet',
+  description: 'Brown leather wallet found near the library entrance, with a student card and two keys',
+  unique_marks: 'scratch on the back',
+  mark: 'A.M.',
+  brand: 'Fossil',
+  contents: 'student card',
+};
+
+test('public items lose their private fields and long descriptions', () => {
+  const publicItem = toPublicItem(item);
+  for (const field of PRIVATE_ITEM_FIELDS) {
+    assert.ok(!(field in publicItem), field);
+  }
+  assert.strictEqual(publicItem.description, 'Brown leather wallet found near the library entrance, with a student card and tw…');
+  assert.strictEqual(publicItem.is_redacted, true);
+  assert.strictEqual(item.brand, 'Fossil');
+});
+
+test('searchable items lose only their private fields', () => {
+  const searchable = withoutPrivateFields({ ...item, relevance: 2 });
+  for (const field of PRIVATE_ITEM_FIELDS) {
+    assert.ok(!(field in searchable), field);
+  }
+  assert.strictEqual(searchable.description, item.description);
+  assert.strictEqual(searchable.relevance, 2);
+  assert.strictEqual(searchable.is_redacted, undefined);
+});
+
+test('only the reporter and admins see the full item', () => {
+  assert.strictEqual(canViewPrivateDetails(item, { userId: 7, isAdmin: false }), true);
+  assert.strictEqual(canViewPrivateDetails(item, { userId: 8, isAdmin: true }), true);
+  assert.strictEqual(canViewPrivateDetails(item, { userId: 8, isAdmin: false }), false);
+  assert.strictEqual(canViewPrivateDetails(item, null), false);
+
+  assert.strictEqual(projectItem(item, { userId: 7 }), item);
+  assert.strictEqual(projectItem(item, { userId: 8 }).is_redacted, true);
+});
+
+test('public explanations keep the summary and drop the per-signal details', () => {
+  const explanation = {
+    summary: ['Same category (personal_items)'],
+    signals: { keywords: { similarity: 0.5, details: { hits: ['fossil'] } } },
+  };
+  assert.deepStrictEqual(toPublicExplanation(explanation), { summary: ['Same category (personal_items)'] });
+  assert.deepStrictEqual(toPublicItem({ ...item, explanation }).explanation, { summary: ['Same category (personal_items)'] });
+  assert.strictEqual(toPublicExplanation(null), null);
+});
@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.JOB_BACKOFF_BASE_MS = '30000';
+const jobRunner = require('../services/jobRunner');
+const { fakeConnection, fakePool } = require('./helpers/database');
+
+// Each test gets its own runner; the module exports the process-wide one
+const createRunner = () => new jobRunner.constructor();
+
+test('claim skips jobs another worker took first', async () => {
+  const runner = createRunner();
+  runner.register({ type: 'match_item', run: async () => {} });
+
+  const connection = fakeConnection((sql, params) => {
+    if (sql.includes('SELECT job_id')) return [{ job_id: 1 }, { job_id: 2 }];
+    if (sql.includes('UPDATE jobs')) return { affectedRows: params[1] === 2 ? 1 : 0 };
+    return [{ job_id: params[0], type: 'match_item', attempts: 1 }];
+  });
+
+  const job = await runner._claim(connection);
+  assert.strictEqual(job.job_id, 2);
+
+  const updates = connection.queries.filter(query => query.sql.startsWith('UPDATE'));
+  assert.strictEqual(updates.length, 2);
+  assert.match(updates[0].sql, /WHERE job_id = \? AND status = 'pending'/);
+  assert.strictEqual(updates[0].params[0], runner.workerId);
+});
+
+test('claim only looks for registered job types', async () => {
+  const runner = createRunner();
+  const connection = fakeConnection();
+  assert.strictEqual(await runner._claim(connection), null);
+  assert.strictEqual(connection.queries.length, 0);
+
+  runner.register({ type: 'embed_item', run: async () => {} });
+  const empty = fakeConnection(() => []);
+  assert.strictEqual(await runner._claim(empty), null);
+  assert.deepStrictEqual(empty.queries[0].params, ['embed_item']);
+});
+
+test('only failed jobs can be retried', async () => {
+  const runner = createRunner();
+  const connection = fakeConnection(() => ({ affectedRows: 0 }));
+  assert.strictEqual(await runner.retry(connection, 7), false);
+  assert.match(connection.queries[0].sql, /status = 'dead' OR \(status = 'pending' AND last_error IS NOT NULL\)/);
+
+  const retried = fakeConnection(() => ({ affectedRows: 1 }));
+  assert.strictEqual(await runner.retry(retried, 7), true);
+  assert.match(retried.queries[0].sql, /attempts = 0/);
+});
+
+test('enqueue returns the existing job for a duplicate idempotency key', async () => {
+  const runner = createRunner();
+  const connection = fakeConnection((sql) => {
+    if (sql.includes('INSERT')) {
+      const error = new Error('Duplicate entry');
+      error.code = 'ER_DUP_ENTRY';
+      throw error;
+    }
+    if (sql.startsWith('UPDATE')) return { affectedRows: 0 };
+    return [{ job_id: 42 }];
+  });
+
+  assert.deepStrictEqual(
+    await runner.enqueue(connection, 'match_item', { itemId: 1 }, { idempotencyKey: 'match_item:1' }),
+    { jobId: 42, created: false, requeued: false }
+  );
+  await assert.rejects(runner.enqueue(connection, 'match_item', {}), { code: 'ER_DUP_ENTRY' });
+});
+
+test('enqueueing the work of a dead job queues it again with fresh attempts', async () => {
+  const runner = createRunner();
+  const connection = fakeConnection((sql) => {
+    if (sql.includes('INSERT')) {
+      const error = new Error('Duplicate entry');
+      error.code = 'ER_DUP_ENTRY';
+      throw error;
+    }
+    if (sql.includes("status = 'dead'")) return { affectedRows: 1 };
+    return [{ job_id: 42 }];
+  });
+
+  assert.deepStrictEqual(
+    await runner.enqueue(connection, 'embed_item', { itemId: 1 }, { idempotencyKey: 'embed_item:1' }),
+    { jobId: 42, created: false, requeued: true }
+  );
+  const [requeue] = connection.queries.filter(query => query.sql.startsWith('UPDATE'));
+  assert.match(requeue.sql, /SET status = 'pending', payload = \?, attempts = 0/);
+  assert.match(requeue.sql, /WHERE idempotency_key = \? AND status = 'dead'/);
+  assert.deepStrictEqual(requeue.params, ['{"itemId":1}', 5, 0, 'embed_item:1']);
+});
+
+test('a timed-out job is aborted and only retried once its handler has stopped', async () => {
+  const runner = createRunner();
+  const events = [];
+  runner.register({
+    type: 'slow',
+    timeoutMs: 20,
+    run: (payload, { signal }) => new Promise((resolve) => {
+      signal.addEventListener('abort', () => {
+        events.push('aborted');
+        // Cleaning up takes a while after the abort
+        setTimeout(() => {
+          events.push('stopped');
+          resolve();
+        }, 30);
+      });
+    }),
+  });
+
+  const connection = fakeConnection((sql, params) => {
+    if (sql.includes("SET status = 'completed'")) events.push('completed');
+    if (sql.includes('SET status = ?')) events.push(`${params[0]}: ${params[1]}`);
+    return { affectedRows: 1 };
+  });
+  connection.release = () => events.push('released');
+  runner.pool = fakePool(connection);
+
+  await runner._execute({ job_id: 1, type: 'slow', payload: '{}', attempts: 1, max_attempts: 3 });
+
+  assert.deepStrictEqual(events, ['aborted', 'stopped', 'pending: timed out after 20ms', 'released', 'released']);
+  assert.strictEqual(runner.active.size, 0);
+});
+
+test('a job out of attempts is dead-lettered', async () => {
+  const runner = createRunner();
+  runner.register({ type: 'broken', run: async () => { throw new Error('boom'); } });
+  const connection = fakeConnection();
+  runner.pool = fakePool(connection);
+
+  await runner._execute({ job_id: 3, type: 'broken', payload: null, attempts: 5, max_attempts: 5 });
+
+  const failure = connection.queries.find(query => query.sql.includes('SET status = ?'));
+  assert.deepStrictEqual(failure.params, ['dead', 'boom', 0, 3]);
+});
+
+test('a completed job stores its result', async () => {
+  const runner = createRunner();
+  runner.register({ type: 'ok', run: async payload => ({ doubled: payload.value * 2 }) });
+  const connection = fakeConnection();
+  runner.pool = fakePool(connection);
+
+  await runner._execute({ job_id: 4, type: 'ok', payload: '{"value":21}', attempts: 1, max_attempts: 5 });
+
+  const completed = connection.queries.find(query => query.sql.includes("SET status = 'completed'"));
+  assert.deepStrictEqual(completed.params, ['{"doubled":42}', 4]);
+});
+
+test('stale recovery leaves the jobs this worker is running alone', async () => {
+  const runner = createRunner();
+  runner.active.add(5);
+  runner.active.add(6);
+  const connection = fakeConnection(() => ({ affectedRows: 0 }));
+
+  await runner._recoverStale(connection);
+
+  const [{ sql, params }] = connection.queries;
+  assert.match(sql, /AND NOT \(locked_by = \? AND job_id IN \(\?, \?\)\)/);
+  assert.deepStrictEqual(params.slice(1), [runner.workerId, 5, 6]);
+});
+
+test('backoff doubles per attempt within the jitter and is capped', () => {
+  const runner = createRunner();
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    const delay = runner._backoffMs(attempt);
+    const base = 30000 * 2 ** (attempt - 1);
+    assert.ok(delay >= base * 0.75 && delay <= base * 1.25, `attempt ${attempt}: ${delay}ms`);
+  }
+  assert.ok(runner._backoffMs(30) <= 60 * 60 * 1000 * 1.25);
+});
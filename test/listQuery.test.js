@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  parsePagination,
+  buildItemFilters,
+  orderAndLimitSql,
+  paginationMeta,
+} = require('../utils/listQuery');
+
+test('pagination defaults to the newest reports first', () => {
+  assert.deepStrictEqual(parsePagination({}), { page: 1, limit: 50, offset: 0, sort: 'date_reported', order: 'desc' });
+});
+
+test('pagination clamps page and limit and whitelists sort and order', () => {
+  const pagination = parsePagination({ page: '3', limit: '500', sort: 'password', order: 'DROP' });
+  assert.deepStrictEqual(pagination, { page: 3, limit: 100, offset: 200, sort: 'date_reported', order: 'desc' });
+  assert.strictEqual(parsePagination({ page: '-2', limit: '0' }).page, 1);
+  assert.strictEqual(parsePagination({ sort: 'item_type', order: 'ASC' }).order, 'asc');
+});
+
+test('filters become placeholders, unknown statuses and bad dates are ignored', () => {
+  const { conditions, params } = buildItemFilters({
+    category: 'electronics',
+    status: 'deleted',
+    color: 'red',
+    from: '2024-01-01',
+    to: '2024-13-01; DROP TABLE items',
+  }, 'i');
+  assert.deepStrictEqual(conditions, ['i.category = ?', 'i.color LIKE ?', 'i.date_reported >= ?']);
+  assert.deepStrictEqual(params, ['electronics', '%red%', '2024-01-01 00:00:00']);
+});
+
+test('items without a found date sort by their report date', () => {
+  const sql = orderAndLimitSql(parsePagination({ sort: 'date_found', limit: '10', page: '2' }), 'i');
+  assert.strictEqual(sql, ' ORDER BY COALESCE(i.date_found, i.date_reported) DESC, i.item_id DESC LIMIT 10 OFFSET 10');
+});
+
+test('other sort columns are used as they are', () => {
+  const sql = orderAndLimitSql(parsePagination({ sort: 'category', order: 'asc' }));
+  assert.strictEqual(sql, ' ORDER BY category ASC, item_id ASC LIMIT 50 OFFSET 0');
+});
+
+test('pagination metadata counts the pages', () => {
+  const meta = paginationMeta(parsePagination({ limit: '20' }), 41);
+  assert.strictEqual(meta.total_pages, 3);
+  assert.strictEqual(meta.total, 41);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const multer = require('multer');
+const os = require('os');
+const itemRoutes = require('../routes/items');
+const { fakeConnection, fakePool } = require('./helpers/database');
+const { serve } = require('./helpers/app');
+
+const OWNER = 5;
+const FINDER = 6;
+const OTHER_OWNER = 7;
+const CLAIMANT = 8;
+
+const ownedMatch = (overrides = {}) => ({
+  match_id: 1,
+  lost_item_id: 10,
+  found_item_id: 20,
+  match_score: 72,
+  status: 'pending',
+  owner_id: OWNER,
+  lost_item_type: 'wallet',
+  lost_status: 'lost',
+  finder_id: FINDER,
+  found_item_type: 'wallet',
+  found_status: 'found',
+  ...overrides,
+});
+
+async function withItems(respond, run) {
+  const connection = fakeConnection(respond);
+  const app = await serve('/api/items', itemRoutes(fakePool(connection), multer({ dest: os.tmpdir() })));
+  try {
+    await run(app, connection);
+  } finally {
+    await app.close();
+  }
+}
+
+// The owner's match, another pending match of the same found item and an open claim on it
+function confirmable(match = ownedMatch(), { failOn } = {}) {
+  return (sql) => {
+    if (failOn && sql.includes(failOn)) throw new Error('connection lost');
+    if (sql.includes('FROM matches m INNER JOIN items lost') && sql.includes('m.match_id = ?')) return [match];
+    if (sql.includes("WHERE m.status = 'pending' AND m.match_id != ?")) {
+      return [{ match_id: 2, found_item_id: 20, owner_id: OTHER_OWNER }];
+    }
+    if (sql.startsWith('SELECT claim_id, claimant_id FROM claims')) return [{ claim_id: 3, claimant_id: CLAIMANT }];
+    return undefined;
+  };
+}
+
+test('confirming a match settles both items, sibling matches and open claims in one transaction', async () => {
+  await withItems(confirmable(), async (app, connection) => {
+    const { status, body } = await app.request('PUT', '/matches/1/confirm', { userId: OWNER });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'confirmed');
+
+    assert.strictEqual(connection.log[0], 'BEGIN');
+    assert.strictEqual(connection.log.at(-1), 'COMMIT');
+    assert.ok(connection.find('WHERE m.match_id = ? AND lost.user_id = ? FOR UPDATE').length === 1);
+    assert.deepStrictEqual(connection.find("UPDATE items SET status = 'claimed'")[0].params, [10, 20]);
+    assert.deepStrictEqual(connection.find("UPDATE matches SET status = 'rejected'")[0].params, [2]);
+    assert.deepStrictEqual(connection.find('UPDATE claims')[0].params.slice(-1), [3]);
+
+    const recipients = connection.find('INSERT INTO notifications').map(query => query.params[0]);
+    assert.deepStrictEqual(recipients, [OTHER_OWNER, CLAIMANT, FINDER]);
+  });
+});
+
+test('a decided match or a claimed item cannot be confirmed', async () => {
+  for (const match of [ownedMatch({ status: 'rejected' }), ownedMatch({ found_status: 'claimed' })]) {
+    await withItems(confirmable(match), async (app, connection) => {
+      const { status } = await app.request('PUT', '/matches/1/confirm', { userId: OWNER });
+      assert.strictEqual(status, 409);
+      assert.ok(!connection.queries.some(query => query.sql.startsWith('UPDATE')));
+    });
+  }
+});
+
+test('only the owner of the lost item can confirm its match', async () => {
+  await withItems(() => undefined, async (app, connection) => {
+    const { status } = await app.request('PUT', '/matches/1/confirm', { userId: FINDER });
+    assert.strictEqual(status, 404);
+    assert.deepStrictEqual(connection.find('WHERE m.match_id = ? AND lost.user_id = ?')[0].params, ['1', FINDER]);
+  });
+});
+
+test('a failure while confirming rolls every change back', async () => {
+  await withItems(confirmable(ownedMatch(), { failOn: 'UPDATE claims' }), async (app, connection) => {
+    const { status } = await app.request('PUT', '/matches/1/confirm', { userId: OWNER });
+    assert.strictEqual(status, 500);
+    assert.strictEqual(connection.log.at(-1), 'ROLLBACK');
+    assert.ok(!connection.log.includes('COMMIT'));
+  });
+});
+
+test('rejecting a match changes only the match', async () => {
+  await withItems(confirmable(), async (app, connection) => {
+    const { status, body } = await app.request('PUT', '/matches/1/reject', { userId: OWNER });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'rejected');
+    assert.deepStrictEqual(connection.find("UPDATE matches SET status = 'rejected'")[0].params, ['1']);
+    assert.strictEqual(connection.find('UPDATE items').length, 0);
+  });
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const matchScorer = require('../services/matchScorer');
+
+const score = (query, candidate, signals) => matchScorer.score({ item: query }, { item: candidate }, { signals });
+
+test('item types match on whole words, not substrings', () => {
+  assert.strictEqual(score({ item_type: 'pen' }, { item_type: 'pencil' }, ['item_type']).breakdown.item_type.similarity, 0);
+  assert.strictEqual(score({ item_type: 'cap' }, { item_type: 'capsule' }, ['item_type']).breakdown.item_type.similarity, 0);
+  assert.strictEqual(score({ item_type: 'phone' }, { item_type: 'mobile phone' }, ['item_type']).breakdown.item_type.similarity, 0.8);
+});
+
+test('item types are compared in canonical terms across languages', () => {
+  const { breakdown } = score({ item_type: 'محفظة' }, { item_type: 'Wallet' }, ['item_type']);
+  assert.strictEqual(breakdown.item_type.similarity, 1);
+});
+
+test('a single agreeing signal is held back by the minimum evidence weight', () => {
+  // item_type weighs 20 against a minimum evidence weight of 40
+  assert.strictEqual(score({ item_type: 'wallet' }, { item_type: 'wallet' }, ['item_type']).score, 50);
+});
+
+test('agreeing signals add up to a match with an explanation', () => {
+  const result = score(
+    { item_type: 'wallet', category: 'personal_items', color: 'black' },
+    { item_type: 'wallet', category: 'personal_items', color: 'noir' }
+  );
+  assert.ok(matchScorer.isMatch(result.score));
+  assert.strictEqual(result.breakdown.color.similarity, 1);
+  assert.ok(result.explanation.summary.includes('Same category (personal_items)'));
+});
+
+test('signals without data on either side are left out', () => {
+  const result = score({ category: 'electronics' }, { category: 'personal_items' });
+  assert.deepStrictEqual(Object.keys(result.breakdown), ['category']);
+  assert.strictEqual(result.score, 0);
+  assert.deepStrictEqual(score({}, {}).breakdown, {});
+});
+
+test('a failing custom signal is skipped', () => {
+  matchScorer.registerSignal('broken', () => { throw new Error('boom'); }, 10);
+  try {
+    const result = score({ category: 'a' }, { category: 'a' }, ['category', 'broken']);
+    assert.deepStrictEqual(Object.keys(result.breakdown), ['category']);
+  } finally {
+    matchScorer.signals.delete('broken');
+    delete matchScorer.weights.broken;
+  }
+});
+
+test('typed colors are compared perceptually', () => {
+  assert.strictEqual(score({ color: 'navy' }, { color: 'blue' }, ['color']).breakdown.color.similarity, 0.8);
+  assert.strictEqual(score({ color: 'black' }, { color: 'white' }, ['color']).breakdown.color.similarity, 0);
+});
+
+test('photo colors are compared on the measured colors, not the typed ones', () => {
+  const { breakdown } = matchScorer.score(
+    { item: { color: 'black' }, features: { colors: [{ name: 'black', pixelFraction: 0.8 }] } },
+    { item: { color: 'white' }, features: { colors: [{ red: 20, green: 20, blue: 25, pixelFraction: 0.7 }] } },
+    { signals: ['image_colors'] }
+  );
+  assert.ok(breakdown.image_colors.similarity > 0.9);
+  assert.deepStrictEqual(breakdown.image_colors.details.sources, { query: 'image', candidate: 'image' });
+});
+
+test('a near-duplicate photo is a match on its own', () => {
+  const hashes = { phash: '0f0f0f0f0f0f0f0f', dhash: '00ff00ff00ff00ff' };
+  const result = matchScorer.score({ item: {}, hashes }, { item: {}, hashes: { ...hashes } }, { signals: ['image_hash'] });
+  assert.strictEqual(result.breakdown.image_hash.details.nearDuplicate, true);
+  assert.ok(matchScorer.isMatch(result.score));
+});
+
+test('photo embeddings are compared only within one model', () => {
+  const embedding = (vector, model = 'clip') => ({ vector, model });
+  const same = matchScorer.score(
+    { item: {}, embedding: embedding([1, 0]) },
+    { item: {}, embedding: embedding([1, 0]) },
+    { signals: ['embedding'] }
+  );
+  assert.strictEqual(same.breakdown.embedding.details.cosine, 1);
+  assert.ok(same.breakdown.embedding.similarity >= 1);
+
+  const otherModel = matchScorer.score(
+    { item: {}, embedding: embedding([1, 0]) },
+    { item: {}, embedding: embedding([1, 0], 'other') },
+    { signals: ['embedding'] }
+  );
+  assert.deepStrictEqual(otherModel.breakdown, {});
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const multer = require('multer');
+const os = require('os');
+const itemRoutes = require('../routes/items');
+const { fakeConnection, fakePool } = require('./helpers/database');
+const { serve } = require('./helpers/app');
+
+const OWNER = 5;
+const FINDER = 6;
+
+const explanation = {
+  summary: ['Same category (personal_items)', 'Description keywords: fossil'],
+  signals: { keywords: { similarity: 0.4, weight: 10, points: 4, details: { hits: ['fossil'] } } },
+};
+
+async function serveItems(respond) {
+  const connection = fakeConnection(respond);
+  const app = await serve('/api/items', itemRoutes(fakePool(connection), multer({ dest: os.tmpdir() })));
+  return { connection, app };
+}
+
+// GET /matches: one match of the owner's lost item with a found item
+function matchListing(finderId, role = 'user') {
+  return (sql) => {
+    if (sql.startsWith('SELECT role FROM users')) return [{ role }];
+    if (sql.includes('FROM matches m INNER JOIN items i')) {
+      return [{
+        match_id: 1,
+        lost_item_id: 10,
+        found_item_id: 20,
+        finder_id: finderId,
+        match_score: 72,
+        explanation: JSON.stringify(explanation),
+        status: 'pending',
+        item_type: 'wallet',
+        description: 'Brown wallet',
+        item_status: 'found',
+      }];
+    }
+    return undefined;
+  };
+}
+
+test('the lost-item owner sees only the summary of a match explanation', async () => {
+  const { app } = await serveItems(matchListing(FINDER));
+  try {
+    const { status, body } = await app.request('GET', '/matches', { userId: OWNER });
+    assert.strictEqual(status, 200);
+    const [match] = body.matches;
+    assert.deepStrictEqual(match.explanation, { summary: explanation.summary });
+    assert.strictEqual(match.found_item.is_redacted, true);
+  } finally {
+    await app.close();
+  }
+});
+
+test('admins see the full match explanation', async () => {
+  const { app } = await serveItems(matchListing(FINDER, 'admin'));
+  try {
+    const { body } = await app.request('GET', '/matches', { userId: OWNER });
+    assert.deepStrictEqual(body.matches[0].explanation, explanation);
+    assert.strictEqual(body.matches[0].found_item.is_redacted, undefined);
+  } finally {
+    await app.close();
+  }
+});
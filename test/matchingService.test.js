@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const matchingService = require('../services/matchingService');
+const { fakeConnection } = require('./helpers/database');
+
+test('a found item is matched against open lost reports and their owners are notified', async () => {
+  const foundItem = { item_id: 20, user_id: 6, status: 'found', item_type: 'wallet', category: 'personal_items', color: 'black' };
+  const lostItem = { item_id: 10, user_id: 5, status: 'lost', item_type: 'wallet', category: 'personal_items', color: 'black' };
+  const connection = fakeConnection(sql => (sql.startsWith('SELECT * FROM items') ? [lostItem] : undefined));
+
+  const matches = await matchingService.matchFoundItem(connection, foundItem, null);
+
+  assert.deepStrictEqual(matches.map(match => match.item.item_id), [10]);
+  const [candidates] = connection.find('SELECT * FROM items');
+  assert.strictEqual(candidates.params[0], 'lost');
+  assert.deepStrictEqual(connection.find('INSERT INTO matches')[0].params.slice(0, 2), [10, 20]);
+  const [notification] = connection.find('INSERT INTO notifications');
+  assert.deepStrictEqual(notification.params.slice(0, 2), [5, 20]);
+});
+
+test('match records keep the scorer explanation as JSON', async () => {
+  const connection = fakeConnection();
+  const explanation = { summary: ['Same category (personal_items)'], signals: { category: { similarity: 1 } } };
+
+  await matchingService.recordMatch(connection, 10, 20, 72, explanation);
+
+  const [insert] = connection.find('INSERT INTO matches');
+  assert.deepStrictEqual(insert.params.slice(0, 4), [10, 20, 72, JSON.stringify(explanation)]);
+  // A pair matched again gets the new score and explanation
+  assert.deepStrictEqual(insert.params.slice(4), [72, JSON.stringify(explanation)]);
+});
+
+test('pairs the owner confirmed or rejected are not candidates again', async () => {
+  const connection = fakeConnection();
+
+  await matchingService.findCandidates(connection, { item_id: 10, status: 'lost' }, 'found');
+  await matchingService.findCandidates(connection, { item_id: 20, status: 'found' }, 'lost');
+
+  const [forLost, forFound] = connection.find('SELECT * FROM items');
+  for (const query of [forLost, forFound]) {
+    assert.ok(query.sql.includes("m.status IN ('confirmed', 'rejected')"));
+  }
+  assert.ok(forLost.sql.includes('m.lost_item_id = ? AND m.found_item_id = items.item_id'));
+  assert.deepStrictEqual(forLost.params, ['found', 10, 10]);
+  assert.ok(forFound.sql.includes('m.lost_item_id = items.item_id AND m.found_item_id = ?'));
+  assert.deepStrictEqual(forFound.params, ['lost', 20, 20]);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAnnotations } = require('../scripts/migrateDescriptionAnnotations');
+
+test('appended AI, Mark and Subject blocks are moved out of the description', () => {
+  const parsed = parseAnnotations([
+    'Lost near the library',
+    '',
+    'AI detected: backpack, bag, [object Object] (colors: black, blue)',
+    'Mark: A.M.',
+    'Subject: Math, Grade: 5',
+  ].join('\n'));
+
+  assert.deepStrictEqual(parsed, {
+    description: 'Lost near the library',
+    labels: ['backpack', 'bag'],
+    colors: ['black', 'blue'],
+    mark: 'A.M.',
+    subject: 'Math',
+    grade: '5',
+    changed: true,
+  });
+});
+
+test('blocks are read only from the end, once each', () => {
+  const parsed = parseAnnotations('Mark: on the strap\nFound by the gate\nMark: J.D.\nMark: K.L.');
+  assert.strictEqual(parsed.mark, 'K.L.');
+  assert.strictEqual(parsed.description, 'Mark: on the strap\nFound by the gate\nMark: J.D.');
+});
+
+test('a subject without a grade and a description made only of blocks', () => {
+  const parsed = parseAnnotations('AI detected: phone\nSubject: Science');
+  assert.strictEqual(parsed.description, '');
+  assert.deepStrictEqual(parsed.labels, ['phone']);
+  assert.deepStrictEqual(parsed.colors, []);
+  assert.strictEqual(parsed.subject, 'Science');
+  assert.strictEqual(parsed.grade, null);
+});
+
+test('descriptions as written are left alone', () => {
+  const parsed = parseAnnotations('Black wallet, found near the canteen');
+  assert.strictEqual(parsed.changed, false);
+  assert.strictEqual(parsed.description, 'Black wallet, found near the canteen');
+});
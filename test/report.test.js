@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const multer = require('multer');
+const os = require('os');
+const itemRoutes = require('../routes/items');
+const { fakeConnection, fakePool } = require('./helpers/database');
+const { serve } = require('./helpers/app');
+
+const REPORTER = 5;
+
+const report = {
+  itemType: 'notebook',
+  color: 'blue',
+  size: 'small',
+  location: 'Library',
+  status: 'lost',
+  description: 'Blue notebook with a torn cover',
+  mark: 'A.M.',
+  subject: 'Math',
+  grade: '5',
+};
+
+async function withItems(respond, run) {
+  const connection = fakeConnection(respond);
+  const app = await serve('/api/items', itemRoutes(fakePool(connection), multer({ dest: os.tmpdir() })));
+  try {
+    await run(app, connection);
+  } finally {
+    await app.close();
+  }
+}
+
+test('the description is stored as written, with mark, subject and grade in their columns', async () => {
+  await withItems(() => undefined, async (app, connection) => {
+    const { status } = await app.request('POST', '/report', { userId: REPORTER, body: report });
+    assert.strictEqual(status, 201);
+
+    const [insert] = connection.find('INSERT INTO items');
+    const columns = insert.sql.match(/INSERT INTO items \(([^)]*)\)/)[1].split(', ');
+    const stored = Object.fromEntries(columns.map((column, index) => [column, insert.params[index]]));
+    assert.strictEqual(stored.description, 'Blue notebook with a torn cover');
+    assert.strictEqual(stored.mark, 'A.M.');
+    assert.strictEqual(stored.subject, 'Math');
+    assert.strictEqual(stored.grade, '5');
+  });
+});
+
+test('the item and its match job are stored in one transaction', async () => {
+  await withItems((sql) => (sql.startsWith('INSERT INTO items') ? { insertId: 42, affectedRows: 1 } : undefined), async (app, connection) => {
+    const { status, body } = await app.request('POST', '/report', { userId: REPORTER, body: report });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.itemId, 42);
+
+    const transaction = connection.log.slice(connection.log.indexOf('BEGIN'), connection.log.indexOf('COMMIT') + 1);
+    assert.ok(transaction.some(sql => sql.startsWith('INSERT INTO items')));
+    const [job] = connection.find('INSERT INTO jobs');
+    assert.ok(transaction.includes(job.sql));
+    assert.ok(job.params.includes('match_item:42'));
+  });
+});
+
+test('an item whose match job cannot be stored is not kept', async () => {
+  const failing = (sql) => {
+    if (sql.startsWith('INSERT INTO jobs')) throw new Error('connection lost');
+    return undefined;
+  };
+  await withItems(failing, async (app, connection) => {
+    const { status } = await app.request('POST', '/report', { userId: REPORTER, body: report });
+    assert.strictEqual(status, 500);
+    assert.strictEqual(connection.log.at(-1), 'ROLLBACK');
+    assert.ok(!connection.log.includes('COMMIT'));
+  });
+});
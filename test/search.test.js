@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const multer = require('multer');
+const os = require('os');
+const itemRoutes = require('../routes/items');
+const { fakeConnection, fakePool } = require('./helpers/database');
+const { serve } = require('./helpers/app');
+
+const SEARCHER = 5;
+const FINDER = 6;
+
+// A found item reported by someone else: the searcher gets its public projection
+const foundItem = {
+  item_id: 20,
+  user_id: FINDER,
+  item_type: 'wallet',
+  color: 'brown',
+  description: 'Brown leather wallet left on a bench outside the main building, next to the bus stop near the library',
+  brand: 'Fossil',
+  status: 'found',
+  relevance: 1.5,
+};
+
+async function search(query, role = 'user') {
+  const connection = fakeConnection((sql) => {
+    if (sql.startsWith('SELECT role FROM users')) return [{ role }];
+    if (sql.includes('AGAINST')) return [{ ...foundItem }];
+    return undefined;
+  });
+  const app = await serve('/api/items', itemRoutes(fakePool(connection), multer({ dest: os.tmpdir() })));
+  try {
+    const { status, body } = await app.request('POST', '/search', { userId: SEARCHER, body: { query } });
+    assert.strictEqual(status, 200);
+    return { connection, result: body.results[0] };
+  } finally {
+    await app.close();
+  }
+}
+
+test('hidden items are scored on their full public description', async () => {
+  const { connection, result } = await search('library');
+  assert.strictEqual(connection.find('MATCH(item_type, description, location_found, material)').length, 1);
+  assert.ok(result.match_score > 0);
+  assert.ok(result.explanation.summary.includes('Description keywords: library'));
+  // Shortened for display only
+  assert.ok(result.description.endsWith('…'));
+  assert.strictEqual(result.brand, undefined);
+});
+
+test('admins search the private fields too and see them in the results', async () => {
+  const { connection, result } = await search('fossil', 'admin');
+  assert.strictEqual(connection.find('MATCH(item_type, description, brand, location_found, material, unique_marks)').length, 1);
+  assert.strictEqual(result.brand, 'Fossil');
+  assert.strictEqual(result.description, foundItem.description);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeArabic,
+  normalizeWord,
+  canonicalTerm,
+  tokenize,
+  expandTerms,
+} = require('../utils/textNormalizer');
+
+test('Arabic letter variants and Arabic-Indic digits are folded', () => {
+  assert.strictEqual(normalizeArabic('أحمد إسلام مدرسة ٣٤'), 'احمد اسلام مدرسه 34');
+});
+
+test('the Arabic definite article is stripped from words', () => {
+  assert.strictEqual(normalizeWord('المحفظة'), 'محفظه');
+  assert.strictEqual(normalizeWord('الى'), 'الي');
+});
+
+test('synonyms in any language map to one English term', () => {
+  assert.strictEqual(canonicalTerm('Portefeuille'), 'wallet');
+  assert.strictEqual(canonicalTerm('موبايل'), 'phone');
+  assert.strictEqual(canonicalTerm('umbrellas'), 'umbrellas');
+});
+
+test('tokenize drops stop words in every language', () => {
+  assert.deepStrictEqual(tokenize('لقيت المحفظة السوداء في المكتبة'), ['wallet', 'black', 'مكتبه']);
+  assert.deepStrictEqual(tokenize('My iPhone and the Keys'), ['phone', 'keys']);
+  assert.deepStrictEqual(tokenize(''), []);
+});
+
+test('expandTerms adds every single-word spelling of a term', () => {
+  assert.deepStrictEqual(expandTerms(['wallet']), ['wallet', 'purse', 'محفظة', 'محفظه', 'portefeuille']);
+  assert.ok(!expandTerms(['backpack']).includes('sac à dos'));
+});
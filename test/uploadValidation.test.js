@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  UPLOAD_LIMITS,
+  sniffImageType,
+  readImageDimensions,
+  imageFileFilter,
+  validateImageUpload,
+} = require('../utils/uploadValidation');
+
+// Minimal file headers: enough bytes for sniffing and reading the size
+function png(width, height) {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'latin1');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+function jpeg(width, height) {
+  // SOI, an APP0 segment to skip, then SOF0 with the size
+  const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x10, ...Buffer.alloc(14)]);
+  const sof0 = Buffer.alloc(19);
+  sof0.writeUInt16BE(0xffc0, 0);
+  sof0.writeUInt16BE(17, 2);
+  sof0[4] = 8;
+  sof0.writeUInt16BE(height, 5);
+  sof0.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof0]);
+}
+
+function webp(width, height) {
+  const buffer = Buffer.alloc(30);
+  buffer.write('RIFF', 0, 'latin1');
+  buffer.write('WEBP', 8, 'latin1');
+  buffer.write('VP8X', 12, 'latin1');
+  buffer.writeUIntLE(width - 1, 24, 3);
+  buffer.writeUIntLE(height - 1, 27, 3);
+  return buffer;
+}
+
+function heic(tiles) {
+  const ftyp = Buffer.alloc(24);
+  ftyp.writeUInt32BE(24, 0);
+  ftyp.write('ftypmif1', 4, 'latin1');
+  ftyp.write('mif1heic', 16, 'latin1');
+  const properties = tiles.map(([width, height]) => {
+    const ispe = Buffer.alloc(20);
+    ispe.writeUInt32BE(20, 0);
+    ispe.write('ispe', 4, 'latin1');
+    ispe.writeUInt32BE(width, 12);
+    ispe.writeUInt32BE(height, 16);
+    return ispe;
+  });
+  return Buffer.concat([ftyp, ...properties]);
+}
+
+test('image types are recognized from their magic bytes', () => {
+  assert.strictEqual(sniffImageType(png(1, 1)), 'png');
+  assert.strictEqual(sniffImageType(jpeg(1, 1)), 'jpeg');
+  assert.strictEqual(sniffImageType(webp(1, 1)), 'webp');
+  assert.strictEqual(sniffImageType(heic([[1, 1]])), 'heic');
+});
+
+test('other files are not images, whatever they claim', () => {
+  assert.strictEqual(sniffImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), null);
+  assert.strictEqual(sniffImageType(Buffer.from('GIF89a......')), null);
+  assert.strictEqual(sniffImageType(Buffer.from([0xff, 0xd8])), null);
+  assert.strictEqual(sniffImageType(Buffer.alloc(0)), null);
+});
+
+test('dimensions are read from the headers of every format', () => {
+  assert.deepStrictEqual(readImageDimensions(png(640, 480), 'png'), { width: 640, height: 480 });
+  assert.deepStrictEqual(readImageDimensions(jpeg(4032, 3024), 'jpeg'), { width: 4032, height: 3024 });
+  assert.deepStrictEqual(readImageDimensions(webp(1920, 1080), 'webp'), { width: 1920, height: 1080 });
+});
+
+test('a tiled HEIC photo reports the full image size', () => {
+  assert.deepStrictEqual(readImageDimensions(heic([[512, 512], [4032, 3024], [512, 512]]), 'heic'), { width: 4032, height: 3024 });
+});
+
+test('truncated headers have no dimensions', () => {
+  assert.strictEqual(readImageDimensions(jpeg(10, 10).subarray(0, 24), 'jpeg'), null);
+  assert.strictEqual(readImageDimensions(png(10, 10).subarray(0, 18), 'png'), null);
+});
+
+test('the multer filter turns away uploads declared as non-images', () => {
+  const decide = (mimetype) => {
+    let outcome;
+    imageFileFilter({}, { mimetype }, (error, accepted) => {
+      outcome = error ? error.code : accepted;
+    });
+    return outcome;
+  };
+  assert.strictEqual(decide('image/jpeg'), true);
+  assert.strictEqual(decide('application/octet-stream'), true);
+  assert.strictEqual(decide('application/pdf'), 'UNSUPPORTED_MEDIA_TYPE');
+});
+
+// Runs the middleware on a file with the given content
+async function validate(content, limits = UPLOAD_LIMITS.report) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'upload-')), 'upload');
+  fs.writeFileSync(filePath, content);
+
+  const req = { file: { path: filePath, filename: 'upload', size: content.length, mimetype: 'image/gif' } };
+  const outcome = await new Promise((resolve) => {
+    const res = {
+      status(code) {
+        return { json: body => resolve({ status: code, body }) };
+      },
+    };
+    validateImageUpload(limits)(req, res, () => resolve({ next: true }));
+  });
+  return { ...outcome, req, filePath };
+}
+
+test('a valid upload is renamed with the extension of its real type', async () => {
+  const { next, req, filePath } = await validate(png(800, 600));
+  assert.strictEqual(next, true);
+  assert.strictEqual(req.file.path, `${filePath}.png`);
+  assert.strictEqual(req.file.mimetype, 'image/png');
+  assert.deepStrictEqual(req.file.dimensions, { width: 800, height: 600 });
+  assert.ok(fs.existsSync(req.file.path));
+  fs.rmSync(path.dirname(filePath), { recursive: true });
+});
+
+test('decompression bombs and fake images are rejected and deleted', async () => {
+  const bomb = await validate(png(30000, 30000));
+  assert.strictEqual(bomb.status, 413);
+  assert.strictEqual(bomb.req.file, undefined);
+
+  const tooManyPixels = await validate(png(6000, 6000), UPLOAD_LIMITS.search);
+  assert.strictEqual(tooManyPixels.status, 413);
+
+  const script = await validate(Buffer.from('#!/bin/sh\nrm -rf /\n'));
+  assert.strictEqual(script.status, 415);
+
+  // fs.unlink in the middleware is not awaited
+  await new Promise(resolve => setTimeout(resolve, 20));
+  for (const { filePath } of [bomb, tooManyPixels, script]) {
+    assert.ok(!fs.existsSync(filePath));
+    fs.rmSync(path.dirname(filePath), { recursive: true });
+  }
+});
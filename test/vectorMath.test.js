@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { cosineSimilarity, vectorToBuffer, bufferToVector } = require('../utils/vectorMath');
+
+test('cosine similarity compares directions, not lengths', () => {
+  assert.strictEqual(cosineSimilarity([1, 0], [3, 0]), 1);
+  assert.strictEqual(cosineSimilarity([1, 0], [0, 2]), 0);
+  assert.strictEqual(cosineSimilarity([1, 1], [-1, -1]), -1);
+  assert.ok(Math.abs(cosineSimilarity([1, 2, 3], [2, 3, 4]) - 0.9926) < 1e-4);
+});
+
+test('vectors that cannot be compared have no similarity', () => {
+  assert.strictEqual(cosineSimilarity([1, 2], [1, 2, 3]), null);
+  assert.strictEqual(cosineSimilarity([], []), null);
+  assert.strictEqual(cosineSimilarity([0, 0], [1, 1]), null);
+  assert.strictEqual(cosineSimilarity(null, [1]), null);
+});
+
+test('vectors survive the float32 BLOB round trip', () => {
+  const vector = [0.5, -0.25, 0.125, 1];
+  const buffer = vectorToBuffer(vector);
+  assert.strictEqual(buffer.length, 16);
+  assert.deepStrictEqual(bufferToVector(buffer), vector);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { WorkQueue } = require('../utils/workQueue');
+
+// A task that finishes when the test says so
+function deferredTask(log, name) {
+  let finish;
+  const task = (signal) => {
+    log.push(`start ${name}`);
+    return new Promise((resolve, reject) => {
+      finish = () => resolve(name);
+      signal.addEventListener('abort', () => {
+        log.push(`abort ${name}`);
+        reject(new Error('aborted'));
+      });
+    });
+  };
+  return { task, finish: () => finish() };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('concurrency is capped and interactive tasks jump the queue', async () => {
+  const queue = new WorkQueue('test', { concurrency: 1 });
+  const log = [];
+  const first = deferredTask(log, 'first');
+  const background = deferredTask(log, 'background');
+  const interactive = deferredTask(log, 'interactive');
+
+  const results = [
+    queue.run(null, first.task),
+    queue.run(null, background.task),
+    queue.run(null, interactive.task, { priority: 'interactive' }),
+  ];
+  await tick();
+  assert.deepStrictEqual(log, ['start first']);
+  assert.strictEqual(queue.getStats().pending, 2);
+
+  first.finish();
+  await tick();
+  interactive.finish();
+  await tick();
+  background.finish();
+
+  assert.deepStrictEqual(await Promise.all(results), ['first', 'background', 'interactive']);
+  assert.deepStrictEqual(log, ['start first', 'start interactive', 'start background']);
+});
+
+test('tasks with the same key run once', async () => {
+  const queue = new WorkQueue('test');
+  let calls = 0;
+  const task = async () => ++calls;
+
+  const results = await Promise.all([queue.run('image', task), queue.run('image', task)]);
+  assert.deepStrictEqual(results, [1, 1]);
+  assert.strictEqual(queue.getStats().deduplicated, 1);
+
+  // Finished tasks are not shared with later callers
+  assert.strictEqual(await queue.run('image', task), 2);
+});
+
+test('a cancelled caller is rejected while others keep the shared task', async () => {
+  const queue = new WorkQueue('test');
+  const log = [];
+  const shared = deferredTask(log, 'shared');
+  const controller = new AbortController();
+
+  const cancelled = queue.run('image', shared.task, { signal: controller.signal });
+  const kept = queue.run('image', shared.task);
+  await tick();
+  controller.abort();
+
+  await assert.rejects(cancelled, { code: 'CANCELLED' });
+  shared.finish();
+  assert.strictEqual(await kept, 'shared');
+  assert.deepStrictEqual(log, ['start shared']);
+});
+
+test('a running task is aborted once every caller has cancelled', async () => {
+  const queue = new WorkQueue('test', { concurrency: 1 });
+  const log = [];
+  const running = deferredTask(log, 'running');
+  const next = deferredTask(log, 'next');
+  const controller = new AbortController();
+
+  const result = queue.run('image', running.task, { signal: controller.signal });
+  const queued = queue.run(null, next.task);
+  await tick();
+  controller.abort();
+  await assert.rejects(result, { code: 'CANCELLED' });
+
+  // The aborted task released its slot for the next one
+  await tick();
+  assert.deepStrictEqual(log, ['start running', 'abort running', 'start next']);
+  next.finish();
+  assert.strictEqual(await queued, 'next');
+});
+
+test('a waiting task is dropped once every caller has cancelled', async () => {
+  const queue = new WorkQueue('test', { concurrency: 1 });
+  const log = [];
+  const blocker = deferredTask(log, 'blocker');
+  const waiting = deferredTask(log, 'waiting');
+  const controller = new AbortController();
+
+  const first = queue.run(null, blocker.task);
+  const dropped = queue.run('image', waiting.task, { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(dropped, { code: 'CANCELLED' });
+  assert.strictEqual(queue.getStats().pending, 0);
+
+  blocker.finish();
+  await first;
+  assert.deepStrictEqual(log, ['start blocker']);
+});
+
+test('an already aborted signal is rejected without queueing', async () => {
+  const queue = new WorkQueue('test');
+  await assert.rejects(queue.run('image', async () => 1, { signal: AbortSignal.abort() }), { code: 'CANCELLED' });
+  assert.strictEqual(queue.getStats().pending, 0);
+});
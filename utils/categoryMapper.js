@@ -1,138 +1,276 @@
 /**
- * Map AI labels to categories and subcategories
+ * Map AI labels and item types to categories and subcategories
+ *
+ * The taxonomy (categories, subcategories, English/Arabic synonyms and
+ * exclusions) is data: utils/taxonomy.json is the versioned default, and
+ * admins can publish new versions that are stored in the database
+ * (see services/taxonomyService.js).
+ *
+ * Matching is whole-word on normalized text, so "pen" does not match
+ * "open" or "pencil", and the longest synonym wins, so "backpack" and
+ * "school bag" beat "bag".
  */
-function mapLabelToCategory(label) {
-  const labelLower = label.toLowerCase();
-  
-  // Clothing
-  if (labelLower.includes('shirt') || labelLower.includes('t-shirt') || 
-      labelLower.includes('clothing') || labelLower.includes('apparel') ||
-      labelLower.includes('تيشيرت')) {
-    return { category: 'clothing', subcategory: 't-shirt' };
-  }
-  if (labelLower.includes('pants') || labelLower.includes('jeans') ||
-      labelLower.includes('بنطلون')) {
-    return { category: 'clothing', subcategory: 'pants' };
-  }
-  if (labelLower.includes('jacket') || labelLower.includes('coat') ||
-      labelLower.includes('جاكيت')) {
-    return { category: 'clothing', subcategory: 'jacket' };
-  }
-  if (labelLower.includes('shoes') || labelLower.includes('sneakers') ||
-      labelLower.includes('حذاء')) {
-    return { category: 'clothing', subcategory: 'shoes' };
-  }
-  if (labelLower.includes('hat') || labelLower.includes('cap') ||
-      labelLower.includes('قبعة')) {
-    return { category: 'clothing', subcategory: 'hat' };
-  }
-  if (labelLower.includes('sweater') || labelLower.includes('سويتر')) {
-    return { category: 'clothing', subcategory: 'sweater' };
-  }
-  if (labelLower.includes('dress') || labelLower.includes('فستان')) {
-    return { category: 'clothing', subcategory: 'dress' };
-  }
-  
-  // Electronics
-  if (labelLower.includes('phone') || labelLower.includes('smartphone') ||
-      labelLower.includes('موبايل')) {
-    return { category: 'electronics', subcategory: 'phone' };
-  }
-  if (labelLower.includes('watch') || labelLower.includes('smartwatch') ||
-      labelLower.includes('ساعة')) {
-    return { category: 'electronics', subcategory: 'watch' };
-  }
-  if (labelLower.includes('laptop') || labelLower.includes('computer') ||
-      labelLower.includes('لاب')) {
-    return { category: 'electronics', subcategory: 'laptop' };
-  }
-  if (labelLower.includes('earphones') || labelLower.includes('headphones') ||
-      labelLower.includes('سماعات')) {
-    return { category: 'electronics', subcategory: 'earphones' };
-  }
-  if (labelLower.includes('charger') || labelLower.includes('شاحن')) {
-    return { category: 'electronics', subcategory: 'charger' };
-  }
-  if (labelLower.includes('tablet') || labelLower.includes('تابلت')) {
-    return { category: 'electronics', subcategory: 'tablet' };
-  }
-  
-  // School Supplies
-  if (labelLower.includes('pen') || labelLower.includes('قلم حبر')) {
-    return { category: 'school_supplies', subcategory: 'pen' };
-  }
-  if (labelLower.includes('pencil') || labelLower.includes('قلم رصاص')) {
-    return { category: 'school_supplies', subcategory: 'pencil' };
-  }
-  if (labelLower.includes('notebook') || labelLower.includes('دفتر')) {
-    return { category: 'school_supplies', subcategory: 'notebook' };
-  }
-  if (labelLower.includes('book') || labelLower.includes('كتاب')) {
-    return { category: 'school_supplies', subcategory: 'book' };
-  }
-  if (labelLower.includes('folder') || labelLower.includes('مجلد')) {
-    return { category: 'school_supplies', subcategory: 'folder' };
-  }
-  if (labelLower.includes('calculator') || labelLower.includes('حاسبة')) {
-    return { category: 'school_supplies', subcategory: 'calculator' };
-  }
-  if (labelLower.includes('ruler') || labelLower.includes('مسطرة')) {
-    return { category: 'school_supplies', subcategory: 'ruler' };
-  }
-  
-  // Personal Items
-  if (labelLower.includes('wallet') || labelLower.includes('محفظة')) {
-    return { category: 'personal_items', subcategory: 'wallet' };
-  }
-  if (labelLower.includes('key') || labelLower.includes('مفتاح')) {
-    return { category: 'personal_items', subcategory: 'keys' };
-  }
-  if (labelLower.includes('bag') || labelLower.includes('حقيبة')) {
-    return { category: 'personal_items', subcategory: 'bag' };
-  }
-  if (labelLower.includes('backpack') || labelLower.includes('حقيبة ظهر')) {
-    return { category: 'personal_items', subcategory: 'backpack' };
-  }
-  if (labelLower.includes('glasses') || labelLower.includes('نظارات')) {
-    return { category: 'personal_items', subcategory: 'glasses' };
-  }
-  
-  // Money & Cards
-  if (labelLower.includes('money') || labelLower.includes('cash') ||
-      labelLower.includes('نقود')) {
-    return { category: 'money', subcategory: 'cash' };
+const defaultTaxonomy = require('./taxonomy.json');
+const { normalizeText, normalizeWord } = require('./textNormalizer');
+
+let taxonomy = null;
+let compiledEntries = [];
+
+/**
+ * Split text into normalized words (Arabic variants folded, article removed)
+ */
+function toWords(text) {
+  return normalizeText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .map(normalizeWord)
+    .filter(Boolean);
+}
+
+/**
+ * Index of the first occurrence of phrase (array of words) in words, or -1
+ */
+function findPhrase(words, phrase) {
+  for (let i = 0; i + phrase.length <= words.length; i++) {
+    if (phrase.every((word, j) => words[i + j] === word)) {
+      return i;
+    }
   }
-  if (labelLower.includes('id card') || labelLower.includes('بطاقة هوية')) {
-    return { category: 'money', subcategory: 'id_card' };
+  return -1;
+}
+
+/**
+ * Validate a taxonomy object
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateTaxonomy(candidate) {
+  const errors = [];
+  if (!candidate || typeof candidate !== 'object' || !Array.isArray(candidate.categories)) {
+    return ['taxonomy must be an object with a categories array'];
   }
-  if ((labelLower.includes('card') && !labelLower.includes('credit')) ||
-      labelLower.includes('بطاقة')) {
-    return { category: 'money', subcategory: 'card' };
+
+  const isStringList = (value) => value === undefined ||
+    (Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.trim()));
+
+  const categoryIds = new Set();
+  candidate.categories.forEach((category, index) => {
+    const where = `categories[${index}]`;
+    if (!category || typeof category.id !== 'string' || !category.id.trim()) {
+      errors.push(`${where}.id is required`);
+      return;
+    }
+    if (categoryIds.has(category.id)) {
+      errors.push(`${where}.id "${category.id}" is duplicated`);
+    }
+    categoryIds.add(category.id);
+
+    if (!isStringList(category.synonyms)) {
+      errors.push(`${where}.synonyms must be a list of strings`);
+    }
+    if (!Array.isArray(category.subcategories)) {
+      errors.push(`${where}.subcategories must be an array`);
+      return;
+    }
+
+    const subcategoryIds = new Set();
+    category.subcategories.forEach((subcategory, subIndex) => {
+      const subWhere = `${where}.subcategories[${subIndex}]`;
+      if (!subcategory || typeof subcategory.id !== 'string' || !subcategory.id.trim()) {
+        errors.push(`${subWhere}.id is required`);
+        return;
+      }
+      if (subcategoryIds.has(subcategory.id)) {
+        errors.push(`${subWhere}.id "${subcategory.id}" is duplicated`);
+      }
+      subcategoryIds.add(subcategory.id);
+
+      if (!Array.isArray(subcategory.synonyms) || subcategory.synonyms.length === 0 || !isStringList(subcategory.synonyms)) {
+        errors.push(`${subWhere}.synonyms must be a non-empty list of strings`);
+      }
+      if (!isStringList(subcategory.exclude)) {
+        errors.push(`${subWhere}.exclude must be a list of strings`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Flatten the taxonomy into matchable entries (one per synonym)
+ */
+function compile(source) {
+  const entries = [];
+  const toPhrases = (list) => (list || []).map(toWords).filter(phrase => phrase.length > 0);
+
+  for (const category of source.categories) {
+    for (const phrase of toPhrases(category.synonyms)) {
+      entries.push({ category: category.id, subcategory: 'other', phrase, exclude: [], isSubcategory: false });
+    }
+
+    for (const subcategory of category.subcategories) {
+      const exclude = toPhrases(subcategory.exclude);
+      for (const phrase of toPhrases(subcategory.synonyms)) {
+        entries.push({ category: category.id, subcategory: subcategory.id, phrase, exclude, isSubcategory: true });
+      }
+    }
   }
-  
-  // Documents
-  if (labelLower.includes('certificate') || labelLower.includes('شهادة')) {
-    return { category: 'documents', subcategory: 'certificate' };
+
+  return entries;
+}
+
+/**
+ * Replace the active taxonomy
+ * @throws {Error} When the taxonomy is invalid (error.details lists the problems)
+ */
+function setTaxonomy(nextTaxonomy) {
+  const errors = validateTaxonomy(nextTaxonomy);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid taxonomy: ${errors[0]}`);
+    error.details = errors;
+    throw error;
   }
-  if (labelLower.includes('paper') || labelLower.includes('ورق')) {
-    return { category: 'documents', subcategory: 'paper' };
+
+  compiledEntries = compile(nextTaxonomy);
+  taxonomy = nextTaxonomy;
+}
+
+/**
+ * The active taxonomy
+ */
+function getTaxonomy() {
+  return taxonomy;
+}
+
+/**
+ * Map a label (or any short text) to a category
+ * @param {string} label - e.g. "Backpack", "محفظة جلد سوداء"
+ * @returns {{category: string, subcategory: string, confidence: number, matched: string|null}}
+ *   confidence is 0 for the fallback, otherwise grows with the share of the
+ *   label covered by the matched synonym (1 = the whole label is a synonym)
+ */
+function mapLabelToCategory(label) {
+  const words = toWords(label || '');
+  const fallback = taxonomy.fallback || { category: 'other', subcategory: 'other' };
+
+  let best = null;
+  for (const entry of compiledEntries) {
+    if (findPhrase(words, entry.phrase) === -1) continue;
+    if (entry.exclude.some(phrase => findPhrase(words, phrase) !== -1)) continue;
+
+    const isBetter = !best ||
+      entry.phrase.length > best.phrase.length ||
+      (entry.phrase.length === best.phrase.length && entry.isSubcategory && !best.isSubcategory);
+    if (isBetter) {
+      best = entry;
+    }
   }
-  
-  // Accessories
-  if (labelLower.includes('jewelry') || labelLower.includes('مجوهرات')) {
-    return { category: 'accessories', subcategory: 'jewelry' };
+
+  if (!best) {
+    return { category: fallback.category, subcategory: fallback.subcategory, confidence: 0, matched: null };
   }
-  if (labelLower.includes('bracelet') || labelLower.includes('سوار')) {
-    return { category: 'accessories', subcategory: 'bracelet' };
+
+  const coverage = best.phrase.length / words.length;
+  const confidence = (best.isSubcategory ? 0.6 : 0.4) + 0.4 * coverage;
+
+  return {
+    category: best.category,
+    subcategory: best.subcategory,
+    confidence: Math.round(Math.min(confidence, 1) * 100) / 100,
+    matched: best.phrase.join(' '),
+  };
+}
+
+// Vote weights per source: the user's own item type is trusted most
+const ITEM_TYPE_WEIGHT = 1.5;
+const OBJECT_WEIGHT = 0.8;
+const DEFAULT_LABEL_CONFIDENCE = 0.5;
+
+/**
+ * Infer ranked category suggestions by voting across every AI label, object
+ * and the user's item type. Each vote is weighted by the label's confidence
+ * and by how well the label matches the taxonomy.
+ * @param {Object} input - { labels, objects, itemType }; labels/objects are
+ *   strings or { description|name, confidence } objects
+ * @param {Object} [options] - { limit }
+ * @returns {Array<{category: string, subcategory: string, confidence: number, votes: Array}>}
+ *   Best first; confidence is the share of the votes cast for the suggestion (0-1)
+ */
+function inferCategory({ labels = [], objects = [], itemType = '' } = {}, { limit = 3 } = {}) {
+  const suggestions = new Map();
+  const categoryVotes = new Map();
+  let totalWeight = 0;
+
+  const vote = (text, weight, source) => {
+    if (!text || !(weight > 0)) return;
+
+    // Labels outside the taxonomy ("Indoors", "Person") do not vote
+    const match = mapLabelToCategory(text);
+    if (match.confidence === 0) return;
+
+    const value = weight * match.confidence;
+    totalWeight += weight;
+    const ballot = { source, text, weight: Math.round(value * 100) / 100 };
+
+    // Category-only synonyms ("clothing") support every subcategory of that category
+    if (match.subcategory === 'other') {
+      const entry = categoryVotes.get(match.category) || { score: 0, votes: [] };
+      entry.score += value;
+      entry.votes.push(ballot);
+      categoryVotes.set(match.category, entry);
+    }
+
+    const key = `${match.category}/${match.subcategory}`;
+    const suggestion = suggestions.get(key) || {
+      category: match.category,
+      subcategory: match.subcategory,
+      score: 0,
+      votes: [],
+    };
+    suggestion.score += value;
+    suggestion.votes.push(ballot);
+    suggestions.set(key, suggestion);
+  };
+
+  const textOf = (entry) => (typeof entry === 'string' ? entry : entry?.description || entry?.name);
+  const confidenceOf = (entry) => {
+    const confidence = typeof entry === 'object' && entry !== null ? Number(entry.confidence) : NaN;
+    return Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : DEFAULT_LABEL_CONFIDENCE;
+  };
+
+  vote(itemType, ITEM_TYPE_WEIGHT, 'item_type');
+  for (const label of labels || []) {
+    vote(textOf(label), confidenceOf(label), 'label');
   }
-  
-  // Sports
-  if (labelLower.includes('ball') || labelLower.includes('كرة')) {
-    return { category: 'sports', subcategory: 'ball' };
+  for (const object of objects || []) {
+    vote(textOf(object), OBJECT_WEIGHT * confidenceOf(object), 'object');
   }
-  
-  return { category: 'other', subcategory: 'other' };
+
+  if (totalWeight === 0) return [];
+
+  return [...suggestions.values()]
+    .map((suggestion) => {
+      const categorySupport = suggestion.subcategory === 'other'
+        ? { score: 0, votes: [] }
+        : categoryVotes.get(suggestion.category) || { score: 0, votes: [] };
+      const score = suggestion.score + categorySupport.score;
+      return {
+        category: suggestion.category,
+        subcategory: suggestion.subcategory,
+        confidence: Math.round(Math.min(score / totalWeight, 1) * 100) / 100,
+        votes: [...suggestion.votes, ...categorySupport.votes],
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
 }
 
-module.exports = { mapLabelToCategory };
+setTaxonomy(defaultTaxonomy);
 
+module.exports = {
+  defaultTaxonomy,
+  mapLabelToCategory,
+  inferCategory,
+  setTaxonomy,
+  getTaxonomy,
+  validateTaxonomy,
+};
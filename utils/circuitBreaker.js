@@ -0,0 +1,115 @@
+/**
+ * Circuit breaker for a flaky dependency (an AI provider)
+ *
+ *   closed    - requests pass; consecutive failures are counted
+ *   open      - after `failureThreshold` consecutive failures requests are
+ *               refused for `cooldownMs`
+ *   half_open - after the cool-down one probe request is let through:
+ *               success closes the breaker, failure opens it again
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Dependency name, for logs
+   * @param {Object} [options] - { failureThreshold, cooldownMs }
+   */
+  constructor(name, { failureThreshold = 3, cooldownMs = 60000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.reset();
+  }
+
+  /**
+   * Back to closed with cleared counters
+   */
+  reset() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.successes = 0;
+    this.failures = 0;
+    this.rejected = 0;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+    this.totalLatencyMs = 0;
+  }
+
+  /**
+   * Whether a request may go through now (claims the probe when half-open)
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      console.log(`🔌 ${this.name}: cool-down over, probing`);
+    }
+
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    this.rejected++;
+    return false;
+  }
+
+  recordSuccess(latencyMs = 0) {
+    if (this.state !== 'closed') {
+      console.log(`✅ ${this.name}: recovered, circuit closed`);
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.probeInFlight = false;
+    this.successes++;
+    this.totalLatencyMs += latencyMs;
+    this.lastSuccessAt = new Date();
+  }
+
+  /**
+   * A request ended without an outcome (its caller cancelled it): frees the
+   * probe without counting a success or a failure
+   */
+  release() {
+    this.probeInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.failures++;
+    this.probeInFlight = false;
+    this.lastError = error?.message || String(error);
+    this.lastFailureAt = new Date();
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`⚠️ ${this.name}: circuit open for ${Math.round(this.cooldownMs / 1000)}s after ${this.consecutiveFailures} failure(s) (${this.lastError})`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * State and counters, for the admin endpoint
+   */
+  getStats() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      cooldownMs: this.cooldownMs,
+      nextProbeAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs) : null,
+      successes: this.successes,
+      failures: this.failures,
+      rejected: this.rejected,
+      averageLatencyMs: this.successes > 0 ? Math.round(this.totalLatencyMs / this.successes) : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt,
+    };
+  }
+}
+
+module.exports = { CircuitBreaker };
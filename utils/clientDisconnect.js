@@ -0,0 +1,21 @@
+/**
+ * Cancellation of work done for an HTTP request whose client went away
+ */
+
+/**
+ * AbortSignal that fires when the client disconnects before the response is sent
+ * @param {Object} res - Express response
+ * @returns {AbortSignal}
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  // 'close' also fires after a normal response; only an unfinished one means the client left
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+module.exports = { abortOnDisconnect };
@@ -0,0 +1,311 @@
+/**
+ * Hierarchical Navigable Small World graph for approximate nearest-neighbour
+ * search (Malkov & Yashunin, 2016) over cosine similarity.
+ *
+ * Vectors are L2-normalized on insert, so distance is 1 - dot product.
+ * Removed items stay in the graph as tombstones (they still connect their
+ * neighbours) and are left out of results; the graph is rebuilt once more
+ * than half of it is tombstones.
+ */
+class HnswIndex {
+  /**
+   * @param {Object} [options] - { m, efConstruction, efSearch }
+   *   m: links per node and layer (2m on layer 0), ef*: search breadth
+   */
+  constructor({ m = 16, efConstruction = 100, efSearch = 50 } = {}) {
+    this.m = m;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMultiplier = 1 / Math.log(m);
+
+    this.nodes = [];
+    this.idToNode = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+  }
+
+  /**
+   * Number of live (not removed) vectors
+   */
+  get size() {
+    return this.idToNode.size;
+  }
+
+  has(id) {
+    return this.idToNode.has(id);
+  }
+
+  /**
+   * Stored (normalized) vector of an id, or null
+   */
+  getVector(id) {
+    const index = this.idToNode.get(id);
+    return index === undefined ? null : this.nodes[index].vector;
+  }
+
+  /**
+   * Insert a vector, replacing any previous vector of the same id
+   */
+  add(id, vector) {
+    if (this.idToNode.has(id)) {
+      this.remove(id);
+    }
+
+    const normalized = this._normalize(vector);
+    const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+    const index = this.nodes.length;
+    const node = {
+      id,
+      vector: normalized,
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+      deleted: false,
+    };
+    this.nodes.push(node);
+    this.idToNode.set(id, index);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = index;
+      this.maxLevel = level;
+      return;
+    }
+
+    let current = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      current = this._greedyClosest(normalized, current, layer);
+    }
+
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this._searchLayer(normalized, [current], this.efConstruction, layer);
+      const selected = candidates.slice(0, this.m);
+      node.neighbors[layer] = selected.map(candidate => candidate.index);
+
+      const maxLinks = layer === 0 ? this.m * 2 : this.m;
+      for (const { index: neighborIndex } of selected) {
+        const links = this.nodes[neighborIndex].neighbors[layer];
+        links.push(index);
+        if (links.length > maxLinks) {
+          this._pruneLinks(neighborIndex, layer, maxLinks);
+        }
+      }
+      current = candidates[0].index;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = index;
+    }
+
+    if (this.deletedCount > this.idToNode.size) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Remove an id (tombstoned until the next compaction)
+   * @returns {boolean} Whether the id was present
+   */
+  remove(id) {
+    const index = this.idToNode.get(id);
+    if (index === undefined) return false;
+
+    this.nodes[index].deleted = true;
+    this.idToNode.delete(id);
+    this.deletedCount++;
+    return true;
+  }
+
+  /**
+   * The k nearest live vectors
+   * @returns {Array<{id: *, similarity: number}>} Cosine similarity, best first
+   */
+  search(vector, k = 10) {
+    if (this.entryPoint === -1 || this.idToNode.size === 0) {
+      return [];
+    }
+
+    const query = this._normalize(vector);
+    let current = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      current = this._greedyClosest(query, current, layer);
+    }
+
+    // Tombstones take result slots, so search wider when there are many
+    const ef = Math.max(this.efSearch, k) + Math.min(this.deletedCount, k * 4);
+    return this._searchLayer(query, [current], ef, 0)
+      .filter(candidate => !this.nodes[candidate.index].deleted)
+      .slice(0, k)
+      .map(candidate => ({ id: this.nodes[candidate.index].id, similarity: 1 - candidate.distance }));
+  }
+
+  /**
+   * Rebuild the graph from the live vectors, dropping tombstones
+   */
+  compact() {
+    const live = this.nodes.filter(node => !node.deleted);
+    this.nodes = [];
+    this.idToNode = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+    for (const node of live) {
+      this.add(node.id, node.vector);
+    }
+  }
+
+  /**
+   * Plain object for JSON persistence (vectors as base64 float32)
+   */
+  toJSON() {
+    return {
+      m: this.m,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes: this.nodes.map(node => ({
+        id: node.id,
+        level: node.level,
+        deleted: node.deleted,
+        neighbors: node.neighbors,
+        vector: Buffer.from(node.vector.buffer, node.vector.byteOffset, node.vector.byteLength).toString('base64'),
+      })),
+    };
+  }
+
+  /**
+   * Restore an index saved with toJSON()
+   */
+  static fromJSON(data) {
+    const index = new HnswIndex({ m: data.m, efConstruction: data.efConstruction, efSearch: data.efSearch });
+    index.entryPoint = data.entryPoint;
+    index.maxLevel = data.maxLevel;
+    index.nodes = data.nodes.map((node) => {
+      const bytes = Buffer.from(node.vector, 'base64');
+      return {
+        id: node.id,
+        level: node.level,
+        deleted: node.deleted,
+        neighbors: node.neighbors,
+        vector: new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)),
+      };
+    });
+    index.nodes.forEach((node, i) => {
+      if (node.deleted) {
+        index.deletedCount++;
+      } else {
+        index.idToNode.set(node.id, i);
+      }
+    });
+    return index;
+  }
+
+  _normalize(vector) {
+    const normalized = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < normalized.length; i++) {
+      norm += normalized[i] * normalized[i];
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < normalized.length; i++) {
+      normalized[i] /= norm;
+    }
+    return normalized;
+  }
+
+  _distance(query, index) {
+    const vector = this.nodes[index].vector;
+    let dot = 0;
+    for (let i = 0; i < vector.length; i++) {
+      dot += query[i] * vector[i];
+    }
+    return 1 - dot;
+  }
+
+  /**
+   * Walk a layer towards the query until no neighbour is closer
+   */
+  _greedyClosest(query, start, layer) {
+    let current = start;
+    let currentDistance = this._distance(query, current);
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (const neighbor of this.nodes[current].neighbors[layer] || []) {
+        const distance = this._distance(query, neighbor);
+        if (distance < currentDistance) {
+          current = neighbor;
+          currentDistance = distance;
+          improved = true;
+        }
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Best-first search of one layer
+   * @returns {Array<{index: number, distance: number}>} Up to ef nodes, closest first
+   */
+  _searchLayer(query, entries, ef, layer) {
+    const visited = new Set(entries);
+    const candidates = entries
+      .map(index => ({ index, distance: this._distance(query, index) }))
+      .sort((a, b) => a.distance - b.distance);
+    const results = [...candidates];
+
+    while (candidates.length > 0) {
+      const closest = candidates.shift();
+      if (results.length >= ef && closest.distance > results[results.length - 1].distance) {
+        break;
+      }
+
+      for (const neighbor of this.nodes[closest.index].neighbors[layer] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const distance = this._distance(query, neighbor);
+        if (results.length < ef || distance < results[results.length - 1].distance) {
+          const entry = { index: neighbor, distance };
+          this._insertSorted(candidates, entry);
+          this._insertSorted(results, entry);
+          if (results.length > ef) {
+            results.pop();
+          }
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Keep a node's closest links on a layer
+   */
+  _pruneLinks(index, layer, maxLinks) {
+    const vector = this.nodes[index].vector;
+    this.nodes[index].neighbors[layer] = this.nodes[index].neighbors[layer]
+      .map(neighbor => ({ neighbor, distance: this._distance(vector, neighbor) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, maxLinks)
+      .map(entry => entry.neighbor);
+  }
+
+  _insertSorted(list, entry) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (list[mid].distance < entry.distance) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    list.splice(low, 0, entry);
+  }
+}
+
+module.exports = { HnswIndex };
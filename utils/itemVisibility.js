@@ -0,0 +1,103 @@
+/**
+ * Item visibility policy
+ * Found items carry private details (marks, contents, brand...) that are used
+ * as ownership questions when someone claims them. Public listings must not
+ * show them, otherwise a dishonest claimant could copy the answers.
+ * Only the reporter of an item and admins see the full record.
+ */
+
+// Fields removed from every public item
+const PRIVATE_ITEM_FIELDS = ['unique_marks', 'mark', 'brand', 'contents'];
+
+// Search ranking internals: raw FULLTEXT relevance and photo hash distance
+const RANKING_FIELDS = ['relevance', 'phash_distance'];
+
+// Public listings show only the start of the description
+const PUBLIC_DESCRIPTION_LENGTH = 80;
+
+/**
+ * Item without its private fields, everything else untouched: what search
+ * may score an item on when its FULLTEXT query left those fields out
+ */
+function withoutPrivateFields(item) {
+  if (!item) return item;
+
+  const publicItem = { ...item };
+  for (const field of PRIVATE_ITEM_FIELDS) {
+    delete publicItem[field];
+  }
+  return publicItem;
+}
+
+/**
+ * Public projection of an item (private fields and ranking internals removed,
+ * description shortened, match explanation reduced to its summary)
+ */
+function toPublicItem(item) {
+  if (!item) return item;
+
+  const publicItem = withoutPrivateFields(item);
+  for (const field of RANKING_FIELDS) {
+    delete publicItem[field];
+  }
+
+  if (publicItem.explanation) {
+    publicItem.explanation = toPublicExplanation(publicItem.explanation);
+  }
+
+  if (typeof publicItem.description === 'string' && publicItem.description.length > PUBLIC_DESCRIPTION_LENGTH) {
+    publicItem.description = `${publicItem.description.slice(0, PUBLIC_DESCRIPTION_LENGTH).trim()}…`;
+  }
+
+  publicItem.is_redacted = true;
+  return publicItem;
+}
+
+/**
+ * Public part of a match explanation: the readable summary only. Per-signal
+ * details (keyword hits, compared values) could echo private text.
+ */
+function toPublicExplanation(explanation) {
+  if (!explanation) return explanation;
+  return { summary: explanation.summary || [] };
+}
+
+/**
+ * Whether a viewer may see the full item
+ * @param {Object} item - Item row (needs user_id)
+ * @param {Object|null} viewer - { userId, isAdmin }
+ */
+function canViewPrivateDetails(item, viewer) {
+  if (!viewer) return false;
+  return !!viewer.isAdmin || (item.user_id != null && item.user_id === viewer.userId);
+}
+
+/**
+ * Full item for its reporter and admins, public projection for everyone else
+ */
+function projectItem(item, viewer) {
+  return canViewPrivateDetails(item, viewer) ? item : toPublicItem(item);
+}
+
+/**
+ * Load the viewer (user ID and admin flag) for a request
+ */
+async function loadViewer(connection, userId) {
+  if (!userId) return null;
+
+  const [rows] = await connection.execute(
+    'SELECT role FROM users WHERE user_id = ?',
+    [userId]
+  );
+  return { userId, isAdmin: rows.length > 0 && rows[0].role === 'admin' };
+}
+
+module.exports = {
+  PRIVATE_ITEM_FIELDS,
+  withoutPrivateFields,
+  toPublicItem,
+  toPublicExplanation,
+  canViewPrivateDetails,
+  projectItem,
+  loadViewer,
+};
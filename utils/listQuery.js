@@ -0,0 +1,127 @@
+/**
+ * Pagination, sorting and filtering for item listing endpoints
+ *
+ * Query parameters:
+ *   page, limit                      - page-based pagination (page starts at 1)
+ *   sort, order                      - whitelisted column, asc/desc
+ *   category, subcategory, status    - exact match
+ *   color, location                  - partial match
+ *   from, to                         - date_reported range (YYYY-MM-DD)
+ */
+
+const SORTABLE_COLUMNS = ['date_reported', 'date_found', 'created_at', 'item_type', 'category', 'color', 'status'];
+
+// date_found is optional (/report never sets it): undated items sort by their report date
+const SORT_FALLBACKS = { date_found: 'date_reported' };
+const ITEM_STATUSES = ['lost', 'found', 'claimed'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse page, limit and sort options
+ * @param {Object} query - req.query
+ * @param {Object} [options] - { defaultLimit, maxLimit, defaultSort, defaultOrder }
+ * @returns {{page: number, limit: number, offset: number, sort: string, order: string}}
+ */
+function parsePagination(query, options = {}) {
+  const {
+    defaultLimit = 50,
+    maxLimit = 100,
+    defaultSort = 'date_reported',
+    defaultOrder = 'desc',
+  } = options;
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  const sort = SORTABLE_COLUMNS.includes(query.sort) ? query.sort : defaultSort;
+  const requestedOrder = String(query.order || '').toLowerCase();
+  const order = requestedOrder === 'asc' || requestedOrder === 'desc' ? requestedOrder : defaultOrder;
+
+  return { page, limit, offset: (page - 1) * limit, sort, order };
+}
+
+/**
+ * Build WHERE conditions for the item filters present in the query
+ * @param {Object} query - req.query
+ * @param {string} [alias] - Table alias, e.g. 'i'
+ * @returns {{conditions: string[], params: Array}}
+ */
+function buildItemFilters(query, alias = '') {
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+  const conditions = [];
+  const params = [];
+
+  if (query.category) {
+    conditions.push(`${column('category')} = ?`);
+    params.push(String(query.category));
+  }
+
+  if (query.subcategory) {
+    conditions.push(`${column('subcategory')} = ?`);
+    params.push(String(query.subcategory));
+  }
+
+  if (query.status && ITEM_STATUSES.includes(query.status)) {
+    conditions.push(`${column('status')} = ?`);
+    params.push(query.status);
+  }
+
+  if (query.color) {
+    conditions.push(`${column('color')} LIKE ?`);
+    params.push(`%${query.color}%`);
+  }
+
+  if (query.location) {
+    conditions.push(`${column('location_found')} LIKE ?`);
+    params.push(`%${query.location}%`);
+  }
+
+  if (query.from && DATE_PATTERN.test(query.from)) {
+    conditions.push(`${column('date_reported')} >= ?`);
+    params.push(`${query.from} 00:00:00`);
+  }
+
+  if (query.to && DATE_PATTERN.test(query.to)) {
+    conditions.push(`${column('date_reported')} <= ?`);
+    params.push(`${query.to} 23:59:59`);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * ORDER BY / LIMIT clause for parsed pagination.
+ * Values are whitelisted or integers, so they are safe to inline
+ * (mysql2 prepared statements reject placeholders in LIMIT on some servers).
+ */
+function orderAndLimitSql(pagination, alias = '') {
+  const qualify = (name) => (alias ? `${alias}.${name}` : name);
+  const fallback = SORT_FALLBACKS[pagination.sort];
+  const column = fallback
+    ? `COALESCE(${qualify(pagination.sort)}, ${qualify(fallback)})`
+    : qualify(pagination.sort);
+  const idColumn = qualify('item_id');
+  return ` ORDER BY ${column} ${pagination.order.toUpperCase()}, ${idColumn} ${pagination.order.toUpperCase()}` +
+    ` LIMIT ${pagination.limit} OFFSET ${pagination.offset}`;
+}
+
+/**
+ * Pagination metadata returned next to the items
+ */
+function paginationMeta(pagination, total) {
+  return {
+    page: pagination.page,
+    limit: pagination.limit,
+    total,
+    total_pages: Math.ceil(total / pagination.limit),
+    sort: pagination.sort,
+    order: pagination.order,
+  };
+}
+
+module.exports = {
+  SORTABLE_COLUMNS,
+  parsePagination,
+  buildItemFilters,
+  orderAndLimitSql,
+  paginationMeta,
+};
@@ -0,0 +1,155 @@
+/**
+ * Text normalization shared by search, matching and the chatbot
+ * Students describe items in Arabic, English and French, so words are folded
+ * to a common form before they are compared:
+ *   - Arabic letter variants (أ إ آ → ا, ة → ه, ى → ي, ؤ → و, ئ → ي)
+ *   - Arabic diacritics and tatweel removed, Arabic-Indic digits → 0-9
+ *   - the definite article (ال, وال, بال...) stripped
+ *   - synonyms in any language mapped to one English term (محفظة → wallet)
+ */
+
+// Canonical term → spellings used by students (Arabic, French, English variants)
+const SYNONYMS = {
+  wallet: ['wallet', 'purse', 'محفظة', 'محفظه', 'portefeuille'],
+  phone: ['phone', 'mobile', 'smartphone', 'cellphone', 'iphone', 'موبايل', 'هاتف', 'جوال', 'تليفون', 'téléphone', 'portable'],
+  keys: ['keys', 'key', 'keychain', 'مفتاح', 'مفاتيح', 'clé', 'clés', 'clef'],
+  bag: ['bag', 'handbag', 'شنطة', 'شنطه', 'حقيبة', 'sac'],
+  backpack: ['backpack', 'schoolbag', 'cartable', 'sac à dos'],
+  laptop: ['laptop', 'notebook computer', 'لابتوب', 'ordinateur'],
+  watch: ['watch', 'smartwatch', 'ساعة', 'montre'],
+  glasses: ['glasses', 'sunglasses', 'eyeglasses', 'نظارة', 'نضارة', 'lunettes'],
+  earphones: ['earphones', 'headphones', 'earbuds', 'airpods', 'سماعات', 'سماعة', 'écouteurs'],
+  charger: ['charger', 'cable', 'شاحن', 'chargeur'],
+  card: ['card', 'id', 'بطاقة', 'كارت', 'carte'],
+  umbrella: ['umbrella', 'مظلة', 'شمسية', 'parapluie'],
+  bottle: ['bottle', 'flask', 'زجاجة', 'قارورة', 'ازازة', 'bouteille', 'gourde'],
+  jacket: ['jacket', 'coat', 'جاكيت', 'جاكت', 'سترة', 'veste', 'manteau'],
+  shirt: ['shirt', 't-shirt', 'tshirt', 'تيشيرت', 'قميص', 'chemise'],
+  pants: ['pants', 'trousers', 'jeans', 'بنطلون', 'pantalon'],
+  shoes: ['shoes', 'sneakers', 'حذاء', 'جزمة', 'كوتشي', 'chaussures'],
+  hat: ['hat', 'cap', 'قبعة', 'كاب', 'chapeau', 'casquette'],
+  book: ['book', 'كتاب', 'livre'],
+  notebook: ['notebook', 'copybook', 'دفتر', 'كراسة', 'cahier'],
+  pen: ['pen', 'قلم', 'stylo'],
+  tablet: ['tablet', 'ipad', 'تابلت', 'tablette'],
+  ring: ['ring', 'خاتم', 'bague'],
+  necklace: ['necklace', 'chain', 'سلسلة', 'قلادة', 'collier'],
+  bracelet: ['bracelet', 'اسورة', 'سوار'],
+  red: ['red', 'rouge', 'أحمر', 'احمر', 'حمراء'],
+  blue: ['blue', 'bleu', 'أزرق', 'ازرق', 'زرقاء'],
+  green: ['green', 'vert', 'أخضر', 'اخضر', 'خضراء'],
+  yellow: ['yellow', 'jaune', 'أصفر', 'اصفر', 'صفراء'],
+  black: ['black', 'noir', 'أسود', 'اسود', 'سوداء'],
+  white: ['white', 'blanc', 'أبيض', 'ابيض', 'بيضاء'],
+  gray: ['gray', 'grey', 'gris', 'رمادي'],
+  orange: ['orange', 'برتقالي'],
+  purple: ['purple', 'violet', 'بنفسجي', 'موف'],
+  pink: ['pink', 'rose', 'وردي', 'بمبي'],
+  brown: ['brown', 'marron', 'بني'],
+  small: ['small', 'petit', 'صغير', 'صغيرة'],
+  medium: ['medium', 'moyen', 'متوسط', 'متوسطة'],
+  large: ['large', 'big', 'grand', 'كبير', 'كبيرة'],
+};
+
+// Words that carry no meaning for item search
+const STOP_WORDS = [
+  'the', 'and', 'or', 'my', 'of', 'in', 'on', 'at', 'to', 'with', 'for', 'an', 'is', 'was', 'it', 'me',
+  'have', 'has', 'did', 'does', 'any', 'anyone', 'someone', 'please', 'help', 'lost', 'found', 'find', 'lose',
+  'le', 'la', 'les', 'de', 'des', 'du', 'un', 'une', 'et', 'mon', 'ma', 'mes', 'perdu', 'trouvé',
+  'في', 'من', 'على', 'عن', 'مع', 'هل', 'انا', 'لقد', 'او', 'اي', 'حد', 'يا', 'لو', 'ضاع', 'ضايع', 'ضاعت',
+  'فقدت', 'لقيت', 'وجدت', 'عندي', 'بتاعي', 'بتاعتي',
+];
+
+const ARABIC_DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+const ARABIC_DEFINITE_ARTICLE = /^(?:وال|بال|كال|فال|لل|ال)(?=[\u0621-\u064A]{2,})/;
+const ARABIC_INDIC_DIGITS = /[\u0660-\u0669\u06F0-\u06F9]/g;
+
+/**
+ * Fold Arabic letter variants and remove diacritics
+ */
+function normalizeArabic(text) {
+  return text
+    .replace(ARABIC_DIACRITICS, '')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ة/g, 'ه')
+    .replace(/ى/g, 'ي')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .replace(ARABIC_INDIC_DIGITS, (digit) => String(digit.charCodeAt(0) % 16));
+}
+
+/**
+ * Lowercase, Unicode-normalize and fold Arabic variants
+ */
+function normalizeText(text) {
+  return normalizeArabic(String(text || '').normalize('NFKC').toLowerCase());
+}
+
+/**
+ * Normalize a single word: folded letters without the Arabic definite article
+ */
+function normalizeWord(word) {
+  return normalizeText(word).replace(ARABIC_DEFINITE_ARTICLE, '');
+}
+
+// Normalized spelling → canonical term
+const CANONICAL_TERMS = new Map();
+for (const [term, variants] of Object.entries(SYNONYMS)) {
+  for (const variant of variants) {
+    CANONICAL_TERMS.set(normalizeWord(variant), term);
+  }
+}
+
+const NORMALIZED_STOP_WORDS = new Set(STOP_WORDS.map(normalizeWord));
+
+/**
+ * Canonical term for a word (the normalized word itself if it has no synonyms)
+ */
+function canonicalTerm(word) {
+  const normalized = normalizeWord(word);
+  return CANONICAL_TERMS.get(normalized) || normalized;
+}
+
+/**
+ * Split text into normalized, canonical terms (letters and digits in any script).
+ * Stop words and single characters are dropped.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return normalizeText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .map(normalizeWord)
+    .filter(w => w.length > 1 && !NORMALIZED_STOP_WORDS.has(w))
+    .map(w => CANONICAL_TERMS.get(w) || w);
+}
+
+/**
+ * Expand canonical terms with every spelling stored for them, so that
+ * SQL searches over unnormalized columns find items written in any language
+ * @param {string[]} terms - Output of tokenize()
+ * @returns {string[]} Unique terms and their variants
+ */
+function expandTerms(terms) {
+  const expanded = new Set();
+  for (const term of terms) {
+    expanded.add(term);
+    for (const variant of SYNONYMS[term] || []) {
+      // Multi-word variants cannot be matched word by word
+      if (!/\s/.test(variant)) {
+        expanded.add(variant.toLowerCase());
+      }
+    }
+  }
+  return [...expanded];
+}
+
+module.exports = {
+  SYNONYMS,
+  normalizeArabic,
+  normalizeText,
+  normalizeWord,
+  canonicalTerm,
+  tokenize,
+  expandTerms,
+};
@@ -0,0 +1,28 @@
+/**
+ * Database transaction helper
+ */
+
+/**
+ * Run work in a transaction: committed when it resolves, rolled back when it throws
+ * @param {Object} connection - MySQL connection (not released here)
+ * @param {Function} work - async () => result, using the same connection
+ * @returns {Promise<*>} The result of work
+ */
+async function withTransaction(connection, work) {
+  await connection.beginTransaction();
+  try {
+    const result = await work();
+    await connection.commit();
+    return result;
+  } catch (error) {
+    try {
+      await connection.rollback();
+    } catch (rollbackError) {
+      // The original error matters more; a broken connection rolls back on its own
+      console.warn('⚠️ Rollback failed:', rollbackError.message);
+    }
+    throw error;
+  }
+}
+
+module.exports = { withTransaction };
@@ -0,0 +1,232 @@
+/**
+ * Image upload validation
+ * Uploads are identified by their magic bytes (the declared MIME type and
+ * file name are never trusted) and only JPEG, PNG, WebP and HEIC pass. Image
+ * dimensions are read from the file headers without decoding anything, so a
+ * small file claiming a gigapixel image (a decompression bomb) is rejected
+ * before sharp or an AI provider ever expands it.
+ */
+
+const fs = require('fs');
+
+// Per-route limits: file size, longest side and total pixels
+const UPLOAD_LIMITS = {
+  report: { maxBytes: 10 * 1024 * 1024, maxDimension: 8000, maxPixels: 40000000 },
+  search: { maxBytes: 5 * 1024 * 1024, maxDimension: 6000, maxPixels: 24000000 },
+  analyze: { maxBytes: 5 * 1024 * 1024, maxDimension: 6000, maxPixels: 24000000 },
+};
+
+// Largest file any route accepts; multer stops reading beyond it
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(UPLOAD_LIMITS).map(limits => limits.maxBytes));
+
+// Headers are read from the start of the file (JPEG size markers can follow
+// large EXIF and ICC segments)
+const HEADER_BYTES = 1024 * 1024;
+
+const IMAGE_TYPES = {
+  jpeg: { extension: '.jpg', mimeType: 'image/jpeg' },
+  png: { extension: '.png', mimeType: 'image/png' },
+  webp: { extension: '.webp', mimeType: 'image/webp' },
+  heic: { extension: '.heic', mimeType: 'image/heic' },
+};
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+/**
+ * Image type of a file from its first bytes
+ * @param {Buffer} buffer - Start of the file
+ * @returns {string|null} 'jpeg', 'png', 'webp', 'heic' or null
+ */
+function sniffImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = [buffer.toString('latin1', 8, 12)];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+      brands.push(buffer.toString('latin1', offset, offset + 4));
+    }
+    if (brands.some(brand => HEIC_BRANDS.includes(brand))) {
+      return 'heic';
+    }
+  }
+  return null;
+}
+
+/**
+ * Width and height from the image headers
+ * @param {Buffer} buffer - Start of the file
+ * @param {string} type - From sniffImageType
+ * @returns {{width: number, height: number}|null} null when the headers cannot be read
+ */
+function readImageDimensions(buffer, type) {
+  try {
+    switch (type) {
+      case 'jpeg': return jpegDimensions(buffer);
+      case 'png': return pngDimensions(buffer);
+      case 'webp': return webpDimensions(buffer);
+      case 'heic': return heicDimensions(buffer);
+      default: return null;
+    }
+  } catch (error) {
+    // Truncated headers read past the end of the buffer
+    return null;
+  }
+}
+
+function jpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+
+    // Fill bytes and markers without a length
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+      offset += 2;
+      continue;
+    }
+
+    // Start-of-frame markers (C0-CF except DHT C4, JPG C8 and DAC CC) hold the size
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function pngDimensions(buffer) {
+  if (buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function webpDimensions(buffer) {
+  const chunk = buffer.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+/**
+ * HEIC sizes are in 'ispe' properties; a gridded photo has one per tile plus
+ * the full image, so the largest is the image itself
+ */
+function heicDimensions(buffer) {
+  let largest = null;
+  let offset = buffer.indexOf('ispe', 0, 'latin1');
+  while (offset !== -1 && offset + 16 <= buffer.length) {
+    const width = buffer.readUInt32BE(offset + 8);
+    const height = buffer.readUInt32BE(offset + 12);
+    if (!largest || width * height > largest.width * largest.height) {
+      largest = { width, height };
+    }
+    offset = buffer.indexOf('ispe', offset + 4, 'latin1');
+  }
+  return largest;
+}
+
+/**
+ * multer fileFilter: turn away uploads declared as something other than an
+ * image early (the magic bytes are still checked after the upload)
+ */
+function imageFileFilter(req, file, cb) {
+  const declared = String(file.mimetype || '').toLowerCase();
+  if (!declared || declared.startsWith('image/') || declared === 'application/octet-stream') {
+    return cb(null, true);
+  }
+  const error = new Error('Only JPEG, PNG, WebP and HEIC images are accepted');
+  error.code = 'UNSUPPORTED_MEDIA_TYPE';
+  cb(error);
+}
+
+/**
+ * Middleware run after multer: checks the uploaded file against a route's
+ * limits and renames it with the extension of its real type. Rejected files
+ * are deleted and answered with a 4xx error.
+ * @param {Object} limits - { maxBytes, maxDimension, maxPixels } (see UPLOAD_LIMITS)
+ */
+function validateImageUpload(limits) {
+  return async (req, res, next) => {
+    if (!req.file) return next();
+
+    const reject = (status, error) => {
+      fs.unlink(req.file.path, () => {});
+      req.file = undefined;
+      res.status(status).json({ error });
+    };
+
+    try {
+      if (req.file.size > limits.maxBytes) {
+        return reject(413, `Image is too large (max ${Math.round(limits.maxBytes / (1024 * 1024))} MB)`);
+      }
+
+      const header = await readHeader(req.file.path);
+      const type = sniffImageType(header);
+      if (!type) {
+        return reject(415, 'Only JPEG, PNG, WebP and HEIC images are accepted');
+      }
+
+      const dimensions = readImageDimensions(header, type);
+      if (!dimensions || dimensions.width === 0 || dimensions.height === 0) {
+        return reject(400, 'Image is damaged or its size cannot be read');
+      }
+      if (dimensions.width > limits.maxDimension || dimensions.height > limits.maxDimension) {
+        return reject(413, `Image dimensions are too large (max ${limits.maxDimension} pixels per side)`);
+      }
+      if (dimensions.width * dimensions.height > limits.maxPixels) {
+        return reject(413, `Image has too many pixels (max ${Math.round(limits.maxPixels / 1000000)} megapixels)`);
+      }
+
+      const { extension, mimeType } = IMAGE_TYPES[type];
+      const finalPath = `${req.file.path}${extension}`;
+      await fs.promises.rename(req.file.path, finalPath);
+      req.file.path = finalPath;
+      req.file.filename = `${req.file.filename}${extension}`;
+      req.file.mimetype = mimeType;
+      req.file.dimensions = dimensions;
+      next();
+    } catch (error) {
+      console.warn('⚠️ Upload validation failed:', error.message);
+      reject(400, 'Could not read the uploaded image');
+    }
+  };
+}
+
+async function readHeader(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, HEADER_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  UPLOAD_LIMITS,
+  MAX_UPLOAD_BYTES,
+  sniffImageType,
+  readImageDimensions,
+  imageFileFilter,
+  validateImageUpload,
+};
@@ -0,0 +1,46 @@
+/**
+ * Vector helpers for image embeddings
+ */
+
+/**
+ * Cosine similarity of two vectors (-1 to 1), null when they cannot be compared
+ */
+function cosineSimilarity(vector1, vector2) {
+  if (!vector1 || !vector2 || vector1.length === 0 || vector1.length !== vector2.length) {
+    return null;
+  }
+
+  let dot = 0;
+  let norm1 = 0;
+  let norm2 = 0;
+  for (let i = 0; i < vector1.length; i++) {
+    dot += vector1[i] * vector2[i];
+    norm1 += vector1[i] * vector1[i];
+    norm2 += vector2[i] * vector2[i];
+  }
+
+  if (norm1 === 0 || norm2 === 0) return null;
+  return dot / Math.sqrt(norm1 * norm2);
+}
+
+/**
+ * Encode a vector as little-endian float32 bytes (the BLOB format in item_embeddings)
+ */
+function vectorToBuffer(vector) {
+  const buffer = Buffer.alloc(vector.length * 4);
+  vector.forEach((value, i) => buffer.writeFloatLE(value, i * 4));
+  return buffer;
+}
+
+/**
+ * Decode little-endian float32 bytes into a vector
+ */
+function bufferToVector(buffer) {
+  const vector = new Array(Math.floor(buffer.length / 4));
+  for (let i = 0; i < vector.length; i++) {
+    vector[i] = buffer.readFloatLE(i * 4);
+  }
+  return vector;
+}
+
+module.exports = { cosineSimilarity, vectorToBuffer, bufferToVector };
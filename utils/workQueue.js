@@ -0,0 +1,174 @@
+// Lower runs first
+const PRIORITIES = { interactive: 0, background: 1 };
+
+/**
+ * Bounded-concurrency work queue with priorities, deduplication and
+ * cancellation.
+ *
+ * - At most `concurrency` tasks run at once; the rest wait, interactive
+ *   before background, oldest first.
+ * - Tasks submitted with the same key while one is waiting or running share
+ *   its result instead of running twice.
+ * - A caller whose AbortSignal fires is rejected with code CANCELLED. A
+ *   waiting task is dropped once every caller sharing it has cancelled; a
+ *   running one has the signal it was started with aborted, and keeps its
+ *   slot until it has actually stopped.
+ */
+class WorkQueue {
+  /**
+   * @param {string} name - Queue name, for stats
+   * @param {Object} [options] - { concurrency }
+   */
+  constructor(name, { concurrency = 2 } = {}) {
+    this.name = name;
+    this.concurrency = concurrency;
+    this.pending = [];
+    this.jobs = new Map();
+    this.running = 0;
+    this.sequence = 0;
+    this.counters = { completed: 0, failed: 0, deduplicated: 0, cancelled: 0 };
+  }
+
+  /**
+   * Queue a task
+   * @param {string|null} key - Deduplication key (null: never shared)
+   * @param {Function} task - (signal) => Promise; signal aborts when every caller has cancelled
+   * @param {Object} [options] - { priority: 'interactive'|'background', signal: AbortSignal }
+   * @returns {Promise<*>} The task's result
+   */
+  run(key, task, { priority = 'background', signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(this._cancelledError());
+    }
+
+    const rank = PRIORITIES[priority] ?? PRIORITIES.background;
+    let job = key !== null && key !== undefined ? this.jobs.get(key) : undefined;
+
+    if (job) {
+      this.counters.deduplicated++;
+      job.waiters++;
+      if (rank < job.rank && job.state === 'pending') {
+        job.rank = rank;
+        this.pending.sort((a, b) => a.rank - b.rank || a.sequence - b.sequence);
+      }
+    } else {
+      job = { key, task, rank, sequence: this.sequence++, waiters: 1, state: 'pending', controller: new AbortController() };
+      job.promise = new Promise((resolve, reject) => {
+        job.resolve = resolve;
+        job.reject = reject;
+      });
+      // Nobody may be listening any more when a dropped or cancelled task settles
+      job.promise.catch(() => {});
+
+      if (key !== null && key !== undefined) {
+        this.jobs.set(key, job);
+      }
+      this._insert(job);
+    }
+
+    const result = this._waitFor(job, signal);
+    this._drain();
+    return result;
+  }
+
+  /**
+   * Counters and current load
+   */
+  getStats() {
+    return {
+      name: this.name,
+      concurrency: this.concurrency,
+      running: this.running,
+      pending: this.pending.length,
+      ...this.counters,
+    };
+  }
+
+  _waitFor(job, signal) {
+    if (!signal) return job.promise;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.counters.cancelled++;
+        this._leave(job);
+        reject(this._cancelledError());
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      job.promise.then(
+        (value) => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(value);
+        },
+        (error) => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * A caller gave up: once nobody else waits, drop the task if it has not
+   * started or abort it if it runs
+   */
+  _leave(job) {
+    job.waiters--;
+    if (job.waiters > 0) return;
+
+    // New callers must not join a task that is going away
+    if (this.jobs.get(job.key) === job) {
+      this.jobs.delete(job.key);
+    }
+    if (job.state === 'pending') {
+      this.pending = this.pending.filter(entry => entry !== job);
+      job.reject(this._cancelledError());
+    } else {
+      job.controller.abort();
+    }
+  }
+
+  _insert(job) {
+    let index = this.pending.length;
+    while (index > 0 && this.pending[index - 1].rank > job.rank) {
+      index--;
+    }
+    this.pending.splice(index, 0, job);
+  }
+
+  _drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      job.state = 'running';
+      this.running++;
+
+      Promise.resolve()
+        .then(() => job.task(job.controller.signal))
+        .then(
+          (value) => {
+            this.counters.completed++;
+            job.resolve(value);
+          },
+          (error) => {
+            this.counters.failed++;
+            job.reject(error);
+          }
+        )
+        .finally(() => {
+          this.running--;
+          if (this.jobs.get(job.key) === job) {
+            this.jobs.delete(job.key);
+          }
+          this._drain();
+        });
+    }
+  }
+
+  _cancelledError() {
+    const error = new Error('Request cancelled');
+    error.code = 'CANCELLED';
+    return error;
+  }
+}
+
+module.exports = { WorkQueue };